@@ -1,59 +1,888 @@
+import { randomBytes, randomUUID } from 'crypto';
 import { Paddle } from '../src/game/Paddle.js';
 import { BaseGame } from '../src/game/BaseGame.js';
-import { GAME_CONSTANTS } from '../src/game/Constants.js';
+import { BINARY_PROTOCOL, StateEncoder } from '../src/game/StateCodec.js';
+import { BotController, BOT_LEVELS } from '../src/game/BotController.js';
+import { OBSTACLE_LAYOUT_NAMES } from '../src/game/Obstacles.js';
+import { GAME_CONSTANTS, RULESETS } from '../src/game/Constants.js';
+import { resolveRules } from '../src/game/Rules.js';
+import { CHAT_BURST, CHAT_REFILL_SECONDS, EMOTES, QUICK_PHRASES, sanitizeChatText, sanitizeDisplayName } from '../src/game/Chat.js';
+import { checkPassword, createInviteToken, hashPassword, verifyInviteToken } from './access.js';
+import { DEFAULT_FORCE_START_DELAY_MS, DEFAULT_RECONNECT_GRACE_MS, DEFAULT_TICK_RATE, DEFAULT_SNAPSHOT_RATE } from './config.js';
+
+const MAX_INPUT_DT = 0.1; // Longest single input step accepted (seconds)
+const MAX_INPUT_BUDGET = 0.25; // Movement time a client may bank ahead of the server
 
 export class ServerGame extends BaseGame {
-    constructor(io, roomId) {
-        super();
+    constructor(io, roomId, options = {}) {
+        super(options.rules);
         this.io = io;
         this.roomId = roomId;
+        this.isPublic = !!options.isPublic; // Public rooms are listed in the lobby
+        this.createdAt = Date.now();
 
         this.players = new Map(); // socketId -> edgeIndex
         this.readyEdges = new Set(); // Set of edgeIndex
+
+        // Reconnection: each player gets a resumable token; dropped players keep
+        // their edge (paddle frozen) until the grace period runs out.
+        this.reconnectGraceMs = options.reconnectGraceMs ?? DEFAULT_RECONNECT_GRACE_MS;
+        this.sessionTokens = new Map(); // socketId -> token
+        this.heldEdges = new Map(); // token -> { edgeIndex, timer }
+        this.onEmpty = null; // Called when the last held edge expires with nobody left
+
+        // Spectators watch without an edge; those who want to play are seated
+        // between rounds when an edge frees up.
+        this.spectators = new Map(); // socketId -> { wantsToPlay }
+
+        // Host: the player who owns the room, tracked by session token so it
+        // survives a reconnect. Passes to the longest-seated player when they leave.
+        this.hostToken = null;
+        this.locked = false; // Locked rooms seat nobody new; joiners wait as spectators
+        this.clientIds = new Map(); // session token -> client id, for bans
+        this.bannedClients = new Set(); // Client ids and session tokens
+        this.forceStartDelayMs = options.forceStartDelayMs ?? DEFAULT_FORCE_START_DELAY_MS;
+        this.waitingSince = Date.now(); // When the room last went back to waiting between rounds
+
+        // Access: an optional password, and invite links signed with a key
+        // that dies with the room. Invite-only rooms turn away anyone without one.
+        this.passwordHash = hashPassword(options.password);
+        this.inviteOnly = !!options.inviteOnly;
+        this.inviteKey = randomBytes(32);
+
+        this.chatBudgets = new Map(); // socketId -> { tokens, at }: chat rate limit
+        this.names = new Map(); // socketId -> display name, for players who set one
+
+        // Pausing: every player may call a few pauses a round. The host gets
+        // their way at once; anyone else's request is a vote that needs a
+        // majority of the seated players. Edges are fixed during a round, so
+        // pauses are counted per edge.
+        this.pausesUsed = new Map(); // edgeIndex -> pauses called this round
+        this.pauseVote = null; // { action: 'pause'|'resume', edges: Set, startedBy, expiresAt }
+        this.pausedByEdge = null;
+        this.pausedFor = 0; // Seconds; see GAME_CONSTANTS.PAUSE_MAX_SECONDS
+
+        // Bots hold every edge no player is using, unless the room turns them off
+        this.bots = new Map(); // edgeIndex -> BotController
+        this.botDifficulty = 'off';
+
+        // Per-edge stats for the round; lives only matter in the elimination ruleset
+        this.ruleset = RULESETS.includes(options.ruleset) ? options.ruleset : 'coop';
+        this.hits = new Map(); // edgeIndex -> paddle hits this round
+        this.lives = new Map(); // edgeIndex -> lives left
+        this.eliminatedEdges = new Set(); // Edges turned into walls until the next round
+        this.winnerEdge = null;
+
+        this.multiBall = !!options.multiBall;
+        this.powerUpsEnabled = !!options.powerUps;
+        this.aimedBounces = !!options.aimedBounces;
+        this.loadLayout(options.layout);
+
+        // Sockets that negotiated the compact binary state protocol
+        this.binaryClients = new Set();
+        this.stateEncoder = new StateEncoder();
+
         this.running = false;
         this.interval = null;
         this.lastTime = 0;
 
+        // Physics runs in fixed steps at tickRate; snapshots go out at snapshotRate
+        this.tickRate = options.tickRate ?? DEFAULT_TICK_RATE;
+        this.snapshotRate = options.snapshotRate ?? DEFAULT_SNAPSHOT_RATE;
+        this.accumulator = 0;
+        this.snapshotTimer = 0;
+
         this.scoreDisplayTimer = 0;
+
+        // Reshaping arenas grow and shrink with the number of players (between rounds)
+        this.reshapeArena = !!options.reshapeArena;
+        if (this.reshapeArena) {
+            this.polygon.updateSides(GAME_CONSTANTS.MIN_SIDES);
+        }
+
+        // Custom arenas (see Arenas.js) keep their outline; only playable edges get seats
+        this.arena = options.arena || null;
+        if (this.arena) {
+            this.reshapeArena = false;
+            this.polygon.setShape(this.arena);
+        }
+
+        if (BOT_LEVELS.includes(options.botDifficulty)) {
+            this.botDifficulty = options.botDifficulty;
+            this.fillBots();
+        }
     }
 
     addPlayer(socketId) {
-        if (this.paddles.length >= this.polygon.sides) return -1;
+        const edgeIndex = this.locked ? -1 : this.claimEdge();
+        if (edgeIndex === -1) {
+            // Room is full: watch until a seat opens
+            this.spectators.set(socketId, { wantsToPlay: true });
+            this.broadcastState();
+            return -1;
+        }
+
+        this.seatPlayer(socketId, edgeIndex);
+        this.broadcastState();
+
+        return edgeIndex;
+    }
 
-        // Find the first available edgeIndex
-        const occupiedIndices = new Set(this.paddles.map(p => p.edgeIndex));
-        let edgeIndex = 0;
-        while (occupiedIndices.has(edgeIndex) && edgeIndex < this.polygon.sides) {
-            edgeIndex++;
+    addSpectator(socketId) {
+        this.spectators.set(socketId, { wantsToPlay: false });
+        this.broadcastState();
+        return -1;
+    }
+
+    findFreeEdge() {
+        // Bot edges count as free: a joining player takes over from the bot.
+        // Eliminated players keep their edge until the next round.
+        const occupiedIndices = new Set([...this.players.values(), ...this.getDisconnectedEdges()]);
+        const edgeIndex = this.polygon.getPlayableEdges().find(i => !occupiedIndices.has(i));
+        return edgeIndex === undefined ? -1 : edgeIndex;
+    }
+
+    /**
+     * Find an edge for a new player, adding one to a reshaping arena if it's full.
+     * @returns {number} edgeIndex, or -1 if there's no room
+     */
+    claimEdge() {
+        const edgeIndex = this.findFreeEdge();
+        if (edgeIndex !== -1 || !this.canReshape() || this.polygon.sides >= GAME_CONSTANTS.MAX_SIDES) {
+            return edgeIndex;
         }
+        this.reshape(this.polygon.sides + 1);
+        return this.findFreeEdge();
+    }
+
+    canReshape() {
+        return this.reshapeArena && this.gameState === 'SCORING';
+    }
 
-        if (edgeIndex >= this.polygon.sides) return -1;
+    /**
+     * Between rounds, fit the arena to the players in the room (MIN_SIDES..MAX_SIDES).
+     */
+    fitArena() {
+        if (!this.canReshape()) return;
+        const humans = this.players.size + this.heldEdges.size;
+        const sides = Math.max(GAME_CONSTANTS.MIN_SIDES, Math.min(GAME_CONSTANTS.MAX_SIDES, humans));
+        this.reshape(sides);
+    }
+
+    /**
+     * Change the number of edges. Players keep their order around the polygon
+     * but move onto new edge indexes (spread out if there are spare edges);
+     * each seated socket is told its new index. Bots are re-seated afterwards.
+     */
+    reshape(sides) {
+        if (sides === this.polygon.sides) return;
+
+        const humanEdges = [...new Set([...this.players.values(), ...this.getDisconnectedEdges()])].sort((a, b) => a - b);
+        const mapping = new Map();
+        humanEdges.forEach((oldEdge, rank) => mapping.set(oldEdge, Math.floor((rank * sides) / humanEdges.length)));
+        const remapKeys = (map) => new Map(Array.from(map).filter(([edge]) => mapping.has(edge)).map(([edge, v]) => [mapping.get(edge), v]));
+        const remapSet = (set) => new Set(Array.from(set).filter(edge => mapping.has(edge)).map(edge => mapping.get(edge)));
 
+        Array.from(this.bots.keys()).forEach(edgeIndex => this.removeBot(edgeIndex));
+
+        this.players.forEach((edgeIndex, socketId) => this.players.set(socketId, mapping.get(edgeIndex)));
+        this.heldEdges.forEach(held => held.edgeIndex = mapping.get(held.edgeIndex));
+        this.paddles = this.paddles.filter(p => mapping.has(p.edgeIndex));
+        this.paddles.forEach(p => {
+            p.edgeIndex = mapping.get(p.edgeIndex);
+            p.lastInputSeq = 0; // Everyone's client is told to number its inputs from scratch
+        });
+        this.readyEdges = remapSet(this.readyEdges);
+        this.eliminatedEdges = remapSet(this.eliminatedEdges);
+        this.hits = remapKeys(this.hits);
+        this.lives = remapKeys(this.lives);
+        this.winnerEdge = mapping.get(this.winnerEdge) ?? null;
+        this.effects = [];
+        this.powerUps = [];
+
+        console.log(`Room ${this.roomId} reshaped from ${this.polygon.sides} to ${sides} sides`);
+        this.polygon.updateSides(sides);
+        this.fillBots();
+
+        this.players.forEach((edgeIndex, socketId) => {
+            this.io.to(socketId).emit('reshaped', { playerIndex: edgeIndex, sides });
+        });
+    }
+
+    seatPlayer(socketId, edgeIndex) {
+        this.removeBot(edgeIndex);
         const paddle = new Paddle(edgeIndex);
         this.paddles.push(paddle);
         this.players.set(socketId, edgeIndex);
+        this.sessionTokens.set(socketId, randomUUID());
+        this.updateHost();
+    }
+
+    setSpectatorWantsToPlay(socketId, wantsToPlay) {
+        const spectator = this.spectators.get(socketId);
+        if (!spectator) return;
+        spectator.wantsToPlay = !!wantsToPlay;
+        this.promoteSpectators();
+        this.broadcastState();
+    }
+
+    /**
+     * Seat waiting spectators (in join order) on free edges. Only happens
+     * between rounds so nobody appears mid-rally.
+     */
+    promoteSpectators() {
+        if (this.gameState !== 'SCORING' || this.locked) return;
+
+        for (const [socketId, spectator] of this.spectators) {
+            if (!spectator.wantsToPlay) continue;
+            const edgeIndex = this.claimEdge();
+            if (edgeIndex === -1) break;
+
+            this.spectators.delete(socketId);
+            this.seatPlayer(socketId, edgeIndex);
+            console.log(`Spectator ${socketId} promoted to edge ${edgeIndex} in room ${this.roomId}`);
+            this.io.to(socketId).emit('promoted', {
+                playerIndex: edgeIndex,
+                sessionToken: this.getSessionToken(socketId)
+            });
+        }
+    }
+
+    /**
+     * Change the room's bot setting ('off' or a BOT_DIFFICULTIES key).
+     * Only allowed between rounds so the arena doesn't change mid-rally.
+     * @returns {boolean} Whether the setting was applied
+     */
+    setBotDifficulty(level) {
+        if (!BOT_LEVELS.includes(level)) return false;
+        if (this.isRoundInProgress()) return false;
+
+        this.botDifficulty = level;
+        this.fillBots();
+        this.broadcastState();
+        return true;
+    }
+
+    /**
+     * Put a bot on every edge without a paddle (or clear them all when bots are off).
+     */
+    fillBots() {
+        if (this.botDifficulty === 'off') {
+            Array.from(this.bots.keys()).forEach(edgeIndex => this.removeBot(edgeIndex));
+            return;
+        }
+
+        for (const edgeIndex of this.polygon.getPlayableEdges()) {
+            if (this.bots.has(edgeIndex)) {
+                this.bots.get(edgeIndex).setDifficulty(this.botDifficulty);
+                continue;
+            }
+            if (this.paddles.some(p => p.edgeIndex === edgeIndex)) continue;
+            if (this.eliminatedEdges.has(edgeIndex)) continue;
+
+            const paddle = new Paddle(edgeIndex);
+            paddle.isBot = true;
+            this.paddles.push(paddle);
+            this.bots.set(edgeIndex, new BotController(this.botDifficulty));
+        }
+    }
+
+    /**
+     * Switch between the 'coop' and 'elimination' rulesets between rounds.
+     * @returns {boolean} Whether the ruleset was applied
+     */
+    setRuleset(ruleset) {
+        if (!RULESETS.includes(ruleset)) return false;
+        if (this.isRoundInProgress()) return false;
+
+        this.ruleset = ruleset;
+        this.broadcastState();
+        return true;
+    }
+
+    /**
+     * Turn multi-ball on or off for the next round.
+     * @returns {boolean} Whether the change was accepted
+     */
+    setMultiBall(enabled) {
+        if (typeof enabled !== 'boolean') return false;
+        if (this.isRoundInProgress()) return false;
+
+        this.multiBall = enabled;
+        this.broadcastState();
+        return true;
+    }
+
+    /**
+     * Turn power-up pickups on or off for the next round.
+     * @returns {boolean} Whether the change was accepted
+     */
+    setPowerUps(enabled) {
+        if (typeof enabled !== 'boolean') return false;
+        if (this.isRoundInProgress()) return false;
+
+        this.powerUpsEnabled = enabled;
+        this.broadcastState();
+        return true;
+    }
+
+    /**
+     * Turn aimed bounces (paddle-relative angles and spin) on or off for the next round.
+     * @returns {boolean} Whether the change was accepted
+     */
+    setAimedBounces(enabled) {
+        if (typeof enabled !== 'boolean') return false;
+        if (this.isRoundInProgress()) return false;
+
+        this.aimedBounces = enabled;
+        this.broadcastState();
+        return true;
+    }
+
+    /**
+     * Pick the obstacle layout for the next round.
+     * @param {string} layout Key of OBSTACLE_LAYOUTS
+     * @returns {boolean} Whether the layout was applied
+     */
+    setLayout(layout) {
+        if (!OBSTACLE_LAYOUT_NAMES.includes(layout)) return false;
+        if (this.isRoundInProgress()) return false;
+
+        this.loadLayout(layout);
+        this.broadcastState();
+        return true;
+    }
+
+    /**
+     * Keep the host while they're seated (or holding their edge through a
+     * reconnect); otherwise hand it to the longest-seated player.
+     */
+    updateHost() {
+        if (this.hasSession(this.hostToken)) return;
+        const [first] = this.sessionTokens.values();
+        this.hostToken = first ?? null;
+    }
+
+    isHost(socketId) {
+        return this.hostToken !== null && this.sessionTokens.get(socketId) === this.hostToken;
+    }
+
+    /**
+     * @returns {number|null} The host's edge (also while they're reconnecting)
+     */
+    getHostEdge() {
+        if (this.hostToken === null) return null;
+        const held = this.heldEdges.get(this.hostToken);
+        if (held) return held.edgeIndex;
+        const socketId = Array.from(this.sessionTokens.entries()).find(([, token]) => token === this.hostToken)?.[0];
+        return this.players.get(socketId) ?? null;
+    }
+
+    getSocketForEdge(edgeIndex) {
+        return Array.from(this.players.entries()).find(([, e]) => e === edgeIndex)?.[0];
+    }
+
+    /**
+     * Remember which client a player is (sent by the client, stored across
+     * sessions) so a ban outlasts their session token.
+     */
+    identify(socketId, clientId) {
+        const token = this.sessionTokens.get(socketId);
+        if (!token || typeof clientId !== 'string' || clientId.length === 0 || clientId.length > 64) return;
+        this.clientIds.set(token, clientId);
+    }
+
+    /**
+     * Whether a session token belongs to a player who is here or holding
+     * their edge through a reconnect.
+     */
+    hasSession(token) {
+        if (typeof token !== 'string') return false;
+        return this.heldEdges.has(token) || [...this.sessionTokens.values()].includes(token);
+    }
+
+    getInviteToken() {
+        return createInviteToken(this.roomId, this.inviteKey);
+    }
+
+    /**
+     * The invite for share links, but only for players holding a seat.
+     * Spectators may have walked in from the public lobby without the
+     * password, and the invite would let anyone they pass it to skip it.
+     * @returns {string|null}
+     */
+    getInviteTokenFor(socketId) {
+        return this.players.has(socketId) ? this.getInviteToken() : null;
+    }
 
+    /**
+     * Whether a client may come in. Reconnecting players and holders of the
+     * room's invite always may; invite-only rooms turn everyone else away,
+     * and password rooms want the password.
+     * @param {{ password?: string, invite?: string, sessionToken?: string }} credentials
+     * @returns {{ code: string, message: string }|null} Why not, or null to let them in
+     */
+    checkAccess({ password, invite, sessionToken } = {}) {
+        if (this.hasSession(sessionToken) || verifyInviteToken(this.roomId, invite, this.inviteKey)) return null;
+        if (this.inviteOnly) return { code: 'invite-required', message: 'This room is invite-only' };
+        if (!this.passwordHash) return null;
+        if (typeof password !== 'string' || password === '') {
+            return { code: 'password-required', message: 'This room needs a password' };
+        }
+        if (!checkPassword(password, this.passwordHash)) return { code: 'wrong-password', message: 'Wrong password' };
+        return null;
+    }
+
+    isBanned(clientId, token) {
+        return (typeof clientId === 'string' && this.bannedClients.has(clientId)) ||
+            (typeof token === 'string' && this.bannedClients.has(token));
+    }
+
+    /**
+     * Host: hand the room to the player on another edge.
+     * @returns {boolean} Whether the host changed
+     */
+    transferHost(edgeIndex) {
+        const socketId = this.getSocketForEdge(edgeIndex);
+        if (socketId === undefined || this.isHost(socketId)) return false;
+
+        this.hostToken = this.sessionTokens.get(socketId);
         this.broadcastState();
+        return true;
+    }
+
+    /**
+     * Host: remove the player on an edge (connected or reconnecting), and
+     * optionally keep them out of the room for good. A bot takes over the edge
+     * if bots are on. The host can't kick themselves.
+     * @param {number} edgeIndex
+     * @param {boolean} ban
+     * @returns {string|null} The kicked player's socket, to disconnect; null if
+     *   nobody was kicked or they had already dropped
+     */
+    kickPlayer(edgeIndex, ban = false) {
+        const heldToken = Array.from(this.heldEdges.entries()).find(([, h]) => h.edgeIndex === edgeIndex)?.[0];
+        const socketId = this.getSocketForEdge(edgeIndex);
+        const token = socketId !== undefined ? this.sessionTokens.get(socketId) : heldToken;
+        if (token === undefined || token === this.hostToken) return null;
+
+        if (ban) {
+            this.bannedClients.add(token);
+            if (this.clientIds.has(token)) this.bannedClients.add(this.clientIds.get(token));
+        }
+        this.clientIds.delete(token);
+        console.log(`Edge ${edgeIndex} ${ban ? 'banned' : 'kicked'} from room ${this.roomId}`);
+
+        if (socketId === undefined) {
+            clearTimeout(this.heldEdges.get(heldToken).timer);
+            this.heldEdges.delete(heldToken);
+            this.releaseEdge(edgeIndex);
+            return null;
+        }
+        this.io.to(socketId).emit('kicked', { banned: ban });
+        this.removePlayer(socketId);
+        return socketId;
+    }
+
+    /**
+     * Take one message from a socket's chat budget, which refills over time.
+     * @param {string} socketId
+     * @param {number} now Timestamp (ms)
+     * @returns {boolean} false if they're sending too fast
+     */
+    spendChatToken(socketId, now) {
+        const budget = this.chatBudgets.get(socketId) ?? { tokens: CHAT_BURST, at: now };
+        budget.tokens = Math.min(CHAT_BURST, budget.tokens + (now - budget.at) / 1000 / CHAT_REFILL_SECONDS);
+        budget.at = now;
+        this.chatBudgets.set(socketId, budget);
+
+        if (budget.tokens < 1) return false;
+        budget.tokens -= 1;
+        return true;
+    }
+
+    /**
+     * A quick phrase (by index into QUICK_PHRASES) or free text from anyone in
+     * the room; spectators are sent as edge -1.
+     * @param {string} socketId
+     * @param {{ phrase?: number, text?: string }} message
+     * @param {number} now Timestamp (ms)
+     * @returns {boolean} Whether it went out
+     */
+    sendChat(socketId, message, now = Date.now()) {
+        const edgeIndex = this.players.has(socketId) ? this.players.get(socketId) : (this.spectators.has(socketId) ? -1 : null);
+        if (edgeIndex === null || !message || typeof message !== 'object') return false;
 
+        let payload;
+        if (Number.isInteger(message.phrase) && message.phrase >= 0 && message.phrase < QUICK_PHRASES.length) {
+            payload = { phrase: message.phrase };
+        } else {
+            const text = sanitizeChatText(message.text);
+            if (text === null) return false;
+            payload = { text };
+        }
+        if (!this.spendChatToken(socketId, now)) return false;
+
+        this.io.to(this.roomId).emit('chat', { edgeIndex, ...payload });
+        return true;
+    }
+
+    /**
+     * Display name shown to the others in place of P<n>. Anything unusable
+     * (including an empty name) clears it.
+     */
+    setName(socketId, name) {
+        const clean = sanitizeDisplayName(name);
+        if (clean) this.names.set(socketId, clean);
+        else this.names.delete(socketId);
+    }
+
+    /**
+     * @returns {Object<number, string>} edgeIndex -> name for seated players with one
+     */
+    getNames() {
+        const names = {};
+        this.players.forEach((edgeIndex, socketId) => {
+            if (this.names.has(socketId)) names[edgeIndex] = this.names.get(socketId);
+        });
+        return names;
+    }
+
+    /**
+     * An emote (by index into EMOTES) from a seated player; it floats by their
+     * paddle. Shares the chat rate limit.
+     * @returns {boolean} Whether it went out
+     */
+    sendEmote(socketId, emote, now = Date.now()) {
+        if (!this.players.has(socketId)) return false;
+        if (!Number.isInteger(emote) || emote < 0 || emote >= EMOTES.length) return false;
+        if (!this.spendChatToken(socketId, now)) return false;
+
+        this.io.to(this.roomId).emit('emote', { edgeIndex: this.players.get(socketId), emote });
+        return true;
+    }
+
+    getPausesLeft(edgeIndex) {
+        return Math.max(0, GAME_CONSTANTS.PAUSES_PER_PLAYER - (this.pausesUsed.get(edgeIndex) ?? 0));
+    }
+
+    /**
+     * A seated player asks to pause (or resume) the round. The host decides
+     * on their own, as does whoever paused when it comes to resuming; other
+     * requests start or join a vote that passes with a majority. Starting a
+     * pause vote takes one of the starter's pauses if it passes, so players
+     * with none left can only join someone else's.
+     * @param {string} socketId
+     * @param {boolean} paused true to pause, false to resume
+     * @param {number} now Timestamp (ms)
+     * @returns {boolean} Whether the game paused or resumed
+     */
+    votePause(socketId, paused, now = Date.now()) {
+        if (!this.players.has(socketId) || typeof paused !== 'boolean') return false;
+        if (paused ? this.gameState !== 'PLAYING' && this.gameState !== 'COUNTDOWN' : this.gameState !== 'PAUSED') return false;
+
+        const edgeIndex = this.players.get(socketId);
+        const action = paused ? 'pause' : 'resume';
+        if (!this.pauseVote || this.pauseVote.action !== action || this.pauseVote.expiresAt <= now) {
+            if (paused && this.getPausesLeft(edgeIndex) === 0) return false;
+            this.pauseVote = { action, edges: new Set(), startedBy: edgeIndex, expiresAt: now + GAME_CONSTANTS.PAUSE_VOTE_SECONDS * 1000 };
+        }
+        this.pauseVote.edges.add(edgeIndex);
+
+        const decides = this.isHost(socketId) || (!paused && edgeIndex === this.pausedByEdge);
+        if (!decides && this.pauseVote.edges.size <= this.players.size / 2) {
+            this.broadcastState();
+            return false;
+        }
+
+        const { startedBy } = this.pauseVote;
+        this.pauseVote = null;
+        return paused ? this.pauseRound(startedBy) : this.resumeRound();
+    }
+
+    /**
+     * @param {number} edgeIndex Whose pause it is
+     */
+    pauseRound(edgeIndex) {
+        if (!this.pause()) return false;
+        this.pausesUsed.set(edgeIndex, (this.pausesUsed.get(edgeIndex) ?? 0) + 1);
+        this.pausedByEdge = edgeIndex;
+        this.pausedFor = 0;
+        this.paddles.forEach(p => p.moveDirection = 0);
+        console.log(`Room ${this.roomId} paused by edge ${edgeIndex}`);
+        this.broadcastState();
+        return true;
+    }
+
+    resumeRound() {
+        if (!this.resume()) return false;
+        this.pausedByEdge = null;
+        this.pauseVote = null;
+        this.broadcastState();
+        return true;
+    }
+
+    /**
+     * Host: lock the room (new joiners queue as spectators) or unlock it.
+     * @returns {boolean} Whether the setting was applied
+     */
+    setLocked(locked) {
+        if (typeof locked !== 'boolean') return false;
+
+        this.locked = locked;
+        this.promoteSpectators();
+        this.broadcastState();
+        return true;
+    }
+
+    /**
+     * Host: change the gameplay rules for the next round. Only the given
+     * rules change; each is validated as in resolveRules.
+     * @param {object} rules
+     * @returns {boolean} Whether the change was accepted
+     */
+    setRules(rules) {
+        if (!rules || typeof rules !== 'object') return false;
+        if (this.isRoundInProgress()) return false;
+
+        this.rules = resolveRules({ ...this.rules, ...rules });
+        // Snapshots leave the rules out; joiners get them in init
+        this.io.to(this.roomId).emit('rulesChanged', this.rules);
+        this.broadcastState();
+        return true;
+    }
+
+    /**
+     * When the host may start the next round without waiting for everyone.
+     * @returns {number} Timestamp (ms)
+     */
+    getForceStartAt() {
+        return this.waitingSince + this.forceStartDelayMs;
+    }
+
+    /**
+     * Host: start the next round once the room has waited long enough, ready
+     * or not.
+     * @returns {boolean} Whether the round started
+     */
+    forceStart() {
+        if (this.restarting || this.gameState !== 'SCORING' || this.celebrationTimer > 0) return false;
+        if (this.players.size === 0 || Date.now() < this.getForceStartAt()) return false;
+
+        console.log(`Host force-started room ${this.roomId}`);
+        this.resetGame();
+        return true;
+    }
+
+    /**
+     * Host: swap the occupants (players, reconnecting players or bots) of two
+     * playable edges between rounds. Moved players are told their new edge.
+     * @returns {boolean} Whether the edges were swapped
+     */
+    swapEdges(edgeA, edgeB) {
+        if (this.gameState !== 'SCORING' || this.celebrationTimer > 0) return false;
+        const playable = this.polygon.getPlayableEdges();
+        if (edgeA === edgeB || !playable.includes(edgeA) || !playable.includes(edgeB)) return false;
+
+        const swap = edgeIndex => (edgeIndex === edgeA ? edgeB : edgeIndex === edgeB ? edgeA : edgeIndex);
+        const swapKeys = (map) => new Map(Array.from(map).map(([edgeIndex, v]) => [swap(edgeIndex), v]));
+
+        Array.from(this.bots.keys()).forEach(edgeIndex => this.removeBot(edgeIndex));
+        this.players.forEach((edgeIndex, socketId) => this.players.set(socketId, swap(edgeIndex)));
+        this.heldEdges.forEach(held => held.edgeIndex = swap(held.edgeIndex));
+        this.paddles.forEach(p => {
+            if (p.edgeIndex !== swap(p.edgeIndex)) p.lastInputSeq = 0; // Moved clients number their inputs from scratch
+            p.edgeIndex = swap(p.edgeIndex);
+        });
+        this.readyEdges = new Set(Array.from(this.readyEdges).map(swap));
+        this.eliminatedEdges = new Set(Array.from(this.eliminatedEdges).map(swap));
+        this.hits = swapKeys(this.hits);
+        this.lives = swapKeys(this.lives);
+        if (this.winnerEdge !== null) this.winnerEdge = swap(this.winnerEdge);
+        this.fillBots();
+
+        this.players.forEach((edgeIndex, socketId) => {
+            if (edgeIndex === edgeA || edgeIndex === edgeB) {
+                this.io.to(socketId).emit('seatChanged', { playerIndex: edgeIndex });
+            }
+        });
+        this.broadcastState();
+        return true;
+    }
+
+    setGameState(newState) {
+        if (newState === 'SCORING' && this.gameState !== 'SCORING') this.waitingSince = Date.now();
+        super.setGameState(newState);
+    }
+
+    removeBot(edgeIndex) {
+        if (!this.bots.delete(edgeIndex)) return;
+        this.paddles = this.paddles.filter(p => p.edgeIndex !== edgeIndex);
+    }
+
+    getSessionToken(socketId) {
+        return this.sessionTokens.get(socketId) ?? null;
+    }
+
+    /**
+     * Reclaim the edge belonging to a session token, either one held after a
+     * disconnect or one whose old socket the server hasn't noticed dropping yet.
+     * @returns {number} edgeIndex, or -1 if the token is unknown
+     */
+    resumePlayer(socketId, token) {
+        if (!token) return -1;
+
+        let edgeIndex = -1;
+        const held = this.heldEdges.get(token);
+        if (held) {
+            clearTimeout(held.timer);
+            this.heldEdges.delete(token);
+            edgeIndex = held.edgeIndex;
+        } else {
+            const staleSocketId = Array.from(this.sessionTokens.entries()).find(([, t]) => t === token)?.[0];
+            if (staleSocketId === undefined) return -1;
+            edgeIndex = this.players.get(staleSocketId);
+            this.players.delete(staleSocketId);
+            this.sessionTokens.delete(staleSocketId);
+        }
+
+        this.players.set(socketId, edgeIndex);
+        this.sessionTokens.set(socketId, token);
+
+        // The new connection numbers its inputs from scratch
+        const paddle = this.paddles.find(p => p.edgeIndex === edgeIndex);
+        if (paddle) paddle.lastInputSeq = 0;
+        console.log(`Player ${socketId} resumed edge ${edgeIndex} in room ${this.roomId}`);
+
+        this.broadcastState();
         return edgeIndex;
     }
 
+    /**
+     * Socket dropped: hold the player's edge for the reconnect grace period
+     * instead of removing it straight away.
+     */
+    disconnectPlayer(socketId) {
+        this.binaryClients.delete(socketId);
+        this.chatBudgets.delete(socketId);
+        this.names.delete(socketId);
+        if (this.spectators.has(socketId)) {
+            this.removePlayer(socketId);
+            return;
+        }
+        if (!this.players.has(socketId)) return;
+        if (this.reconnectGraceMs <= 0) {
+            this.removePlayer(socketId);
+            return;
+        }
+
+        const edgeIndex = this.players.get(socketId);
+        const token = this.sessionTokens.get(socketId);
+        this.players.delete(socketId);
+        this.sessionTokens.delete(socketId);
+
+        // Freeze the paddle while we wait
+        const paddle = this.paddles.find(p => p.edgeIndex === edgeIndex);
+        if (paddle) paddle.moveDirection = 0;
+
+        const timer = setTimeout(() => this.expireHeldEdge(token), this.reconnectGraceMs);
+        this.heldEdges.set(token, { edgeIndex, timer });
+        console.log(`Holding edge ${edgeIndex} in room ${this.roomId} for ${this.reconnectGraceMs}ms`);
+
+        this.broadcastState();
+        this.checkAllReady();
+    }
+
+    expireHeldEdge(token) {
+        const held = this.heldEdges.get(token);
+        if (!held) return;
+        this.heldEdges.delete(token);
+        this.releaseEdge(held.edgeIndex);
+
+        if (this.isEmpty() && this.onEmpty) {
+            this.onEmpty();
+        }
+    }
+
+    isEmpty() {
+        return this.players.size === 0 && this.heldEdges.size === 0 && this.spectators.size === 0;
+    }
+
+    getDisconnectedEdges() {
+        return Array.from(this.heldEdges.values()).map(h => h.edgeIndex);
+    }
+
     removePlayer(socketId) {
+        this.binaryClients.delete(socketId);
+        this.chatBudgets.delete(socketId);
+        this.names.delete(socketId);
+        if (this.spectators.delete(socketId)) {
+            this.broadcastState();
+            return;
+        }
         if (!this.players.has(socketId)) return;
         const edgeIndex = this.players.get(socketId);
         this.players.delete(socketId);
+        this.sessionTokens.delete(socketId);
+        this.releaseEdge(edgeIndex);
+    }
+
+    releaseEdge(edgeIndex) {
         this.readyEdges.delete(edgeIndex);
 
         this.paddles = this.paddles.filter(p => p.edgeIndex !== edgeIndex);
+        this.updateHost();
+        const roundInProgress = this.running && this.isRoundInProgress();
+        if (this.ruleset === 'elimination' && roundInProgress) {
+            // Leaving an elimination round counts as being knocked out
+            this.eliminatedEdges.add(edgeIndex);
+        }
 
+        this.promoteSpectators();
+        this.fitArena();
+        this.fillBots();
         this.broadcastState();
         this.checkAllReady();
 
-        if (this.running && this.gameState === 'PLAYING') {
+        if (this.ruleset === 'elimination' && roundInProgress) {
+            this.checkForWinner(edgeIndex);
+            return;
+        }
+
+        // With bots on, a bot takes over the edge and the others play on
+        const botTookOver = this.bots.has(edgeIndex) && this.players.size > 0;
+        if (this.running && (this.gameState === 'PLAYING' || this.gameState === 'PAUSED') && !botTookOver) {
             this.terminateGame('A player left the game');
         }
     }
 
+    /**
+     * Snapshot of the room for the lobby listing.
+     */
+    getSummary() {
+        return {
+            roomId: this.roomId,
+            players: this.players.size,
+            bots: this.bots.size,
+            ruleset: this.ruleset,
+            multiBall: this.multiBall,
+            powerUps: this.powerUpsEnabled,
+            aimedBounces: this.aimedBounces,
+            layout: this.layout,
+            arena: this.arena ? this.arena.name : null,
+            reshapeArena: this.reshapeArena,
+            locked: this.locked,
+            passwordProtected: !!this.passwordHash,
+            inviteOnly: this.inviteOnly,
+            maxPlayers: this.reshapeArena ? GAME_CONSTANTS.MAX_SIDES : this.polygon.getPlayableEdges().length,
+            spectators: this.spectators.size,
+            gameState: this.gameState,
+            score: this.score,
+            timeElapsed: Math.floor(this.timeElapsed),
+            isPublic: this.isPublic
+        };
+    }
+
     toggleReady(socketId, isReady) {
         if (!this.players.has(socketId)) return;
         const edgeIndex = this.players.get(socketId);
@@ -95,27 +924,60 @@ export class ServerGame extends BaseGame {
         });
     }
 
-    handleInput(socketId, dir) {
-        if (this.gameState === 'SCORING') return;
-
+    /**
+     * Apply a player's input. Sequenced inputs ({ seq, dt }) are replayed
+     * exactly and acknowledged via lastInputSeq in the broadcast state; bare
+     * { dir } inputs just set a direction held every tick. dir is analog
+     * (gamepads), clamped to -1..1 so nobody moves faster than full speed.
+     * Sequenced inputs may carry a target (pointer control) instead: a spot
+     * on the edge the paddle heads for at paddle speed. Malformed sequence
+     * numbers are ignored rather than stored, so they can't block later inputs.
+     */
+    handleInput(socketId, dir, seq = null, dt = null, target = null) {
         if (!this.players.has(socketId)) return;
         const index = this.players.get(socketId);
         const paddle = this.paddles.find(p => p.edgeIndex === index);
-        if (paddle) {
-            paddle.moveDirection = dir;
+        if (!paddle) return;
+
+        const direction = Math.max(-1, Math.min(1, Number(dir) || 0));
+
+        if (seq === null || seq === undefined) {
+            if (this.gameState === 'SCORING' || this.gameState === 'PAUSED') return;
+            paddle.moveDirection = direction;
+            return;
+        }
+
+        if (!Number.isSafeInteger(seq) || seq <= 0) return;
+        if (seq <= paddle.lastInputSeq) return; // Duplicate or stale
+        // Acknowledge even inputs we drop, otherwise the client replays them forever
+        paddle.lastInputSeq = seq;
+        paddle.moveDirection = 0;
+        if (this.gameState === 'SCORING' || this.gameState === 'PAUSED') return;
+
+        // Clients can't move for longer than real time has passed
+        const requested = typeof dt === 'number' && Number.isFinite(dt) ? dt : 0;
+        const step = Math.min(Math.max(0, requested), MAX_INPUT_DT, paddle.inputBudget ?? 0);
+        paddle.inputBudget = (paddle.inputBudget ?? 0) - step;
+        if (typeof target === 'number' && Number.isFinite(target)) {
+            paddle.moveToward(Math.max(0, Math.min(1, target)), step);
+        } else {
+            paddle.move(direction, step);
         }
     }
 
     start() {
         this.running = true;
         this.lastTime = performance.now();
-        const FPS = GAME_CONSTANTS.GAME_FPS;
-        this.interval = setInterval(() => this.loop(), 1000 / FPS);
+        this.accumulator = 0;
+        this.snapshotTimer = 0;
+        this.interval = setInterval(() => this.loop(), 1000 / this.tickRate);
     }
 
     stop() {
         this.running = false;
         clearInterval(this.interval);
+        this.heldEdges.forEach(held => clearTimeout(held.timer));
+        this.heldEdges.clear();
     }
 
     loop() {
@@ -130,8 +992,19 @@ export class ServerGame extends BaseGame {
                 dt = 0.1;
             }
 
-            this.update(dt);
-            this.broadcastState();
+            // Fixed-step simulation: same step size regardless of timer jitter
+            const step = 1 / this.tickRate;
+            this.accumulator += dt;
+            while (this.accumulator >= step) {
+                this.update(step);
+                this.accumulator -= step;
+            }
+
+            this.snapshotTimer += dt;
+            if (this.snapshotTimer >= 1 / this.snapshotRate) {
+                this.snapshotTimer %= 1 / this.snapshotRate;
+                this.broadcastState();
+            }
         } catch (e) {
             console.error('ServerGame Loop Error:', e);
             this.stop();
@@ -139,36 +1012,123 @@ export class ServerGame extends BaseGame {
     }
 
     update(dt) {
+        if (this.pauseVote && this.pauseVote.expiresAt <= Date.now()) this.pauseVote = null;
+
+        if (this.gameState === 'PAUSED') {
+            // Nothing moves; a pause nobody ends runs out by itself
+            this.pausedFor += dt;
+            if (this.pausedFor >= GAME_CONSTANTS.PAUSE_MAX_SECONDS) this.resumeRound();
+            return;
+        }
+
         super.update(dt);
 
+        // Bots pick their direction the same way a held input would
+        this.bots.forEach((bot, edgeIndex) => {
+            const paddle = this.paddles.find(p => p.edgeIndex === edgeIndex);
+            if (paddle) paddle.moveDirection = bot.update(this, paddle, dt);
+        });
+
         // Update Paddles Movement (Server specific)
         this.paddles.forEach(p => {
             if (p.moveDirection) {
                 p.move(p.moveDirection, dt);
             }
+            p.inputBudget = Math.min(MAX_INPUT_BUDGET, (p.inputBudget ?? 0) + dt);
         });
     }
 
     onCelebrationEnd() {
         super.onCelebrationEnd();
+        this.promoteSpectators();
+        this.fitArena();
         this.checkAllReady();
     }
 
     // --- Hooks ---
-    onPaddleHit(edgeIndex) {
-        super.onPaddleHit(edgeIndex);
-        this.io.to(this.roomId).emit('gameEvent', { type: 'bounce', edgeIndex });
+    onPaddleHit(edgeIndex, ball = this.ball) {
+        super.onPaddleHit(edgeIndex, ball);
+        this.hits.set(edgeIndex, (this.hits.get(edgeIndex) ?? 0) + 1);
+        this.io.to(this.roomId).emit('gameEvent', { type: 'bounce', edgeIndex, ballId: ball.id });
+    }
+
+    onWallBounce(edgeIndex, ball = this.ball) {
+        this.io.to(this.roomId).emit('gameEvent', { type: 'bounce', edgeIndex, ballId: ball.id });
     }
 
-    onWallBounce(edgeIndex) {
-        this.io.to(this.roomId).emit('gameEvent', { type: 'bounce', edgeIndex });
+    onBallSpawned(ball) {
+        this.io.to(this.roomId).emit('gameEvent', { type: 'ballSpawned', ballId: ball.id });
     }
 
-    onGoal(edgeIndex) {
+    onObstacleBounce(_obstacle, ball) {
+        this.io.to(this.roomId).emit('gameEvent', { type: 'bounce', ballId: ball.id });
+    }
+
+    onPowerUpCollected(powerUp, edgeIndex) {
+        this.io.to(this.roomId).emit('gameEvent', {
+            type: 'powerUp',
+            powerUp: powerUp.type,
+            edgeIndex,
+            x: powerUp.x,
+            y: powerUp.y
+        });
+    }
+
+    onGoal(edgeIndex, ball = this.ball) {
+        if (this.ruleset === 'elimination') {
+            this.loseLife(edgeIndex, ball);
+            return;
+        }
         this.triggerScore(this.score, edgeIndex);
     }
     // -------------
 
+    /**
+     * Elimination: a goal costs the edge's owner a life. At zero lives the
+     * paddle is removed and the edge plays as a wall for the rest of the round.
+     * With several balls in play the scoring ball leaves and the rally goes on.
+     */
+    loseLife(edgeIndex, ball = this.ball) {
+        const lives = Math.max(0, (this.lives.get(edgeIndex) ?? GAME_CONSTANTS.STARTING_LIVES) - 1);
+        this.lives.set(edgeIndex, lives);
+        const eliminated = lives === 0;
+
+        if (eliminated) {
+            this.eliminatedEdges.add(edgeIndex);
+            this.bots.delete(edgeIndex);
+            this.paddles = this.paddles.filter(p => p.edgeIndex !== edgeIndex);
+        }
+
+        this.io.to(this.roomId).emit('gameEvent', { type: 'lifeLost', edgeIndex, lives, eliminated, ballId: ball.id });
+
+        if (this.checkForWinner(edgeIndex)) return;
+
+        if (this.balls.length > 1) {
+            this.balls = this.balls.filter(b => b !== ball);
+            return;
+        }
+
+        // Re-serve from the centre after a short pause; difficulty keeps climbing
+        this.resetBall();
+        this.setGameState('COUNTDOWN');
+        this.countdownTimer = GAME_CONSTANTS.SERVE_DELAY;
+        this.broadcastState();
+    }
+
+    /**
+     * Elimination: end the round once at most one paddle is left.
+     * @param {number} lastEdgeIndex Edge that was just knocked out or scored on
+     * @returns {boolean} Whether the round ended
+     */
+    checkForWinner(lastEdgeIndex) {
+        if (this.gameState === 'SCORING') return false;
+        if (this.paddles.length > 1) return false;
+
+        this.winnerEdge = this.paddles.length === 1 ? this.paddles[0].edgeIndex : null;
+        this.triggerScore(this.score, lastEdgeIndex);
+        return true;
+    }
+
     triggerScore(finalScore, edgeIndex) {
         this.startCelebration();
         this.lastScore = finalScore;
@@ -178,7 +1138,8 @@ export class ServerGame extends BaseGame {
             type: 'goal',
             score: this.lastScore,
             time: this.finalTime,
-            edgeIndex
+            edgeIndex,
+            winnerEdge: this.winnerEdge
         });
     }
 
@@ -194,14 +1155,33 @@ export class ServerGame extends BaseGame {
             this.resetState(); // BaseGame reset
             this.readyEdges.clear();
 
+            // Knocked-out players and bots get their edges back
+            this.eliminatedEdges.clear();
+            this.winnerEdge = null;
+            const humanEdges = [...this.players.values(), ...this.getDisconnectedEdges()];
+            humanEdges.forEach(edgeIndex => {
+                if (!this.paddles.some(p => p.edgeIndex === edgeIndex)) {
+                    this.paddles.push(new Paddle(edgeIndex));
+                }
+            });
+            this.fillBots();
+            this.hits.clear();
+            this.lives.clear();
+            this.pausesUsed.clear();
+            this.pauseVote = null;
+            this.pausedByEdge = null;
+            this.paddles.forEach(p => this.lives.set(p.edgeIndex, GAME_CONSTANTS.STARTING_LIVES));
+
             // Reset server-specific paddle state
             this.paddles.forEach(p => {
                 p.position = 0.5;
                 p.moveDirection = 0;
             });
+            this.bots.forEach(bot => bot.reset());
 
             // Critical: Reset loop timer to prevent massive dt frame on next loop
             this.lastTime = performance.now();
+            this.accumulator = 0;
 
             this.broadcastState();
         } catch (e) {
@@ -211,14 +1191,87 @@ export class ServerGame extends BaseGame {
         }
     }
 
+    /**
+     * Record which state protocol a socket negotiated at joinRoom.
+     * Binary clients listen on `${roomId}:binary`, JSON ones on `${roomId}:json`.
+     * @returns {string} The protocol room suffix the socket should join
+     */
+    setProtocol(socketId, protocol) {
+        if (protocol === BINARY_PROTOCOL) {
+            this.binaryClients.add(socketId);
+            this.stateEncoder.requestKeyframe(); // Newcomer has no meta to apply deltas to
+            return 'binary';
+        }
+        this.binaryClients.delete(socketId);
+        return 'json';
+    }
+
     broadcastState() {
-        this.io.to(this.roomId).emit('gameState', {
-            ball: { x: this.ball.x, y: this.ball.y, vx: this.ball.vx, vy: this.ball.vy },
+        const state = this.getState();
+
+        // Until a binary client shows up everyone gets plain JSON
+        if (this.binaryClients.size === 0) {
+            this.io.to(this.roomId).emit('gameState', state);
+            return;
+        }
+
+        this.io.to(`${this.roomId}:json`).emit('gameState', state);
+        this.io.to(`${this.roomId}:binary`).emit('gameStateBin', this.stateEncoder.encode(state));
+    }
+
+    /**
+     * Hits (and, in elimination, lives) for every edge that has played this round.
+     * @returns {Object<number, { hits: number, lives: number|null }>}
+     */
+    getEdgeStats() {
+        const edges = new Set([...this.paddles.map(p => p.edgeIndex), ...this.eliminatedEdges, ...this.hits.keys()]);
+        const stats = {};
+        edges.forEach(edgeIndex => {
+            stats[edgeIndex] = {
+                hits: this.hits.get(edgeIndex) ?? 0,
+                lives: this.ruleset === 'elimination' ? (this.lives.get(edgeIndex) ?? GAME_CONSTANTS.STARTING_LIVES) : null
+            };
+        });
+        return stats;
+    }
+
+    getState() {
+        return {
+            ball: { x: this.ball.x, y: this.ball.y, vx: this.ball.vx, vy: this.ball.vy, spin: this.ball.spin },
+            balls: this.balls.map(b => ({ id: b.id, x: b.x, y: b.y, vx: b.vx, vy: b.vy, spin: b.spin })),
+            multiBall: this.multiBall,
+            powerUpsEnabled: this.powerUpsEnabled,
+            aimedBounces: this.aimedBounces,
+            layout: this.layout,
+            powerUps: this.powerUps.map(({ id, type, x, y }) => ({ id, type, x, y })),
+            effects: this.effects.map(e => ({ ...e })),
+            sides: this.polygon.sides,
+            hostEdge: this.getHostEdge(),
+            locked: this.locked,
+            forceStartAt: this.getForceStartAt(),
+            pauseVote: this.pauseVote ? { action: this.pauseVote.action, votes: this.pauseVote.edges.size, needed: Math.floor(this.players.size / 2) + 1 } : null,
+            pausedByEdge: this.pausedByEdge,
+            names: this.getNames(),
+            pausesLeft: Object.fromEntries(Array.from(this.players.values(), edgeIndex => [edgeIndex, this.getPausesLeft(edgeIndex)])),
+            pauseTimeLeft: this.gameState === 'PAUSED' ? Math.max(0, GAME_CONSTANTS.PAUSE_MAX_SECONDS - this.pausedFor) : null,
             rotation: this.polygon.rotation,
             rotationSpeed: this.polygon.rotationSpeed,
             rotationDirection: this.rotationDirection,
-            paddles: this.paddles.map(p => ({ edgeIndex: p.edgeIndex, position: p.position, width: p.width })),
+            paddles: this.paddles.map(p => ({
+                edgeIndex: p.edgeIndex,
+                position: p.position,
+                width: p.width,
+                lastInputSeq: p.lastInputSeq,
+                isBot: !!p.isBot
+            })),
+            botDifficulty: this.botDifficulty,
+            ruleset: this.ruleset,
+            edgeStats: this.getEdgeStats(),
+            eliminatedEdges: Array.from(this.eliminatedEdges),
+            winnerEdge: this.winnerEdge,
             readyEdges: Array.from(this.readyEdges),
+            disconnectedEdges: this.getDisconnectedEdges(),
+            spectatorCount: this.spectators.size,
             difficulty: this.difficulty,
             gameState: this.gameState,
             score: this.score,
@@ -229,6 +1282,6 @@ export class ServerGame extends BaseGame {
             countdownTimer: this.countdownTimer,
             celebrationTimer: this.celebrationTimer,
             timestamp: Date.now()
-        });
+        };
     }
 }
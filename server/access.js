@@ -0,0 +1,57 @@
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+export const MAX_PASSWORD_LENGTH = 64;
+
+/**
+ * Sign a room id with the room's invite key. The token goes in share links
+ * and lets its holder into the room whatever its password or invite-only setting.
+ * @param {string} roomId
+ * @param {Buffer} key
+ * @returns {string} base64url
+ */
+export function createInviteToken(roomId, key) {
+  return createHmac('sha256', key).update(roomId).digest('base64url');
+}
+
+/**
+ * @param {string} roomId
+ * @param {unknown} token
+ * @param {Buffer} key
+ * @returns {boolean}
+ */
+export function verifyInviteToken(roomId, token, key) {
+  if (typeof token !== 'string') return false;
+  return safeEqual(token, createInviteToken(roomId, key));
+}
+
+/**
+ * Salt and hash a room password so the plain text isn't kept around.
+ * Empty, overlong or non-string passwords mean "no password".
+ * @param {unknown} password
+ * @returns {{ salt: string, hash: string }|null}
+ */
+export function hashPassword(password) {
+  if (typeof password !== 'string' || password.length === 0 || password.length > MAX_PASSWORD_LENGTH) return null;
+  const salt = randomBytes(16).toString('hex');
+  return { salt, hash: digest(salt, password) };
+}
+
+/**
+ * @param {unknown} password
+ * @param {{ salt: string, hash: string }} stored From hashPassword
+ * @returns {boolean}
+ */
+export function checkPassword(password, stored) {
+  if (typeof password !== 'string' || password.length > MAX_PASSWORD_LENGTH) return false;
+  return safeEqual(digest(stored.salt, password), stored.hash);
+}
+
+function digest(salt, password) {
+  return createHash('sha256').update(`${salt}:${password}`).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && timingSafeEqual(bufA, bufB);
+}
@@ -14,3 +14,56 @@ export function resolvePort(env = process.env) {
   const isValidPort = Number.isInteger(parsed) && parsed > 0 && parsed < 65536;
   return isValidPort ? parsed : DEFAULT_PORT;
 }
+
+export const DEFAULT_RECONNECT_GRACE_MS = 15000;
+
+/**
+ * Resolve how long a disconnected player's edge is held for them to reconnect.
+ * Reads RECONNECT_GRACE_MS; 0 disables the grace period entirely.
+ * Falls back to DEFAULT_RECONNECT_GRACE_MS for invalid or unset values.
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {number}
+ */
+export function resolveReconnectGraceMs(env = process.env) {
+  const parsed = Number(env.RECONNECT_GRACE_MS);
+
+  const isValid = env.RECONNECT_GRACE_MS !== undefined && env.RECONNECT_GRACE_MS !== '' &&
+    Number.isInteger(parsed) && parsed >= 0;
+  return isValid ? parsed : DEFAULT_RECONNECT_GRACE_MS;
+}
+
+// How long a room waits between rounds before its host may start without everyone ready
+export const DEFAULT_FORCE_START_DELAY_MS = 10000;
+
+export const DEFAULT_TICK_RATE = 120;
+export const DEFAULT_SNAPSHOT_RATE = 30;
+export const TICK_RATE_LIMITS = { min: 30, max: 240 };
+export const SNAPSHOT_RATE_LIMITS = { min: 5, max: 60 };
+
+/**
+ * Parse a rate in Hz and clamp it into the allowed range.
+ * Falls back to the given default for unset or non-numeric values.
+ * @param {unknown} value
+ * @param {{ min: number, max: number }} limits
+ * @param {number} fallback
+ * @returns {number}
+ */
+export function resolveRate(value, limits, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) return fallback;
+  return Math.round(Math.max(limits.min, Math.min(limits.max, parsed)));
+}
+
+/**
+ * Resolve the default simulation (physics) and snapshot (broadcast) rates for
+ * new rooms from SERVER_TICK_RATE and SNAPSHOT_RATE.
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {{ tickRate: number, snapshotRate: number }}
+ */
+export function resolveTickRates(env = process.env) {
+  return {
+    tickRate: resolveRate(env.SERVER_TICK_RATE, TICK_RATE_LIMITS, DEFAULT_TICK_RATE),
+    snapshotRate: resolveRate(env.SNAPSHOT_RATE, SNAPSHOT_RATE_LIMITS, DEFAULT_SNAPSHOT_RATE)
+  };
+}
@@ -4,8 +4,20 @@ import { Server } from 'socket.io';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
-import { resolvePort } from './config.js';
+import { promises as dns } from 'dns';
+import {
+  resolvePort,
+  resolveReconnectGraceMs,
+  resolveTickRates,
+  resolveRate,
+  TICK_RATE_LIMITS,
+  SNAPSHOT_RATE_LIMITS
+} from './config.js';
 import { ServerGame } from './ServerGame.js';
+import { listPublicRooms, fetchPeerRooms } from './rooms.js';
+import { BINARY_PROTOCOL } from '../src/game/StateCodec.js';
+import { resolveArena } from '../src/game/Arenas.js';
+import { resolveRules } from '../src/game/Rules.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -97,12 +109,33 @@ const io = new Server(httpServer, {
 });
 
 const games = new Map(); // roomId -> ServerGame
+const defaultRates = resolveTickRates();
+console.log(`Room defaults: ${defaultRates.tickRate}Hz physics, ${defaultRates.snapshotRate}Hz snapshots`);
 
 // API endpoints (must be defined BEFORE static file serving)
 app.get('/api/instance', (req, res) => {
   res.json({ instanceId, isFlyInstance });
 });
 
+// Public rooms on every instance. Peers are found through Fly's private DNS
+// and asked with scope=local, which answers with this instance's rooms only.
+app.get('/api/rooms', async (req, res) => {
+  const rooms = listPublicRooms(games, instanceId);
+  if (!isFlyInstance || req.query.scope === 'local') {
+    res.json({ instanceId, rooms });
+    return;
+  }
+
+  let peers = [];
+  try {
+    const addresses = await dns.resolve6(`${process.env.FLY_APP_NAME}.internal`);
+    peers = addresses.filter(address => address !== process.env.FLY_PRIVATE_IP);
+  } catch (err) {
+    console.warn('Could not look up other instances for the room list:', err.message);
+  }
+  res.json({ instanceId, rooms: rooms.concat(await fetchPeerRooms(peers, PORT)) });
+});
+
 // Static file serving (catch-all routes last)
 const distPath = path.resolve(__dirname, '../dist');
 if (fs.existsSync(distPath)) {
@@ -118,9 +151,18 @@ io.on('connection', (socket) => {
   console.log(`User connected: ${socket.id} on instance ${instanceId}`);
 
   socket.on('joinRoom', (data) => {
-    // Support both old string format and new object format
-    const roomId = typeof data === 'string' ? data : data.roomId;
-    const requestedInstance = typeof data === 'object' ? data.instance : null;
+    // Support both old string format and new object format; anything else is ignored
+    const options = data && typeof data === 'object' ? data : {};
+    const roomId = typeof data === 'string' ? data : options.roomId;
+    if (typeof roomId !== 'string' || roomId === '') return;
+    const requestedInstance = options.instance ?? null;
+    // Invite-only rooms are never listed
+    const inviteOnly = options.inviteOnly === true;
+    const isPublic = options.isPublic === true && !inviteOnly;
+    const sessionToken = options.sessionToken ?? null;
+    const role = options.role === 'spectator' ? 'spectator' : 'player';
+    const protocols = Array.isArray(options.protocols) ? options.protocols : [];
+    const clientId = options.clientId ?? null;
 
     // Verify we're on the right instance for this room
     // Only enforced on Fly.io to allow local debugging
@@ -135,44 +177,202 @@ io.on('connection', (socket) => {
       return;
     }
 
+    if (games.has(roomId) && games.get(roomId).isBanned(clientId, sessionToken)) {
+      console.warn(`Banned client turned away from room ${roomId}`);
+      socket.emit('error', { message: 'Banned from this room', code: 'banned' });
+      socket.disconnect();
+      return;
+    }
+
+    // Password and invite-only rooms check before anyone is seated
+    if (games.has(roomId)) {
+      const denied = games.get(roomId).checkAccess({
+        password: options.password,
+        invite: options.invite,
+        sessionToken
+      });
+      if (denied) {
+        console.warn(`Client turned away from room ${roomId}: ${denied.code}`);
+        socket.emit('error', denied);
+        socket.disconnect();
+        return;
+      }
+    }
+
     socket.join(roomId);
     console.log(`User ${socket.id} joined room ${roomId} on instance ${instanceId}`);
 
     if (!games.has(roomId)) {
-      console.log(`Creating new game for room ${roomId} on instance ${instanceId} `);
-      const game = new ServerGame(io, roomId);
+      console.log(`Creating new ${isPublic ? 'public' : 'private'} game for room ${roomId} on instance ${instanceId} `);
+      // The room creator may pick its own rates and gameplay rules, within limits
+      const game = new ServerGame(io, roomId, {
+        isPublic,
+        inviteOnly,
+        password: options.password,
+        reconnectGraceMs: resolveReconnectGraceMs(),
+        tickRate: resolveRate(options.tickRate, TICK_RATE_LIMITS, defaultRates.tickRate),
+        snapshotRate: resolveRate(options.snapshotRate, SNAPSHOT_RATE_LIMITS, defaultRates.snapshotRate),
+        botDifficulty: options.bots,
+        ruleset: options.ruleset,
+        multiBall: options.multiBall === true,
+        powerUps: options.powerUps === true,
+        aimedBounces: options.aimedBounces === true,
+        layout: options.layout,
+        rules: resolveRules(options.rules),
+        // A built-in arena name or the creator's own arena file; invalid ones are ignored
+        arena: resolveArena(options.arena),
+        // Opt-in: the arena grows and shrinks with the player count instead of staying a pentagon
+        reshapeArena: options.reshapeArena === true
+      });
+      game.onEmpty = () => {
+        game.stop();
+        if (games.get(roomId) === game) games.delete(roomId);
+        console.log(`Game for room ${roomId} cleaned up (reconnect grace expired)`);
+      };
       games.set(roomId, game);
       game.start();
     }
 
     const game = games.get(roomId);
-    const playerIndex = game.addPlayer(socket.id);
+
+    // Old clients don't offer any protocols and keep getting JSON
+    const protocol = protocols.includes(BINARY_PROTOCOL) ? BINARY_PROTOCOL : 'json';
+    socket.join(`${roomId}:${game.setProtocol(socket.id, protocol)}`);
+
+    // Reclaim our old edge if we're reconnecting, otherwise join fresh
+    let playerIndex = game.resumePlayer(socket.id, sessionToken);
+    const resumed = playerIndex !== -1;
+    if (!resumed) {
+      playerIndex = role === 'spectator' ? game.addSpectator(socket.id) : game.addPlayer(socket.id);
+    }
+    game.identify(socket.id, clientId);
+    game.setName(socket.id, options.name);
 
     socket.emit('init', {
       playerIndex,
+      role: playerIndex === -1 ? 'spectator' : 'player',
       sides: game.polygon.sides,
+      arena: game.arena,
+      rules: game.rules,
+      layout: game.layout,
+      sessionToken: game.getSessionToken(socket.id),
+      invite: game.getInviteTokenFor(socket.id), // For share links; seated players only
+      resumed,
+      protocol,
       instanceId // Send back the instance ID for confirmation
     });
 
     // Handle input for this specific game
     socket.removeAllListeners('input');
     socket.on('input', (data) => {
-      if (game) game.handleInput(socket.id, data.dir);
+      if (game) game.handleInput(socket.id, data?.dir, data?.seq, data?.dt, data?.target);
     });
 
     socket.removeAllListeners('playerReady');
     socket.on('playerReady', (data) => {
-      if (game) game.toggleReady(socket.id, data.ready);
+      if (game) game.toggleReady(socket.id, data?.ready === true);
+    });
+
+    // Spectators opt in (or out) of taking the next free edge
+    socket.removeAllListeners('requestPlay');
+    socket.on('requestPlay', (data) => {
+      if (game) game.setSpectatorWantsToPlay(socket.id, data?.wantsToPlay === true);
+    });
+
+    // Room options are the host's to change (between rounds)
+    socket.removeAllListeners('setBots');
+    socket.on('setBots', (data) => {
+      if (game && game.isHost(socket.id)) game.setBotDifficulty(data?.difficulty);
+    });
+
+    socket.removeAllListeners('setRuleset');
+    socket.on('setRuleset', (data) => {
+      if (game && game.isHost(socket.id)) game.setRuleset(data?.ruleset);
+    });
+
+    socket.removeAllListeners('setMultiBall');
+    socket.on('setMultiBall', (data) => {
+      if (game && game.isHost(socket.id)) game.setMultiBall(data?.enabled);
+    });
+
+    socket.removeAllListeners('setPowerUps');
+    socket.on('setPowerUps', (data) => {
+      if (game && game.isHost(socket.id)) game.setPowerUps(data?.enabled);
+    });
+
+    socket.removeAllListeners('setAimedBounces');
+    socket.on('setAimedBounces', (data) => {
+      if (game && game.isHost(socket.id)) game.setAimedBounces(data?.enabled);
+    });
+
+    socket.removeAllListeners('setLayout');
+    socket.on('setLayout', (data) => {
+      if (game && game.isHost(socket.id)) game.setLayout(data?.layout);
+    });
+
+    // Quick chat and emotes, rate limited per socket in ServerGame
+    socket.removeAllListeners('chat');
+    socket.on('chat', (data) => {
+      if (game) game.sendChat(socket.id, data);
+    });
+
+    socket.removeAllListeners('emote');
+    socket.on('emote', (data) => {
+      if (game) game.sendEmote(socket.id, data?.emote);
+    });
+
+    socket.removeAllListeners('setName');
+    socket.on('setName', (data) => {
+      if (game) game.setName(socket.id, data?.name);
+    });
+
+    // Seated players vote to pause or resume; the host decides alone
+    socket.removeAllListeners('pauseVote');
+    socket.on('pauseVote', (data) => {
+      if (game) game.votePause(socket.id, data?.paused);
+    });
+
+    // Host-only controls
+    socket.removeAllListeners('setRules');
+    socket.on('setRules', (data) => {
+      if (game && game.isHost(socket.id)) game.setRules(data?.rules);
+    });
+
+    socket.removeAllListeners('setLocked');
+    socket.on('setLocked', (data) => {
+      if (game && game.isHost(socket.id)) game.setLocked(data?.locked);
+    });
+
+    socket.removeAllListeners('forceStart');
+    socket.on('forceStart', () => {
+      if (game && game.isHost(socket.id)) game.forceStart();
+    });
+
+    socket.removeAllListeners('transferHost');
+    socket.on('transferHost', (data) => {
+      if (game && game.isHost(socket.id)) game.transferHost(data?.edgeIndex);
+    });
+
+    socket.removeAllListeners('swapEdges');
+    socket.on('swapEdges', (data) => {
+      if (game && game.isHost(socket.id)) game.swapEdges(data?.from, data?.to);
+    });
+
+    socket.removeAllListeners('kickPlayer');
+    socket.on('kickPlayer', (data) => {
+      if (!game || !game.isHost(socket.id)) return;
+      const kickedSocketId = game.kickPlayer(data?.edgeIndex, data?.ban === true);
+      if (kickedSocketId) io.sockets.sockets.get(kickedSocketId)?.disconnect(true);
     });
 
     // Handle disconnect specifically for this room context
     socket.on('disconnect', () => {
       console.log('user disconnected', socket.id);
       if (game) {
-        game.removePlayer(socket.id);
+        game.disconnectPlayer(socket.id);
 
-        // Clean up the game ONLY if no players remain
-        if (game.players.size === 0) {
+        // Clean up the game ONLY if no players remain (held edges count as players)
+        if (game.isEmpty()) {
           game.stop();
           games.delete(roomId);
           console.log(`Game for room ${roomId} cleaned up(empty)`);
@@ -0,0 +1,37 @@
+/**
+ * Build the public room listing served by /api/rooms.
+ * Private rooms (the default for invite-link games) are left out.
+ * @param {Map<string, import('./ServerGame.js').ServerGame>} games
+ * @param {string} instanceId
+ * @returns {object[]}
+ */
+export function listPublicRooms(games, instanceId) {
+  return Array.from(games.values())
+    .filter(game => game.isPublic)
+    .map(game => ({ ...game.getSummary(), instanceId }));
+}
+
+/**
+ * Ask the other instances for their public rooms, so the lobby shows every
+ * room a player could join rather than just the ones held here. Peers that
+ * are slow or unreachable are left out instead of failing the listing.
+ * @param {string[]} addresses Private IPv6 addresses of the other instances
+ * @param {number} port
+ * @param {{ fetch?: typeof fetch, timeoutMs?: number }} [options]
+ * @returns {Promise<object[]>}
+ */
+export async function fetchPeerRooms(addresses, port, { fetch: fetchImpl = fetch, timeoutMs = 1000 } = {}) {
+  const listings = await Promise.all(addresses.map(async (address) => {
+    try {
+      // scope=local stops the peer from asking everyone else in turn
+      const response = await fetchImpl(`http://[${address}]:${port}/api/rooms?scope=local`, {
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      const data = await response.json();
+      return Array.isArray(data?.rooms) ? data.rooms : [];
+    } catch {
+      return [];
+    }
+  }));
+  return listings.flat();
+}
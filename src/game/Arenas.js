@@ -0,0 +1,189 @@
+/**
+ * Custom arena outlines.
+ *
+ * An arena file is JSON:
+ *
+ *   {
+ *     "name": "Star",
+ *     "vertices": [[0, -1], [0.3, -0.4], ...],
+ *     "edges": [0, 2, 4]
+ *   }
+ *
+ * `vertices` are the corners in order (as [x, y] pairs or { x, y } objects),
+ * either way round, around the serve point at 0, 0. Parsed arenas always wind
+ * the same way as the regular polygons (positive signed area), so edge
+ * directions and inward normals never depend on how the file was written. Edge i runs from vertex i
+ * to vertex i + 1. Units don't matter: the outline is scaled so its farthest
+ * corner sits at the usual arena radius. `edges` lists the edges that can hold
+ * paddles; the rest are walls. It's optional (every edge is playable).
+ */
+
+export const ARENA_RADIUS = 250;
+export const MAX_ARENA_VERTICES = 16;
+const MAX_NAME_LENGTH = 24;
+
+// Built-in arenas, in the file format
+export const ARENAS = {
+    star: {
+        name: 'Star',
+        vertices: Array.from({ length: 10 }, (_, i) => {
+            const angle = (i * Math.PI) / 5 - Math.PI / 2;
+            const r = i % 2 === 0 ? 1 : 0.55;
+            return [Math.cos(angle) * r, Math.sin(angle) * r];
+        }),
+        edges: [0, 2, 4, 6, 8] // One side of each point
+    },
+    rectangle: {
+        name: 'Rectangle',
+        vertices: [[-1.6, -1], [1.6, -1], [1.6, 1], [-1.6, 1]]
+    },
+    lopsided: {
+        name: 'Lopsided',
+        vertices: [[-1, -0.7], [0.5, -1], [1.2, 0.1], [0.3, 0.9], [-0.8, 0.7]]
+    },
+    cross: {
+        name: 'Cross',
+        vertices: [
+            [-0.35, -1], [0.35, -1], [0.35, -0.35], [1, -0.35], [1, 0.35], [0.35, 0.35],
+            [0.35, 1], [-0.35, 1], [-0.35, 0.35], [-1, 0.35], [-1, -0.35], [-0.35, -0.35]
+        ],
+        edges: [0, 3, 6, 9] // The end of each arm
+    }
+};
+
+export const ARENA_NAMES = Object.keys(ARENAS);
+
+function toPoint(vertex) {
+    if (Array.isArray(vertex)) return { x: vertex[0], y: vertex[1] };
+    if (vertex && typeof vertex === 'object') return { x: vertex.x, y: vertex.y };
+    return { x: NaN, y: NaN };
+}
+
+function signedArea(points) {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        area += a.x * b.y - b.x * a.y;
+    }
+    return area / 2;
+}
+
+function segmentsCross(a, b, c, d) {
+    const cross = (p, q, r) => (q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x);
+    const d1 = cross(c, d, a);
+    const d2 = cross(c, d, b);
+    const d3 = cross(a, b, c);
+    const d4 = cross(a, b, d);
+    return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+/**
+ * Whether a point is inside a closed outline (even-odd rule).
+ * @param {{x: number, y: number}[]} points
+ * @param {{x: number, y: number}} point
+ * @returns {boolean}
+ */
+export function pointInOutline(points, point) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.y > point.y) !== (b.y > point.y) &&
+            point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Check an arena definition (parsed JSON or a JSON string).
+ * @param {object|string} data
+ * @returns {string|null} What's wrong with it, or null if it's usable
+ */
+export function validateArena(data) {
+    if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch {
+            return 'Not valid JSON';
+        }
+    }
+    if (!data || typeof data !== 'object') return 'Arena must be an object';
+    if (data.name !== undefined && (typeof data.name !== 'string' || data.name.length > MAX_NAME_LENGTH)) {
+        return `Name must be a string of at most ${MAX_NAME_LENGTH} characters`;
+    }
+    if (!Array.isArray(data.vertices) || data.vertices.length < 3 || data.vertices.length > MAX_ARENA_VERTICES) {
+        return `Arena needs 3 to ${MAX_ARENA_VERTICES} vertices`;
+    }
+
+    const points = data.vertices.map(toPoint);
+    if (points.some(p => !Number.isFinite(p.x) || !Number.isFinite(p.y))) return 'Vertices must be pairs of numbers';
+    if (Math.abs(signedArea(points)) < 1e-9) return 'Arena has no area';
+
+    const n = points.length;
+    for (let i = 0; i < n; i++) {
+        for (let j = i + 2; j < n; j++) {
+            if (i === 0 && j === n - 1) continue; // Neighbours share a corner
+            if (segmentsCross(points[i], points[(i + 1) % n], points[j], points[(j + 1) % n])) {
+                return 'Edges must not cross';
+            }
+        }
+    }
+    if (!pointInOutline(points, { x: 0, y: 0 })) return 'The centre (0, 0) must be inside the arena';
+
+    if (data.edges !== undefined) {
+        if (!Array.isArray(data.edges) || data.edges.length === 0) return 'Edges must be a non-empty list';
+        if (data.edges.some(e => !Number.isInteger(e) || e < 0 || e >= n)) return 'Edges must be vertex indexes';
+        if (new Set(data.edges).size !== data.edges.length) return 'Edges must not repeat';
+    }
+    return null;
+}
+
+/**
+ * Turn an arena definition into the shape the game uses: vertices as points
+ * scaled to `radius`, and the playable edges sorted. Outlines given the other
+ * way round are reversed, and the outline is rotated so edge 0 is always
+ * playable (local play puts the player there).
+ * @param {object|string} data Arena definition or JSON text
+ * @param {number} radius
+ * @returns {{ name: string, vertices: {x: number, y: number}[], edges: number[] }|null} null if invalid
+ */
+export function parseArena(data, radius = ARENA_RADIUS) {
+    if (validateArena(data)) return null;
+    if (typeof data === 'string') data = JSON.parse(data);
+
+    let points = data.vertices.map(toPoint);
+    const n = points.length;
+    let edges = data.edges ? [...data.edges] : points.map((_, i) => i);
+    if (signedArea(points) < 0) {
+        // Walk the other way round from vertex 0: old edge e becomes edge n - 1 - e
+        points = points.map((_, i) => points[(n - i) % n]);
+        edges = edges.map(e => n - 1 - e);
+    }
+    edges.sort((a, b) => a - b);
+    const shift = edges[0];
+    const farthest = Math.max(...points.map(p => Math.sqrt(p.x * p.x + p.y * p.y)));
+    const scale = radius / farthest;
+
+    return {
+        name: data.name || 'Custom',
+        vertices: points.map((_, i) => {
+            const p = points[(i + shift) % n];
+            return { x: p.x * scale, y: p.y * scale };
+        }),
+        edges: edges.map(e => (e - shift + n) % n).sort((a, b) => a - b)
+    };
+}
+
+/**
+ * Arena for a room: a built-in name or a definition sent by its creator.
+ * @param {string|object} value
+ * @returns {ReturnType<typeof parseArena>}
+ */
+export function resolveArena(value) {
+    if (typeof value === 'string') return ARENAS[value] ? parseArena(ARENAS[value]) : null;
+    if (value && typeof value === 'object') return parseArena(value);
+    return null;
+}
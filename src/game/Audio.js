@@ -5,6 +5,12 @@ export class AudioManager {
         this.masterGain.gain.value = 0.3; // Low volume
         this.masterGain.connect(this.ctx.destination);
 
+        // Music and sound effects have their own volume under the master
+        this.musicGain = this.ctx.createGain();
+        this.musicGain.connect(this.masterGain);
+        this.effectsGain = this.ctx.createGain();
+        this.effectsGain.connect(this.masterGain);
+
         this.isPlaying = false;
         this.nextNoteTime = 0;
         this.tempo = 120; // BPM
@@ -42,7 +48,7 @@ export class AudioManager {
         const gain = this.ctx.createGain();
 
         osc.connect(gain);
-        gain.connect(this.masterGain);
+        gain.connect(this.effectsGain);
 
         osc.type = 'sine';
         // Random pitch
@@ -62,7 +68,7 @@ export class AudioManager {
         const gain = this.ctx.createGain();
 
         osc.connect(gain);
-        gain.connect(this.masterGain);
+        gain.connect(this.effectsGain);
 
         osc.type = 'square';
         osc.frequency.setValueAtTime(150, this.ctx.currentTime);
@@ -94,7 +100,7 @@ export class AudioManager {
         const gain = this.ctx.createGain();
 
         osc.connect(gain);
-        gain.connect(this.masterGain);
+        gain.connect(this.musicGain);
 
         osc.type = 'triangle';
         // Pick random note from scale
@@ -114,6 +120,15 @@ export class AudioManager {
         this.tempo = 120 + (diff - 1) * 60;
     }
 
+    /**
+     * @param {number} music 0 to 1
+     * @param {number} effects 0 to 1
+     */
+    setVolumes(music, effects) {
+        this.musicGain.gain.value = music;
+        this.effectsGain.gain.value = effects;
+    }
+
     setMode(mode) {
         if (Object.values(this.modes).includes(mode)) {
             this.mode = mode;
@@ -1,5 +1,10 @@
+import { GAME_CONSTANTS } from './Constants.js';
+
 export class Ball {
     constructor(x, y) {
+        this.id = 0; // Tells balls apart in multi-ball (assigned by BaseGame.spawnBall)
+        this.lastHitEdge = null; // Paddle that last touched it; credited for power-ups
+        this.spin = 0; // Curve in rad/s (positive turns the velocity counter-clockwise in maths terms)
         this.x = x;
         this.y = y;
         this.radius = 8;
@@ -16,6 +21,16 @@ export class Ball {
     }
 
     update(dt) {
+        if (this.spin) {
+            // Spin curves the path: turn the velocity, then let the spin wear off
+            const turn = this.spin * dt;
+            const cos = Math.cos(turn);
+            const sin = Math.sin(turn);
+            [this.vx, this.vy] = [this.vx * cos - this.vy * sin, this.vx * sin + this.vy * cos];
+            this.spin *= Math.exp(-GAME_CONSTANTS.SPIN_DECAY * dt);
+            if (Math.abs(this.spin) < 0.01) this.spin = 0;
+        }
+
         this.x += this.vx * dt;
         this.y += this.vy * dt;
 
@@ -52,5 +67,15 @@ export class Ball {
         ctx.shadowColor = this.color;
         ctx.closePath();
         ctx.shadowBlur = 0;
+
+        // Spinning balls get a ring segment that turns with the spin
+        if (this.spin) {
+            const start = (Date.now() / 1000) * this.spin * 8;
+            ctx.beginPath();
+            ctx.arc(centerX + this.x, centerY + this.y, this.radius + 4, start, start + Math.min(Math.PI * 1.5, Math.abs(this.spin) * 2));
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+        }
     }
 }
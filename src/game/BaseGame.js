@@ -1,14 +1,43 @@
 import { Polygon } from './Polygon.js';
 import { Ball } from './Ball.js';
 import { GAME_CONSTANTS } from './Constants.js';
+import { POWERUP_KINDS, POWERUP_TYPES, randomArenaPoint } from './PowerUps.js';
+import { OBSTACLE_LAYOUTS, createObstacles } from './Obstacles.js';
+import { resolveRules } from './Rules.js';
 
 export class BaseGame {
-    constructor() {
+    /**
+     * @param {object} [rules] Per-game rules, validated with resolveRules
+     */
+    constructor(rules) {
+        this.rules = resolveRules(rules);
+
         // Game Objects
         this.polygon = new Polygon(250, 5);
-        this.ball = new Ball(0, 0);
+        this.balls = [new Ball(0, 0)];
         this.paddles = [];
 
+        // Multi-ball: extra balls join the rally at score/time thresholds
+        this.multiBall = false;
+        this.extraBallsSpawned = 0;
+        this.nextBallId = 1;
+
+        // Power-ups: pickups inside the arena and the timed effects they grant.
+        // Times are on the timeElapsed clock, so effects pause with the rally.
+        this.powerUpsEnabled = false;
+        this.powerUps = []; // { id, type, x, y, expiresAt }
+        this.effects = []; // { type, edgeIndex, endsAt }
+        this.powerUpTimer = GAME_CONSTANTS.POWERUP_INTERVAL;
+        this.nextPowerUpId = 1;
+
+        // Aimed bounces: where the ball meets the paddle sets its angle, and a
+        // moving paddle puts spin on it. Off means a plain mirror reflection.
+        this.aimedBounces = false;
+
+        // Obstacles: bumpers and short walls from a named layout
+        this.layout = 'none';
+        this.obstacles = [];
+
         // State
         this.gameState = 'SCORING';
         this.score = 0;
@@ -22,6 +51,15 @@ export class BaseGame {
         this.hasPlayed = false;
     }
 
+    /** The first ball; single-ball code paths use this one. */
+    get ball() {
+        return this.balls[0];
+    }
+
+    set ball(ball) {
+        this.balls[0] = ball;
+    }
+
     clearResults() {
         this.lastScore = 0;
         this.finalTime = 0;
@@ -34,36 +72,221 @@ export class BaseGame {
         }
     }
 
+    /**
+     * COUNTDOWN, PLAYING and PAUSED are all part of a round; SCORING is
+     * between rounds and TERMINATED is the end.
+     */
+    isRoundInProgress() {
+        return this.gameState === 'COUNTDOWN' || this.gameState === 'PLAYING' || this.gameState === 'PAUSED';
+    }
+
+    /**
+     * Freeze the round where it is: nothing moves until resume().
+     * @returns {boolean} Whether the game paused
+     */
+    pause() {
+        if (this.gameState !== 'PLAYING' && this.gameState !== 'COUNTDOWN') return false;
+        this.setGameState('PAUSED');
+        return true;
+    }
+
+    /**
+     * Carry on from where the round was paused, after the usual countdown.
+     * Balls keep their position and speed.
+     * @returns {boolean} Whether the game resumed
+     */
+    resume() {
+        if (this.gameState !== 'PAUSED') return false;
+        this.setGameState('COUNTDOWN');
+        this.countdownTimer = this.rules.countdownDuration;
+        return true;
+    }
+
     /**
      * Standard reset logic for starting a new round
      */
     resetState() {
         this.setGameState('COUNTDOWN');
-        this.countdownTimer = (GAME_CONSTANTS && GAME_CONSTANTS.COUNTDOWN_DURATION) || 3;
+        this.countdownTimer = this.rules.countdownDuration;
         this.celebrationTimer = 0;
         this.resetBall();
         this.difficulty = 1.0;
         this.score = 0;
         this.timeElapsed = 0;
+        this.powerUps = [];
+        this.effects = [];
+        this.powerUpTimer = GAME_CONSTANTS.POWERUP_INTERVAL;
 
         // Randomize rotation direction: 1 or -1
         this.rotationDirection = Math.random() < 0.5 ? 1 : -1;
-        this.polygon.rotationSpeed = GAME_CONSTANTS.ROTATION_SPEED_BASE * this.rotationDirection;
+        this.polygon.rotationSpeed = this.rules.rotationSpeedBase * this.rotationDirection;
         this.paddles.forEach(p => {
-            p.width = 0.5; // Reset to default relative width
+            p.width = this.rules.paddleWidthStart; // Reset to default relative width
             // ServerGame also resets position/moveDirection, but that's server specific
         });
     }
 
+    /**
+     * Back to a single ball served from the centre.
+     */
     resetBall() {
-        this.ball.x = 0;
-        this.ball.y = 0;
-        this.ball.trail = []; // Clear trail from previous game
-        this.ball.maxTrailLength = 20;
-        const speed = GAME_CONSTANTS.BALL_SPEED_BASE;
+        this.balls = [this.ball];
+        this.extraBallsSpawned = 0;
+        this.serveBall(this.ball);
+    }
+
+    serveBall(ball, speed = this.rules.ballSpeedBase) {
+        ball.x = 0;
+        ball.y = 0;
+        ball.trail = []; // Clear trail from previous game
+        ball.maxTrailLength = 20;
+        ball.lastHitEdge = null;
+        ball.spin = 0;
         const angle = Math.random() * Math.PI * 2;
-        this.ball.vx = Math.cos(angle) * speed;
-        this.ball.vy = Math.sin(angle) * speed;
+        ball.vx = Math.cos(angle) * speed;
+        ball.vy = Math.sin(angle) * speed;
+    }
+
+    /**
+     * Swap in a named obstacle layout (unknown names clear the arena).
+     * @param {string} layout Key of OBSTACLE_LAYOUTS
+     */
+    loadLayout(layout) {
+        this.layout = OBSTACLE_LAYOUTS[layout] ? layout : 'none';
+        this.obstacles = createObstacles(this.layout);
+        this.obstacles.forEach(o => o.update(this.polygon.rotation, this.timeElapsed));
+    }
+
+    /**
+     * Multi-ball: add a ball at the centre, at the current rally speed.
+     */
+    spawnBall() {
+        const ball = new Ball(0, 0);
+        ball.id = this.nextBallId++;
+        this.serveBall(ball, this.rules.ballSpeedBase * (this.difficulty ** 0.5));
+        this.balls.push(ball);
+        this.onBallSpawned(ball);
+        return ball;
+    }
+
+    /**
+     * Multi-ball: one extra ball per MULTIBALL_SCORE_STEP hits and per
+     * MULTIBALL_TIME_STEP seconds, up to MULTIBALL_MAX_BALLS in play.
+     */
+    checkBallSpawns() {
+        if (!this.multiBall) return;
+        const due = Math.floor(this.score / GAME_CONSTANTS.MULTIBALL_SCORE_STEP) +
+            Math.floor(this.timeElapsed / GAME_CONSTANTS.MULTIBALL_TIME_STEP);
+        while (this.extraBallsSpawned < due && this.balls.length < GAME_CONSTANTS.MULTIBALL_MAX_BALLS) {
+            this.spawnBall();
+            this.extraBallsSpawned++;
+        }
+    }
+
+    /**
+     * Power-ups: drop expired pickups and, every POWERUP_INTERVAL seconds of
+     * play, place a new one (up to POWERUP_MAX at a time).
+     * @param {number} dt
+     */
+    checkPowerUpSpawns(dt) {
+        if (!this.powerUpsEnabled) return;
+        this.powerUps = this.powerUps.filter(p => p.expiresAt > this.timeElapsed);
+
+        this.powerUpTimer -= dt;
+        if (this.powerUpTimer > 0) return;
+        this.powerUpTimer = GAME_CONSTANTS.POWERUP_INTERVAL;
+        if (this.powerUps.length < GAME_CONSTANTS.POWERUP_MAX) {
+            this.spawnPowerUp();
+        }
+    }
+
+    /**
+     * @param {string} type Key of POWERUP_TYPES (random if omitted)
+     * @param {{ x: number, y: number }} point Where to place it (random if omitted)
+     */
+    spawnPowerUp(type = POWERUP_KINDS[Math.floor(Math.random() * POWERUP_KINDS.length)], point = randomArenaPoint(this.polygon)) {
+        const powerUp = {
+            id: this.nextPowerUpId++,
+            type,
+            x: point.x,
+            y: point.y,
+            expiresAt: this.timeElapsed + GAME_CONSTANTS.POWERUP_LIFETIME
+        };
+        this.powerUps.push(powerUp);
+        return powerUp;
+    }
+
+    /**
+     * Collect any pickup the ball overlaps, on behalf of its last hitter.
+     * @param {Ball} ball
+     */
+    checkPowerUpPickups(ball) {
+        if (ball.lastHitEdge === null) return;
+        const reach = GAME_CONSTANTS.POWERUP_RADIUS + ball.radius;
+        const collected = this.powerUps.filter(p => (p.x - ball.x) ** 2 + (p.y - ball.y) ** 2 < reach ** 2);
+        if (collected.length === 0) return;
+
+        this.powerUps = this.powerUps.filter(p => !collected.includes(p));
+        collected.forEach(powerUp => {
+            this.activatePowerUp(powerUp.type, ball.lastHitEdge);
+            this.onPowerUpCollected(powerUp, ball.lastHitEdge);
+        });
+    }
+
+    /**
+     * Apply a power-up's effect. Collecting one that is already running
+     * restarts its timer instead of stacking.
+     * @param {string} type
+     * @param {number} edgeIndex Edge of the paddle credited with the pickup
+     */
+    activatePowerUp(type, edgeIndex) {
+        if (type === 'extraBall') {
+            if (this.balls.length < GAME_CONSTANTS.MULTIBALL_MAX_BALLS) this.spawnBall();
+            return;
+        }
+        if (type === 'slow') {
+            // Brake straight away; the speed floor in updateGameRules keeps it there
+            const slowSpeed = this.rules.ballSpeedBase * (this.difficulty ** 0.5) * GAME_CONSTANTS.POWERUP_SLOW_FACTOR;
+            this.balls.forEach(ball => {
+                const speed = Math.sqrt(ball.vx ** 2 + ball.vy ** 2);
+                if (speed > slowSpeed) {
+                    ball.vx *= slowSpeed / speed;
+                    ball.vy *= slowSpeed / speed;
+                }
+            });
+        }
+
+        const endsAt = this.timeElapsed + POWERUP_TYPES[type].duration;
+        const existing = this.effects.find(e => e.type === type && e.edgeIndex === edgeIndex);
+        if (existing) {
+            existing.endsAt = endsAt;
+        } else {
+            this.effects.push({ type, edgeIndex, endsAt });
+        }
+    }
+
+    /**
+     * @param {string} type
+     * @param {number} [edgeIndex] Only effects credited to this edge (any edge if omitted)
+     */
+    hasEffect(type, edgeIndex) {
+        return this.effects.some(e => e.type === type && (edgeIndex === undefined || e.edgeIndex === edgeIndex));
+    }
+
+    /** Reversed controls hit every paddle except the one that collected them. */
+    isReversed(edgeIndex) {
+        return this.effects.some(e => e.type === 'reverse' && e.edgeIndex !== edgeIndex);
+    }
+
+    /**
+     * Paddle width at the current difficulty under this game's rules, before power-ups.
+     * @returns {number}
+     */
+    getPaddleWidth() {
+        return Math.max(
+            this.rules.paddleWidthMin,
+            this.rules.paddleWidthBase / (this.difficulty * this.rules.paddleWidthDifficultyFactor)
+        );
     }
 
     /**
@@ -71,12 +294,19 @@ export class BaseGame {
      * @param {number} dt 
      */
     updateGameRules(dt) {
+        // Tracked in every state, so spin after a countdown or pause only reflects fresh movement
+        this.paddles.forEach(p => {
+            p.motion = dt > 0 ? Math.max(-1, Math.min(1, (p.position - p.lastPosition) / dt)) : 0;
+            p.lastPosition = p.position;
+        });
+
         if (this.celebrationTimer > 0) {
             this.celebrationTimer = Math.max(0, this.celebrationTimer - dt);
             if (this.celebrationTimer === 0) this.onCelebrationEnd();
         }
 
         if (this.gameState === 'SCORING' && this.celebrationTimer <= 0) return;
+        if (this.gameState === 'PAUSED') return;
 
         if (this.gameState === 'COUNTDOWN') {
             this.countdownTimer -= dt;
@@ -90,26 +320,33 @@ export class BaseGame {
         // Only progress difficulty and time during active play
         if (this.gameState === 'PLAYING') {
             this.timeElapsed += dt;
-            this.difficulty = 1 + this.timeElapsed / GAME_CONSTANTS.DIFFICULTY_RAMP;
+            this.difficulty = 1 + this.timeElapsed / this.rules.difficultyRamp;
+            this.effects = this.effects.filter(e => e.endsAt > this.timeElapsed);
+            this.checkBallSpawns();
+            this.checkPowerUpSpawns(dt);
         }
 
-        this.polygon.rotationSpeed = GAME_CONSTANTS.ROTATION_SPEED_BASE * this.difficulty * this.rotationDirection;
+        this.polygon.rotationSpeed = this.rules.rotationSpeedBase * this.difficulty * this.rotationDirection;
         this.polygon.update(dt);
+        this.obstacles.forEach(o => o.update(this.polygon.rotation, this.timeElapsed));
+
+        const slow = this.hasEffect('slow') ? GAME_CONSTANTS.POWERUP_SLOW_FACTOR : 1;
+        const targetSpeed = this.rules.ballSpeedBase * (this.difficulty ** 0.5) * slow;
+        this.balls.forEach(ball => {
+            const currentSpeed = Math.sqrt(ball.vx ** 2 + ball.vy ** 2);
+            if (currentSpeed < targetSpeed) {
+                const scale = targetSpeed / currentSpeed;
+                ball.vx *= scale;
+                ball.vy *= scale;
+            }
+        });
 
-        const currentSpeed = Math.sqrt(this.ball.vx ** 2 + this.ball.vy ** 2);
-        const targetSpeed = GAME_CONSTANTS.BALL_SPEED_BASE * (this.difficulty ** 0.5);
-
-        if (currentSpeed < targetSpeed) {
-            const scale = targetSpeed / currentSpeed;
-            this.ball.vx *= scale;
-            this.ball.vy *= scale;
-        }
-
-        const targetWidth = Math.max(
-            GAME_CONSTANTS.PADDLE_WIDTH_MIN,
-            GAME_CONSTANTS.PADDLE_WIDTH_BASE / (this.difficulty * GAME_CONSTANTS.PADDLE_WIDTH_DIFFICULTY_FACTOR)
-        );
-        this.paddles.forEach(p => p.width = targetWidth);
+        const targetWidth = this.getPaddleWidth();
+        this.paddles.forEach(p => {
+            p.width = this.hasEffect('wide', p.edgeIndex) ? Math.min(0.9, targetWidth * GAME_CONSTANTS.POWERUP_WIDE_FACTOR) : targetWidth;
+            // Only people get confused; bots would just steer the wrong way
+            p.reversed = !p.ai && !p.isBot && this.isReversed(p.edgeIndex);
+        });
     }
 
     /**
@@ -118,24 +355,29 @@ export class BaseGame {
      */
     update(dt) {
         if (this.gameState === 'SCORING' && this.celebrationTimer <= 0) return;
+        if (this.gameState === 'PAUSED') return;
 
-        const prevBallX = this.ball.x;
-        const prevBallY = this.ball.y;
+        const previous = this.balls.map(ball => ({ ball, x: ball.x, y: ball.y }));
 
         this.updateGameRules(dt);
 
         if (this.gameState === 'PLAYING' || (this.gameState === 'SCORING' && this.celebrationTimer > 0)) {
-            this.ball.update(dt);
+            previous.forEach(({ ball }) => ball.update(dt));
         }
 
-        if (this.gameState === 'PLAYING') {
-            this.checkCollisions(prevBallX, prevBallY);
+        // A goal can end the rally part-way through; the remaining balls stop colliding
+        for (const { ball, x, y } of previous) {
+            if (this.gameState !== 'PLAYING') break;
+            if (!this.balls.includes(ball)) continue;
+            this.checkCollisions(x, y, ball);
+            if (this.gameState !== 'PLAYING') break;
+            this.checkObstacleCollisions(x, y, ball);
+            this.checkPowerUpPickups(ball);
         }
     }
 
-    checkCollisions(prevX, prevY) {
+    checkCollisions(prevX, prevY, ball = this.ball) {
         const vertices = this.polygon.vertices;
-        const ball = this.ball;
         let collided = false;
 
         for (let i = 0; i < vertices.length; i++) {
@@ -164,14 +406,8 @@ export class BaseGame {
 
                 // Check if ball is moving TOWARD this wall
                 // Normal points inward, so moving out means dot(v, n) < 0
-                let nx = -(p2.y - p1.y);
-                let ny = (p2.x - p1.x);
-                const len = Math.sqrt(nx * nx + ny * ny);
-                nx /= len; ny /= len;
-                if (nx * (-(p1.x + p2.x) / 2) + ny * (-(p1.y + p2.y) / 2) < 0) {
-                    nx = -nx; ny = -ny;
-                }
-                const dot = this.ball.vx * nx + this.ball.vy * ny;
+                const { x: nx, y: ny } = this.polygon.inwardNormal(p1, p2);
+                const dot = ball.vx * nx + ball.vy * ny;
 
                 if (dot < 0) { // Only collide if moving OUTWARD
                     let hitPaddle = false;
@@ -183,15 +419,16 @@ export class BaseGame {
                     }
 
                     if (hitPaddle) {
-                        this.reflectBall(p1, p2);
-                        this.onPaddleHit(i);
+                        this.reflectBall(p1, p2, ball, this.paddles.find(p => p.edgeIndex === i));
+                        ball.lastHitEdge = i;
+                        this.onPaddleHit(i, ball);
                         collided = true;
-                    } else if (hasPaddle) {
-                        this.onGoal(i);
+                    } else if (hasPaddle && !this.hasEffect('shield', i)) {
+                        this.onGoal(i, ball);
                         return;
                     } else {
-                        this.reflectBall(p1, p2);
-                        this.onWallBounce(i);
+                        this.reflectBall(p1, p2, ball);
+                        this.onWallBounce(i, ball);
                         collided = true;
                     }
                 }
@@ -200,14 +437,74 @@ export class BaseGame {
         }
     }
 
+    /**
+     * Bounce the ball off the first obstacle it has reached this step.
+     * Bumpers push it straight out from their centre; walls reflect it back to
+     * the side it came from (their ends act like round caps).
+     * @param {number} prevX Ball position before this step
+     * @param {number} prevY
+     * @param {Ball} ball
+     */
+    checkObstacleCollisions(prevX, prevY, ball = this.ball) {
+        for (const obstacle of this.obstacles) {
+            let contact;
+            let nx;
+            let ny;
+            let reach = ball.radius;
+
+            if (obstacle.kind === 'bumper') {
+                const centre = { x: obstacle.x, y: obstacle.y };
+                const dist = this.getDistanceFromSegment(ball, centre, centre);
+                if (dist >= obstacle.radius + ball.radius) continue;
+                nx = dist > 0 ? (ball.x - centre.x) / dist : 1;
+                ny = dist > 0 ? (ball.y - centre.y) / dist : 0;
+                contact = centre;
+                reach += obstacle.radius;
+            } else {
+                const { p1, p2 } = obstacle;
+                const intersect = this.getLineIntersection(prevX, prevY, ball.x, ball.y, p1.x, p1.y, p2.x, p2.y);
+                const dist = this.getDistanceFromSegment(ball, p1, p2);
+                if (!intersect && dist >= ball.radius) continue;
+
+                if (intersect || dist === 0) {
+                    // Went through (or sits on) the wall: use its normal, facing where the ball came from
+                    const len = Math.sqrt((p2.x - p1.x) ** 2 + (p2.y - p1.y) ** 2);
+                    nx = -(p2.y - p1.y) / len;
+                    ny = (p2.x - p1.x) / len;
+                    if (nx * (prevX - p1.x) + ny * (prevY - p1.y) < 0) {
+                        nx = -nx; ny = -ny;
+                    }
+                    contact = intersect || this.getClosestPointOnSegment(p1, p2, ball);
+                } else {
+                    contact = this.getClosestPointOnSegment(p1, p2, ball);
+                    nx = (ball.x - contact.x) / dist;
+                    ny = (ball.y - contact.y) / dist;
+                }
+            }
+
+            const dot = ball.vx * nx + ball.vy * ny;
+            if (dot >= 0) continue; // Already heading away
+
+            ball.vx -= 2 * dot * nx;
+            ball.vy -= 2 * dot * ny;
+            ball.x = contact.x + nx * (reach + 1);
+            ball.y = contact.y + ny * (reach + 1);
+            this.onObstacleBounce(obstacle, ball);
+            return;
+        }
+    }
+
     // Hooks for interaction/audio/networking
-    onPaddleHit(_edgeIndex) {
+    onPaddleHit(_edgeIndex, _ball) {
         this.score++;
     }
-    onWallBounce(_edgeIndex) { }
-    onGoal(_edgeIndex) {
+    onWallBounce(_edgeIndex, _ball) { }
+    onGoal(_edgeIndex, _ball) {
         this.startCelebration();
     }
+    onBallSpawned(_ball) { }
+    onPowerUpCollected(_powerUp, _edgeIndex) { }
+    onObstacleBounce(_obstacle, _ball) { }
 
     startCelebration() {
         this.setGameState('SCORING');
@@ -218,34 +515,34 @@ export class BaseGame {
         this.difficulty = 1.0;
         this.score = 0;
         this.timeElapsed = 0;
-        this.paddles.forEach(p => p.width = 0.5);
-    }
-
-    reflectBall(p1, p2) {
-        const mx = (p1.x + p2.x) / 2;
-        const my = (p1.y + p2.y) / 2;
-        let nx = -(p2.y - p1.y);
-        let ny = (p2.x - p1.x);
-        const len = Math.sqrt(nx * nx + ny * ny);
-        nx /= len;
-        ny /= len;
-
-        // Ensure normal points INWARD
-        if (nx * (-mx) + ny * (-my) < 0) {
-            nx = -nx;
-            ny = -ny;
-        }
+        this.paddles.forEach(p => p.width = this.rules.paddleWidthStart);
+    }
+
+    /**
+     * Bounce the ball back inside off the edge p1-p2. Walls (and paddles, unless
+     * aimed bounces are on) mirror it about the edge normal.
+     * @param {{x: number, y: number}} p1
+     * @param {{x: number, y: number}} p2
+     * @param {Ball} ball
+     * @param {import('./Paddle.js').Paddle|null} paddle The paddle it hit, if any
+     */
+    reflectBall(p1, p2, ball = this.ball, paddle = null) {
+        const { x: nx, y: ny } = this.polygon.inwardNormal(p1, p2);
+
+        const dot = ball.vx * nx + ball.vy * ny;
+        ball.vx = ball.vx - 2 * dot * nx;
+        ball.vy = ball.vy - 2 * dot * ny;
 
-        const dot = this.ball.vx * nx + this.ball.vy * ny;
-        this.ball.vx = this.ball.vx - 2 * dot * nx;
-        this.ball.vy = this.ball.vy - 2 * dot * ny;
+        if (paddle && this.aimedBounces) {
+            this.aimBall(ball, p1, p2, nx, ny, paddle);
+        }
 
         // Push along normal to prevent immediate re-collision
-        this.ball.x += nx * 4;
-        this.ball.y += ny * 4;
+        ball.x += nx * 4;
+        ball.y += ny * 4;
 
-        this.ball.vx *= GAME_CONSTANTS.BALL_SPEED_INCREASE;
-        this.ball.vy *= GAME_CONSTANTS.BALL_SPEED_INCREASE;
+        ball.vx *= this.rules.ballSpeedIncrease;
+        ball.vy *= this.rules.ballSpeedIncrease;
     }
 
 
@@ -286,6 +583,37 @@ export class BaseGame {
         return { x: p1.x + t * edgeX, y: p1.y + t * edgeY };
     }
 
+    /**
+     * Aimed bounces: the hit offset from the paddle's centre (-1 at the p1 end,
+     * 1 at the p2 end) turns the outgoing direction up to AIM_MAX_ANGLE off the
+     * normal, towards that end. The paddle's motion becomes spin that curves the
+     * ball the way the paddle was moving.
+     * @param {Ball} ball
+     * @param {{x: number, y: number}} p1
+     * @param {{x: number, y: number}} p2
+     * @param {number} nx Inward unit normal
+     * @param {number} ny
+     * @param {import('./Paddle.js').Paddle} paddle
+     */
+    aimBall(ball, p1, p2, nx, ny, paddle) {
+        const ex = p2.x - p1.x;
+        const ey = p2.y - p1.y;
+        const len = Math.sqrt(ex * ex + ey * ey);
+        const tx = ex / len;
+        const ty = ey / len;
+
+        const hitT = ((ball.x - p1.x) * ex + (ball.y - p1.y) * ey) / (len * len);
+        const offset = Math.max(-1, Math.min(1, (hitT - paddle.position) / (paddle.width / 2)));
+        const angle = offset * GAME_CONSTANTS.AIM_MAX_ANGLE;
+        const speed = Math.sqrt(ball.vx ** 2 + ball.vy ** 2);
+        ball.vx = (nx * Math.cos(angle) + tx * Math.sin(angle)) * speed;
+        ball.vy = (ny * Math.cos(angle) + ty * Math.sin(angle)) * speed;
+
+        // Positive spin turns the normal towards (-ny, nx); flip it if that's not the paddle's +t
+        const handedness = -ny * tx + nx * ty > 0 ? 1 : -1;
+        ball.spin = paddle.motion * GAME_CONSTANTS.SPIN_MAX * handedness;
+    }
+
     checkPaddleHit(ball, p1, p2, paddle, graceMultiplier = 1.0) {
         const edgeX = p2.x - p1.x;
         const edgeY = p2.y - p1.y;
@@ -0,0 +1,160 @@
+/**
+ * Computer-controlled paddles.
+ *
+ * A bot predicts where the ball will cross its edge by tracing the ball's
+ * straight-line path through wall bounces, then steers towards that point.
+ * Difficulty levels trade off how often it re-plans, how far off its guess
+ * is and how fast it may move.
+ */
+
+export const BOT_DIFFICULTIES = {
+    easy: { reactionDelay: 0.35, predictionError: 0.2, maxSpeed: 0.55 },
+    normal: { reactionDelay: 0.2, predictionError: 0.1, maxSpeed: 0.8 },
+    hard: { reactionDelay: 0.08, predictionError: 0.03, maxSpeed: 1.0 }
+};
+
+// Room setting values, in menu order
+export const BOT_LEVELS = ['off', ...Object.keys(BOT_DIFFICULTIES)];
+
+const MAX_BOUNCES = 3;
+const ARRIVAL_DEADZONE = 0.01; // Close enough: stop instead of jittering
+const SLOWDOWN_RANGE = 0.05; // Ease off within this distance of the target
+
+/**
+ * Trace the ball's path through the polygon and find where it will reach an edge.
+ * Other edges are treated as plain walls, and the edge's rotation during the
+ * flight time is compensated for.
+ * @param {import('./BaseGame.js').BaseGame} game
+ * @param {number} edgeIndex
+ * @param {number} maxBounces
+ * @param {import('./Ball.js').Ball} ball
+ * @returns {{ position: number, time: number }|null} Normalized position along
+ *   the edge and seconds until arrival, or null if the ball won't get there soon
+ */
+export function predictBallArrival(game, edgeIndex, maxBounces = MAX_BOUNCES, ball = game.ball) {
+    const vertices = game.polygon.vertices;
+    const n = vertices.length;
+    let { x, y, vx, vy } = ball;
+    let time = 0;
+
+    for (let bounce = 0; bounce <= maxBounces; bounce++) {
+        // Nearest edge along the ray: (x, y) + s * (vx, vy) = p1 + u * (p2 - p1)
+        let hit = null;
+        for (let i = 0; i < n; i++) {
+            const p1 = vertices[i];
+            const p2 = vertices[(i + 1) % n];
+            const ex = p2.x - p1.x;
+            const ey = p2.y - p1.y;
+            const denom = vx * ey - vy * ex;
+            if (denom === 0) continue;
+            const dx = p1.x - x;
+            const dy = p1.y - y;
+            const s = (dx * ey - dy * ex) / denom;
+            const u = (dx * vy - dy * vx) / denom;
+            if (s > 1e-6 && u >= 0 && u <= 1 && (!hit || s < hit.s)) {
+                hit = { i, s, ex, ey };
+            }
+        }
+        if (!hit) return null;
+
+        time += hit.s;
+        x += vx * hit.s;
+        y += vy * hit.s;
+
+        if (hit.i === edgeIndex) {
+            // The edge keeps rotating while the ball travels; measure against where it will be
+            const angle = -game.polygon.rotationSpeed * time;
+            const rx = x * Math.cos(angle) - y * Math.sin(angle);
+            const ry = x * Math.sin(angle) + y * Math.cos(angle);
+            const p1 = vertices[edgeIndex];
+            const position = ((rx - p1.x) * hit.ex + (ry - p1.y) * hit.ey) / (hit.ex ** 2 + hit.ey ** 2);
+            return { position: Math.max(0, Math.min(1, position)), time };
+        }
+
+        // Bounce off the wall (or another player's paddle) and keep tracing
+        const len = Math.sqrt(hit.ex ** 2 + hit.ey ** 2);
+        const nx = -hit.ey / len;
+        const ny = hit.ex / len;
+        const dot = vx * nx + vy * ny;
+        vx -= 2 * dot * nx;
+        vy -= 2 * dot * ny;
+    }
+
+    return null;
+}
+
+export class BotController {
+    /**
+     * @param {string} difficulty Key of BOT_DIFFICULTIES
+     * @param {() => number} random Injectable for deterministic tests
+     */
+    constructor(difficulty = 'normal', random = Math.random) {
+        this.random = random;
+        this.setDifficulty(difficulty);
+        this.reset();
+    }
+
+    setDifficulty(difficulty) {
+        this.difficulty = BOT_DIFFICULTIES[difficulty] ? difficulty : 'normal';
+        this.settings = BOT_DIFFICULTIES[this.difficulty];
+    }
+
+    reset() {
+        this.target = 0.5;
+        this.reactionTimer = 0;
+        this.error = 0;
+        this.lastHeading = null;
+    }
+
+    /**
+     * Decide which way to move this tick.
+     * @param {import('./BaseGame.js').BaseGame} game
+     * @param {import('./Paddle.js').Paddle} paddle
+     * @param {number} dt
+     * @returns {number} Direction in [-maxSpeed, maxSpeed]
+     */
+    update(game, paddle, dt) {
+        if (game.gameState !== 'PLAYING') {
+            // Drift back to the middle between rallies
+            this.target = 0.5;
+            this.reactionTimer = 0;
+            return this.steer(paddle);
+        }
+
+        this.reactionTimer -= dt;
+        if (this.reactionTimer <= 0) {
+            this.reactionTimer = this.settings.reactionDelay;
+            this.plan(game, paddle.edgeIndex);
+        }
+
+        return this.steer(paddle);
+    }
+
+    plan(game, edgeIndex) {
+        // With several balls in play, defend against whichever arrives first
+        let arrival = null;
+        let ball = game.ball;
+        game.balls.forEach(candidate => {
+            const a = predictBallArrival(game, edgeIndex, MAX_BOUNCES, candidate);
+            if (a && (!arrival || a.time < arrival.time)) {
+                arrival = a;
+                ball = candidate;
+            }
+        });
+
+        // Pick a fresh aiming error whenever the ball changes course, not every re-plan
+        const heading = Math.atan2(ball.vy, ball.vx);
+        if (this.lastHeading === null || Math.abs(heading - this.lastHeading) > 0.01) {
+            this.error = (this.random() * 2 - 1) * this.settings.predictionError;
+            this.lastHeading = heading;
+        }
+
+        this.target = arrival ? arrival.position + this.error : 0.5;
+    }
+
+    steer(paddle) {
+        const diff = this.target - paddle.position;
+        if (Math.abs(diff) < ARRIVAL_DEADZONE) return 0;
+        return Math.sign(diff) * this.settings.maxSpeed * Math.min(1, Math.abs(diff) / SLOWDOWN_RANGE);
+    }
+}
@@ -0,0 +1,78 @@
+/**
+ * Optional player-centred view.
+ *
+ * 'follow' turns the view so the local player's edge sits at the bottom of
+ * the screen, counter-rotating as the arena spins; 'smooth' does the same but
+ * eases into new positions (a new edge, a reshaped arena) instead of jumping.
+ * 'world' draws the arena as it is.
+ */
+
+export const CAMERA_MODES = ['world', 'follow', 'smooth'];
+
+// How quickly 'smooth' closes the gap to where it should be, per second
+const SMOOTHING_RATE = 3;
+
+export class Camera {
+    constructor(mode = 'world') {
+        this.mode = mode;
+        this.angle = 0; // View rotation applied on top of the arena's own
+        this.following = false;
+        this.rightward = 1; // Paddle direction that moves right on screen
+        this.lastRotation = null;
+    }
+
+    /**
+     * @param {number} dt
+     * @param {import('./Polygon.js').Polygon} polygon
+     * @param {number|null} edgeIndex Edge to keep at the bottom; null shows the world as it is
+     */
+    update(dt, polygon, edgeIndex) {
+        const vertices = polygon.vertices;
+        this.following = this.mode !== 'world' && edgeIndex !== null && edgeIndex < vertices.length;
+
+        // Cancel the arena's spin exactly, so smoothing only eases jumps
+        if (this.following && this.lastRotation !== null) {
+            this.angle -= polygon.rotation - this.lastRotation;
+        }
+        this.lastRotation = polygon.rotation;
+
+        let target = 0;
+        const p1 = this.following ? vertices[edgeIndex] : null;
+        const p2 = this.following ? vertices[(edgeIndex + 1) % vertices.length] : null;
+        if (this.following) {
+            target = Math.PI / 2 - Math.atan2(p1.y + p2.y, p1.x + p2.x);
+        }
+        const gap = wrapAngle(target - this.angle);
+        const step = this.mode === 'smooth' ? gap * Math.min(1, dt * SMOOTHING_RATE) : gap;
+        this.angle = wrapAngle(this.angle + step);
+
+        // Read off the edge as drawn, rather than assuming which way the outline winds
+        this.rightward = 1;
+        if (this.following) {
+            const screenX = (p2.x - p1.x) * Math.cos(this.angle) - (p2.y - p1.y) * Math.sin(this.angle);
+            this.rightward = screenX < 0 ? -1 : 1;
+        }
+    }
+
+    /**
+     * Point on screen (relative to the arena centre, unscaled) to arena coordinates.
+     * @param {{ x: number, y: number }} point
+     */
+    toWorld(point) {
+        const cos = Math.cos(-this.angle);
+        const sin = Math.sin(-this.angle);
+        return { x: point.x * cos - point.y * sin, y: point.x * sin + point.y * cos };
+    }
+
+    /**
+     * Left/right as seen on screen to a paddle direction along our edge.
+     * @param {number} dir -1 (left) to 1 (right)
+     */
+    inputDirection(dir) {
+        return this.following ? dir * this.rightward : dir;
+    }
+}
+
+function wrapAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
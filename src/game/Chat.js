@@ -0,0 +1,39 @@
+/**
+ * Quick chat and emotes for online rooms.
+ *
+ * Quick phrases and emotes travel as indexes into these fixed lists and
+ * float next to the sender's paddle, so nothing a player types is drawn over
+ * the arena. Free text only shows up in the chat log between rounds.
+ */
+
+export const QUICK_PHRASES = ['NICE SAVE!', 'GOOD GAME', 'READY?', 'SORRY!', 'WELL PLAYED', 'ONE MORE?'];
+export const EMOTES = ['👍', '😂', '😮', '😡', '🔥', '👋'];
+
+export const CHAT_MAX_LENGTH = 120;
+export const DISPLAY_NAME_MAX_LENGTH = 16;
+
+// Rate limit per sender: a short burst, then one message every CHAT_REFILL_SECONDS
+export const CHAT_BURST = 4;
+export const CHAT_REFILL_SECONDS = 2;
+
+/**
+ * Tidy free text for the chat log: no control characters or runs of
+ * whitespace, and no longer than CHAT_MAX_LENGTH.
+ * @param {unknown} text
+ * @returns {string|null} null if there's nothing left to send
+ */
+export function sanitizeChatText(text) {
+    if (typeof text !== 'string') return null;
+    const clean = text.replace(/\p{Cc}/gu, ' ').replace(/\s+/g, ' ').trim().slice(0, CHAT_MAX_LENGTH);
+    return clean.length > 0 ? clean : null;
+}
+
+/**
+ * Tidy a display name the same way, no longer than DISPLAY_NAME_MAX_LENGTH.
+ * @param {unknown} name
+ * @returns {string|null} null if there's nothing usable
+ */
+export function sanitizeDisplayName(name) {
+    const clean = sanitizeChatText(name);
+    return clean ? clean.slice(0, DISPLAY_NAME_MAX_LENGTH).trim() : null;
+}
@@ -1,13 +1,39 @@
+// Fixed game constants. The gameplay tunables among them are only defaults:
+// games read those from their rules object (see Rules.js).
 export const GAME_CONSTANTS = {
     BALL_SPEED_BASE: 200,
     BALL_SPEED_INCREASE: 1.0125,
     DIFFICULTY_RAMP: 90, // Combined with timeElapsed to calculate difficulty
     ROTATION_SPEED_BASE: 0.125,
+    PADDLE_WIDTH_START: 0.5, // Paddle width between rounds, before difficulty narrows it
     PADDLE_WIDTH_BASE: 0.4,
     PADDLE_WIDTH_MIN: 0.1,
     PADDLE_WIDTH_DIFFICULTY_FACTOR: 0.8,
     BALL_RADIUS: 5, // Indirectly used, maybe
     COLLISION_GRACE: 1.1,
-    GAME_FPS: 60,
-    COUNTDOWN_DURATION: 3
+    COUNTDOWN_DURATION: 3,
+    VERSUS_WIN_SCORE: 5, // Points needed to win a local match against AI opponents
+    STARTING_LIVES: 3, // Elimination ruleset: goals each edge can concede
+    SERVE_DELAY: 1.5, // Elimination ruleset: pause before re-serving after a lost life
+    MIN_SIDES: 3, // Reshaping arenas: fewest edges (used for 1-3 players)
+    MAX_SIDES: 8, // Reshaping arenas: most edges, i.e. room capacity
+    MULTIBALL_SCORE_STEP: 10, // Multi-ball: an extra ball every N shared hits...
+    MULTIBALL_TIME_STEP: 20, // ...and every N seconds of play
+    MULTIBALL_MAX_BALLS: 4, // Multi-ball: most balls in play at once
+    POWERUP_INTERVAL: 8, // Power-ups: seconds of play between spawns
+    POWERUP_LIFETIME: 12, // Power-ups: seconds an uncollected pickup stays
+    POWERUP_MAX: 2, // Power-ups: most pickups in the arena at once
+    POWERUP_RADIUS: 14,
+    POWERUP_WIDE_FACTOR: 1.6, // Wide paddle: width multiplier
+    POWERUP_SLOW_FACTOR: 0.6, // Slow ball: speed multiplier
+    AIM_MAX_ANGLE: Math.PI / 3, // Aimed bounces: angle off the normal for a hit on the paddle's tip
+    SPIN_MAX: 1.2, // Aimed bounces: spin (rad/s of curve) from a paddle at full speed
+    SPIN_DECAY: 0.8, // Aimed bounces: how quickly spin wears off (per second)
+    PAUSES_PER_PLAYER: 2, // Online: pauses each player may call per round
+    PAUSE_VOTE_SECONDS: 10, // Online: how long a pause (or resume) vote stays open
+    PAUSE_MAX_SECONDS: 60 // Online: a pause nobody ends resumes by itself
 };
+
+// Online rulesets: 'coop' shares one score and any goal ends the round;
+// 'elimination' gives every edge lives and the last paddle standing wins.
+export const RULESETS = ['coop', 'elimination'];
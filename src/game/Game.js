@@ -1,8 +1,34 @@
+import { Ball } from './Ball.js';
 import { Paddle } from './Paddle.js';
 import { AudioManager } from './Audio.js';
 import { BaseGame } from './BaseGame.js';
+import { BINARY_PROTOCOL, StateDecoder } from './StateCodec.js';
+import { BotController, BOT_DIFFICULTIES, BOT_LEVELS } from './BotController.js';
+import { GAME_CONSTANTS, RULESETS } from './Constants.js';
+import { POWERUP_TYPES } from './PowerUps.js';
+import { OBSTACLE_LAYOUT_NAMES } from './Obstacles.js';
+import { ARENAS, ARENA_NAMES, parseArena, validateArena } from './Arenas.js';
+import { resolveRules } from './Rules.js';
+import { EMOTES, QUICK_PHRASES, sanitizeChatText } from './Chat.js';
+import { gamepadDirection, gamepadPresses } from './Gamepad.js';
+import { CONTROL_SCHEMES, pointerTarget } from './Pointer.js';
+import { CAMERA_MODES, Camera } from './Camera.js';
+import { THEMES, loadSettings, resolveSettings, saveSettings } from './Settings.js';
+import { HOTSEAT_KEYS, HOTSEAT_MAX_PLAYERS, HOTSEAT_MIN_PLAYERS, assignHotSeatEdges, keyDirection, touchDirection, touchedPaddle } from './HotSeat.js';
 import { io } from 'socket.io-client';
 
+const CHAT_LOG_SIZE = 30;
+const EMOTE_BUBBLE_SECONDS = 2.5;
+
+// How pickups and active effects look in the arena and the HUD
+const POWERUP_STYLES = {
+    wide: { icon: '↔', label: 'WIDE', color: '#4ade80' },
+    slow: { icon: '❄', label: 'SLOW', color: '#38bdf8' },
+    shield: { icon: '◆', label: 'SHIELD', color: '#facc15' },
+    reverse: { icon: '⇄', label: 'REVERSE', color: '#f472b6' },
+    extraBall: { icon: '+', label: 'BALL', color: '#ffffff' }
+};
+
 export class Game extends BaseGame {
     constructor(canvas) {
         super();
@@ -12,6 +38,10 @@ export class Game extends BaseGame {
 
         this.audio = new AudioManager();
 
+        // Saved preferences (see Settings.js), applied by applySettings below
+        const prefersReducedMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ?? false;
+        this.settings = loadSettings({ reducedMotion: prefersReducedMotion });
+
         // State
         this.mode = 'local'; // 'local' or 'online'
         this.socket = null;
@@ -21,10 +51,68 @@ export class Game extends BaseGame {
         this.hasPlayed = false;
 
         this.readyEdges = [];
+        this.disconnectedEdges = []; // Edges held for players who are reconnecting
+        this.spectatorCount = 0;
+        this.wantsToPlay = false; // Spectator queued for the next free edge
+        this.botDifficulty = 'off'; // Room setting: bots on edges nobody is playing
+        this.ruleset = 'coop'; // Room setting: 'coop' or 'elimination'
+        this.multiBall = false; // Room (or local) setting: extra balls join long rallies
+        this.edgeStats = {}; // edgeIndex -> { hits, lives } from the server
+        this.names = {}; // edgeIndex -> display name, for players who have set one
+        this.eliminatedEdges = [];
+        this.winnerEdge = null;
+
+        // Local versus mode: AI paddles on other edges, first to VERSUS_WIN_SCORE wins
+        this.opponentCount = 0; // 0 = classic survival
+        this.opponentSkill = 'normal';
+        // Local hot-seat: players sharing this device, each with an edge (0 = off)
+        this.hotSeatCount = 0;
+        this.hotSeatTouches = []; // Fingers on the screen, in arena coordinates
+        this.hotSeatHits = {}; // edgeIndex -> hits this round
+        this.missedEdge = null; // Edge the ball last got past
+        // Arena for local play and for rooms we create: null (classic pentagon),
+        // a key of ARENAS, or 'file' for one loaded from an arena file
+        this.arenaKey = null;
+        this.arena = null;
+        this.arenaFile = null;
+        this.roomArena = null; // Custom arena of the room we're in, from init
+        this.menuKey = null; // What the menu last showed from a snapshot, see getMenuKey
+        this.arenaFileError = null;
+
+        // Online room host (see ServerGame.updateHost)
+        this.hostEdge = null;
+        this.roomLocked = false;
+        this.forceStartAt = null; // Server time (ms) the host may start without everyone ready
+
+        // Quick chat and emotes (see Chat.js); muting hides everyone else's
+        this.chatLog = []; // { edgeIndex, text }, oldest first
+        this.emoteBubbles = []; // { edgeIndex, label, age } floating by paddles
+        this.chatMuted = this.loadChatMuted();
+        this.onChat = null; // Called when the chat log changes
+
+        // Online pause votes (see ServerGame.votePause)
+        this.pauseVote = null; // { action, votes, needed }
+        this.pausedByEdge = null;
+        this.pauseTimeLeft = null;
+        this.pausesLeft = {}; // edgeIndex -> pauses left this round
+        this.paddleScores = {}; // edgeIndex -> points
+        this.lastHitEdge = null;
+        this.lastPointEdge = null; // Who scored the last point (null: nobody)
+        this.versusWinner = null;
+
+        this.sessionToken = null; // Lets us reclaim our paddle after a dropped connection
+        this.connectionLost = false;
+        this.roomAccess = { password: null, invite: null }; // What got us into the room, for rejoining
 
         this.onStateChange = null;
+        this.onRoomInvite = null; // Called with the room's invite token, for share links
+        this.onPasswordRequired = null; // Called when the room wants a password (true: the last one was wrong)
         this.serverClockOffset = 0; // Estimated difference: serverTime - clientTime
-        this.localHistory = []; // { position, timestamp } stores for local reconciliation
+        // Client-side prediction: inputs are numbered and kept until the server
+        // acknowledges them, then replayed on top of the server's position.
+        this.inputSeq = 0;
+        this.pendingInputs = []; // { seq, dir | target, dt }
+        this.localPaddle = null;
 
         window.addEventListener('resize', () => this.resize());
 
@@ -35,23 +123,59 @@ export class Game extends BaseGame {
             if (document.querySelector('.modal-overlay.visible')) return;
 
             this.keys[e.code] = true;
+            const isUIElement = ['BUTTON', 'A', 'INPUT', 'TEXTAREA'].includes(e.target.tagName);
 
             // Restart actions: only handle if target is NOT an interactive element (buttons handle their own)
             if ((e.code === 'Space' || e.code === 'Enter')) {
-                const isUIElement = ['BUTTON', 'A', 'INPUT', 'TEXTAREA'].includes(e.target.tagName);
                 if (!isUIElement) {
                     this.audio.init();
                     this.handleRestartAction();
                 }
             }
+
+            if (e.code === 'KeyP' && !isUIElement) this.togglePause();
+
+            // Number keys send emotes in online rooms
+            const emote = Number(e.code.replace('Digit', '')) - 1;
+            if (e.code.startsWith('Digit') && !isUIElement && emote >= 0 && emote < EMOTES.length) {
+                this.sendEmote(emote);
+            }
         });
         window.addEventListener('keyup', (e) => this.keys[e.code] = false);
 
+        // Local games pause when the tab is hidden; online rooms play on
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden && this.mode === 'local' && this.pause()) this.refreshMenu();
+        });
+
+        // Gamepads are polled every frame (see pollGamepads)
+        this.gamepadDirs = []; // Analog direction of each connected pad, in pad order
+        this.gamepadHeld = new Map(); // pad.index -> buttons held at the last poll
+
+        // Player-centred view (see Camera.js)
+        this.camera = new Camera();
+
+        // Pointer control: the paddle heads for where the mouse (or a pressed
+        // pen or finger) points, instead of touch halves steering it
+        this.controlScheme = 'keys';
+        this.pointerPoint = null; // Arena coordinates, while the pointer steers
+        this.canvas.addEventListener('pointerdown', (e) => this.handlePointer(e));
+        this.canvas.addEventListener('pointermove', (e) => this.handlePointer(e));
+        this.canvas.addEventListener('pointerup', (e) => {
+            if (e.pointerType !== 'mouse') this.pointerPoint = null;
+        });
+        this.canvas.addEventListener('pointercancel', () => this.pointerPoint = null);
+
+        this.applySettings();
+
         // Touch
         this.touchDir = 0;
         this.canvas.addEventListener('touchstart', (e) => this.handleTouch(e), { passive: false });
         this.canvas.addEventListener('touchmove', (e) => this.handleTouch(e), { passive: false });
-        this.canvas.addEventListener('touchend', () => this.touchDir = 0);
+        this.canvas.addEventListener('touchend', (e) => {
+            this.touchDir = 0;
+            this.hotSeatTouches = this.getArenaTouches(e.touches);
+        });
 
         // Audio & Visual init
         const initAudio = () => {
@@ -72,6 +196,80 @@ export class Game extends BaseGame {
                 this.handleRestartAction();
             });
         }
+        this.rulesetBtn = document.getElementById('rulesetBtn');
+        if (this.rulesetBtn) {
+            this.rulesetBtn.addEventListener('click', () => this.cycleRuleset());
+        }
+        this.powerUpsBtn = document.getElementById('powerUpsBtn');
+        if (this.powerUpsBtn) {
+            this.powerUpsBtn.addEventListener('click', () => this.togglePowerUps());
+        }
+        this.layoutBtn = document.getElementById('layoutBtn');
+        if (this.layoutBtn) {
+            this.layoutBtn.addEventListener('click', () => this.cycleLayout());
+        }
+        this.arenaBtn = document.getElementById('arenaBtn');
+        if (this.arenaBtn) {
+            this.arenaBtn.addEventListener('click', () => this.cycleArena());
+        }
+        this.forceStartBtn = document.getElementById('forceStartBtn');
+        if (this.forceStartBtn) {
+            this.forceStartBtn.addEventListener('click', () => this.forceStart());
+        }
+        this.hostBtn = document.getElementById('hostBtn');
+        this.pauseBtn = document.getElementById('pauseToggle');
+        if (this.pauseBtn) {
+            this.pauseBtn.addEventListener('click', () => this.togglePause());
+        }
+        this.chatPanel = document.getElementById('chatPanel');
+        this.chatMuteBtn = document.getElementById('chatMuteBtn');
+        if (this.chatMuteBtn) {
+            this.chatMuteBtn.addEventListener('click', () => this.toggleChatMuted());
+        }
+        this.arenaFileBtn = document.getElementById('arenaFileBtn');
+        const arenaFileInput = document.getElementById('arenaFileInput');
+        if (this.arenaFileBtn && arenaFileInput) {
+            this.arenaFileBtn.addEventListener('click', () => arenaFileInput.click());
+            arenaFileInput.addEventListener('change', async () => {
+                const file = arenaFileInput.files[0];
+                arenaFileInput.value = ''; // Picking the same file again still fires change
+                if (!file) return;
+                this.arenaFileError = this.loadArenaFile(await file.text());
+                this.refreshMenu();
+            });
+        }
+        this.aimBtn = document.getElementById('aimBtn');
+        if (this.aimBtn) {
+            this.aimBtn.addEventListener('click', () => this.toggleAimedBounces());
+        }
+        this.multiBallBtn = document.getElementById('multiBallBtn');
+        if (this.multiBallBtn) {
+            this.multiBallBtn.addEventListener('click', () => this.toggleMultiBall());
+        }
+        this.botsBtn = document.getElementById('botsBtn');
+        if (this.botsBtn) {
+            this.botsBtn.addEventListener('click', () => this.cycleBotDifficulty());
+        }
+        this.opponentsBtn = document.getElementById('opponentsBtn');
+        if (this.opponentsBtn) {
+            this.opponentsBtn.addEventListener('click', () => this.cycleOpponentCount());
+        }
+        this.skillBtn = document.getElementById('skillBtn');
+        if (this.skillBtn) {
+            this.skillBtn.addEventListener('click', () => this.cycleOpponentSkill());
+        }
+        this.hotSeatBtn = document.getElementById('hotSeatBtn');
+        if (this.hotSeatBtn) {
+            this.hotSeatBtn.addEventListener('click', () => this.cycleHotSeatCount());
+        }
+        this.controlsBtn = document.getElementById('controlsBtn');
+        if (this.controlsBtn) {
+            this.controlsBtn.addEventListener('click', () => this.cycleControlScheme());
+        }
+        this.cameraBtn = document.getElementById('cameraBtn');
+        if (this.cameraBtn) {
+            this.cameraBtn.addEventListener('click', () => this.cycleCameraMode());
+        }
 
         // Visual Effects
         this.particles = [];
@@ -88,7 +286,13 @@ export class Game extends BaseGame {
         this.rightHintTimer = 0;
     }
 
+    /** Ball an event refers to; older servers don't say, so fall back to the first. */
+    findBall(id) {
+        return this.balls.find(b => b.id === id) || this.ball;
+    }
+
     addParticles(x, y, color, count = 10) {
+        if (this.reducedMotion) return;
         for (let i = 0; i < count; i++) {
             this.particles.push({
                 x, y,
@@ -115,16 +319,452 @@ export class Game extends BaseGame {
 
     refreshMenu() {
         const isOnline = this.mode === 'online';
-        const show = this.gameState === 'TERMINATED' || (this.gameState === 'SCORING' && this.celebrationTimer <= 0);
+        const paused = this.gameState === 'PAUSED';
+        const show = paused || this.gameState === 'TERMINATED' || (this.gameState === 'SCORING' && this.celebrationTimer <= 0);
 
+        // Free-text chat is for between rounds; emotes keep working during play
+        if (this.chatPanel) {
+            this.chatPanel.style.display = isOnline && show && this.gameState === 'SCORING' ? '' : 'none';
+        }
         if (!show) return this.setMenuVisible(false);
 
         let text = 'START GAME';
-        if (this.gameState === 'TERMINATED') text = 'REJOIN GAME';
+        if (paused) text = this.getResumeLabel();
+        else if (this.gameState === 'TERMINATED') text = 'REJOIN GAME';
+        else if (isOnline && this.playerIndex === -1) text = this.wantsToPlay ? 'WAITING FOR A SEAT' : 'JOIN NEXT ROUND';
         else if (isOnline) text = (this.readyEdges || []).includes(this.playerIndex) ? 'WAITING...' : "I'M READY";
         else if (this.hasPlayed) text = 'PLAY AGAIN';
 
         this.setMenuVisible(true, text);
+
+        // Room options, like the host controls, are the host's to change between rounds
+        const canChangeRoom = isOnline && this.gameState === 'SCORING' && this.isHost();
+        const canChangeLocal = !isOnline && !paused;
+        if (this.hostBtn) {
+            this.hostBtn.style.display = canChangeRoom ? '' : 'none';
+        }
+        if (this.forceStartBtn) {
+            const everyoneReady = this.paddles.every(p => p.isBot || this.readyEdges.includes(p.edgeIndex));
+            const wait = Math.ceil(((this.forceStartAt ?? 0) - (Date.now() + this.serverClockOffset)) / 1000);
+            this.forceStartBtn.style.display = canChangeRoom && !everyoneReady ? '' : 'none';
+            this.forceStartBtn.disabled = wait > 0;
+            this.forceStartBtn.innerText = wait > 0 ? `FORCE START IN ${wait}S` : 'FORCE START';
+        }
+        if (this.chatMuteBtn) {
+            this.chatMuteBtn.innerText = this.chatMuted ? 'CHAT: MUTED' : 'CHAT: ON';
+        }
+        if (this.rulesetBtn) {
+            this.rulesetBtn.style.display = canChangeRoom ? '' : 'none';
+            this.rulesetBtn.innerText = `MODE: ${this.ruleset === 'elimination' ? 'ELIMINATION' : 'CO-OP'}`;
+        }
+        if (this.powerUpsBtn) {
+            this.powerUpsBtn.style.display = canChangeRoom || canChangeLocal ? '' : 'none';
+            this.powerUpsBtn.innerText = `POWER-UPS: ${this.powerUpsEnabled ? 'ON' : 'OFF'}`;
+        }
+        if (this.layoutBtn) {
+            this.layoutBtn.style.display = canChangeRoom || canChangeLocal ? '' : 'none';
+            this.layoutBtn.innerText = `LAYOUT: ${this.layout.toUpperCase()}`;
+        }
+        if (this.arenaBtn) {
+            this.arenaBtn.style.display = canChangeLocal ? '' : 'none';
+            this.arenaBtn.innerText = `ARENA: ${this.arena ? this.arena.name.toUpperCase() : 'CLASSIC'}`;
+        }
+        if (this.arenaFileBtn) {
+            this.arenaFileBtn.style.display = canChangeLocal ? '' : 'none';
+            this.arenaFileBtn.innerText = this.arenaFileError ? `BAD FILE: ${this.arenaFileError.toUpperCase()}` : 'LOAD ARENA FILE';
+        }
+        if (this.aimBtn) {
+            this.aimBtn.style.display = canChangeRoom || canChangeLocal ? '' : 'none';
+            this.aimBtn.innerText = `AIM & SPIN: ${this.aimedBounces ? 'ON' : 'OFF'}`;
+        }
+        if (this.multiBallBtn) {
+            this.multiBallBtn.style.display = canChangeRoom || canChangeLocal ? '' : 'none';
+            this.multiBallBtn.innerText = `MULTI-BALL: ${this.multiBall ? 'ON' : 'OFF'}`;
+        }
+        if (this.botsBtn) {
+            this.botsBtn.style.display = canChangeRoom ? '' : 'none';
+            this.botsBtn.innerText = `BOTS: ${this.botDifficulty.toUpperCase()}`;
+        }
+        if (this.opponentsBtn) {
+            this.opponentsBtn.style.display = canChangeLocal && !this.hotSeatCount ? '' : 'none';
+            this.opponentsBtn.innerText = `OPPONENTS: ${this.opponentCount || 'NONE'}`;
+        }
+        if (this.skillBtn) {
+            this.skillBtn.style.display = canChangeLocal && !this.hotSeatCount && this.opponentCount > 0 ? '' : 'none';
+            this.skillBtn.innerText = `BOT SKILL: ${this.opponentSkill.toUpperCase()}`;
+        }
+        if (this.hotSeatBtn) {
+            this.hotSeatBtn.style.display = canChangeLocal ? '' : 'none';
+            this.hotSeatBtn.innerText = `PLAYERS: ${this.hotSeatCount || 1}`;
+        }
+        if (this.controlsBtn) {
+            // Hot-seat players each have their own keys and touch region
+            this.controlsBtn.style.display = isOnline || !this.hotSeatCount ? '' : 'none';
+            this.controlsBtn.innerText = `CONTROLS: ${this.controlScheme.toUpperCase()}`;
+        }
+        if (this.cameraBtn) {
+            this.cameraBtn.innerText = `CAMERA: ${this.camera.mode.toUpperCase()}`;
+        }
+    }
+
+    /**
+     * Everything refreshMenu shows that snapshots can change, so
+     * handleServerState only rebuilds the menu when some of it did.
+     */
+    getMenuKey() {
+        const forceStartIn = Math.ceil(((this.forceStartAt ?? 0) - (Date.now() + this.serverClockOffset)) / 1000);
+        return [
+            this.gameState, this.celebrationTimer > 0, this.playerIndex, this.hostEdge,
+            this.readyEdges.join(), this.paddles.map(p => p.isBot ? 'bot' : p.edgeIndex).join(),
+            Math.max(0, forceStartIn), this.pauseVote?.action, this.pauseVote?.votes, this.pausedByEdge,
+            this.ruleset, this.botDifficulty, this.layout, this.multiBall, this.powerUpsEnabled, this.aimedBounces
+        ].join('|');
+    }
+
+    isHost() {
+        return this.mode === 'online' && this.playerIndex !== -1 && this.hostEdge === this.playerIndex;
+    }
+
+    // Host controls: the server ignores these from anyone but the host
+
+    forceStart() {
+        if (this.socket && this.isHost()) this.socket.emit('forceStart');
+    }
+
+    setRoomLocked(locked) {
+        if (this.socket && this.isHost()) this.socket.emit('setLocked', { locked });
+    }
+
+    setRoomRules(rules) {
+        if (this.socket && this.isHost()) this.socket.emit('setRules', { rules });
+    }
+
+    transferHost(edgeIndex) {
+        if (this.socket && this.isHost()) this.socket.emit('transferHost', { edgeIndex });
+    }
+
+    kickPlayer(edgeIndex, ban = false) {
+        if (this.socket && this.isHost()) this.socket.emit('kickPlayer', { edgeIndex, ban });
+    }
+
+    swapEdges(from, to) {
+        if (this.socket && this.isHost()) this.socket.emit('swapEdges', { from, to });
+    }
+
+    /**
+     * Who is on each playable edge, for the host panel.
+     * @returns {{ edgeIndex: number, occupant: 'you'|'player'|'away'|'bot'|'empty' }[]}
+     */
+    getSeats() {
+        return this.polygon.getPlayableEdges().map(edgeIndex => {
+            const paddle = this.paddles.find(p => p.edgeIndex === edgeIndex);
+            let occupant = 'empty';
+            if (edgeIndex === this.playerIndex) occupant = 'you';
+            else if (this.disconnectedEdges.includes(edgeIndex)) occupant = 'away';
+            else if (paddle) occupant = paddle.isBot ? 'bot' : 'player';
+            return { edgeIndex, occupant };
+        });
+    }
+
+    /**
+     * Pause or resume. Local games do it straight away; online it's a request
+     * (or a vote) the server decides on.
+     */
+    togglePause() {
+        const paused = this.gameState === 'PAUSED';
+        if (this.mode === 'local') {
+            if (paused ? this.resume() : this.pause()) this.refreshMenu();
+            return;
+        }
+        if (!this.socket || this.playerIndex === -1) return;
+        if (!paused && this.gameState !== 'PLAYING' && this.gameState !== 'COUNTDOWN') return;
+        this.socket.emit('pauseVote', { paused: !paused });
+    }
+
+    getResumeLabel() {
+        if (this.mode === 'local') return 'RESUME';
+        if (this.playerIndex === -1) return 'PAUSED';
+        if (this.pauseVote?.action === 'resume') return `VOTE TO RESUME (${this.pauseVote.votes}/${this.pauseVote.needed})`;
+        return this.isHost() || this.pausedByEdge === this.playerIndex ? 'RESUME' : 'VOTE TO RESUME';
+    }
+
+    sendEmote(emote) {
+        if (this.mode !== 'online' || !this.socket || this.playerIndex === -1) return;
+        this.socket.emit('emote', { emote });
+    }
+
+    sendQuickPhrase(phrase) {
+        if (this.mode !== 'online' || !this.socket) return;
+        this.socket.emit('chat', { phrase });
+    }
+
+    /**
+     * @param {string} text
+     * @returns {boolean} Whether there was anything to send
+     */
+    sendChatText(text) {
+        const clean = sanitizeChatText(text);
+        if (this.mode !== 'online' || !this.socket || clean === null) return false;
+        this.socket.emit('chat', { text: clean });
+        return true;
+    }
+
+    toggleChatMuted() {
+        this.chatMuted = !this.chatMuted;
+        try {
+            localStorage.setItem('polypongon-chat-muted', this.chatMuted ? '1' : '0');
+        } catch {
+            // Storage may be unavailable (private mode); the mute just won't persist
+        }
+        if (this.chatMuted) {
+            this.chatLog = this.chatLog.filter(line => this.isOwnChat(line.edgeIndex));
+            this.emoteBubbles = this.emoteBubbles.filter(b => this.isOwnChat(b.edgeIndex));
+        }
+        this.refreshMenu();
+        if (this.onChat) this.onChat();
+    }
+
+    cycleControlScheme() {
+        this.updateSettings({ controlScheme: CONTROL_SCHEMES[(CONTROL_SCHEMES.indexOf(this.controlScheme) + 1) % CONTROL_SCHEMES.length] });
+    }
+
+    cycleCameraMode() {
+        this.updateSettings({ cameraMode: CAMERA_MODES[(CAMERA_MODES.indexOf(this.camera.mode) + 1) % CAMERA_MODES.length] });
+    }
+
+    /**
+     * Change some preferences: they're saved, take effect straight away and a
+     * new display name is passed on to the room we're in.
+     * @param {object} changes Any of the keys of DEFAULT_SETTINGS
+     */
+    updateSettings(changes) {
+        const previousName = this.settings.displayName;
+        this.settings = resolveSettings({ ...this.settings, ...changes });
+        saveSettings(this.settings);
+        this.applySettings();
+        if (this.socket && this.settings.displayName !== previousName) {
+            this.socket.emit('setName', { name: this.settings.displayName });
+        }
+        this.refreshMenu();
+    }
+
+    applySettings() {
+        const { settings } = this;
+        this.audio.setMode(settings.soundMode);
+        this.audio.setVolumes(settings.musicVolume, settings.effectsVolume);
+        if (settings.controlScheme !== this.controlScheme) this.pointerPoint = null;
+        this.controlScheme = settings.controlScheme;
+        this.camera.mode = settings.cameraMode;
+        this.theme = THEMES[settings.theme];
+        this.reducedMotion = settings.reducedMotion;
+        this.interpolationDelay = settings.interpolationDelay;
+        document.documentElement.dataset.theme = settings.theme;
+        document.documentElement.classList.toggle('reduced-motion', settings.reducedMotion);
+    }
+
+    /**
+     * Edge the camera keeps at the bottom: ours, unless we're spectating or
+     * sharing the screen in hot-seat.
+     */
+    getCameraEdge() {
+        if (this.mode === 'online') return this.playerIndex !== -1 ? this.playerIndex : null;
+        return this.isHotSeat() ? null : 0;
+    }
+
+    loadChatMuted() {
+        try {
+            return localStorage.getItem('polypongon-chat-muted') === '1';
+        } catch {
+            return false;
+        }
+    }
+
+    isOwnChat(edgeIndex) {
+        return edgeIndex !== -1 && edgeIndex === this.playerIndex;
+    }
+
+    getChatName(edgeIndex) {
+        if (edgeIndex === -1) return 'SPECTATOR';
+        return this.getEdgeName(edgeIndex);
+    }
+
+    /**
+     * How an online player is shown: YOU, their display name, or P<n>.
+     */
+    getEdgeName(edgeIndex) {
+        if (edgeIndex === this.playerIndex) return 'YOU';
+        return this.names[edgeIndex] || `P${edgeIndex + 1}`;
+    }
+
+    receiveChat({ edgeIndex, phrase, text }) {
+        if (this.chatMuted && !this.isOwnChat(edgeIndex)) return;
+        const line = phrase !== undefined ? QUICK_PHRASES[phrase] : text;
+        if (!line) return;
+
+        this.chatLog.push({ edgeIndex, text: line });
+        if (this.chatLog.length > CHAT_LOG_SIZE) this.chatLog.shift();
+        if (phrase !== undefined && edgeIndex !== -1) this.showEmoteBubble(edgeIndex, line);
+        if (this.onChat) this.onChat();
+    }
+
+    receiveEmote({ edgeIndex, emote }) {
+        if (this.chatMuted && !this.isOwnChat(edgeIndex)) return;
+        if (EMOTES[emote]) this.showEmoteBubble(edgeIndex, EMOTES[emote]);
+    }
+
+    // One bubble per paddle: a new one replaces the last
+    showEmoteBubble(edgeIndex, label) {
+        this.emoteBubbles = this.emoteBubbles.filter(b => b.edgeIndex !== edgeIndex);
+        this.emoteBubbles.push({ edgeIndex, label, age: 0 });
+    }
+
+    updateEmoteBubbles(dt) {
+        this.emoteBubbles.forEach(b => b.age += dt);
+        this.emoteBubbles = this.emoteBubbles.filter(b => b.age < EMOTE_BUBBLE_SECONDS);
+    }
+
+    cycleRuleset() {
+        if (!this.socket || !this.isHost()) return;
+        const next = RULESETS[(RULESETS.indexOf(this.ruleset) + 1) % RULESETS.length];
+        this.socket.emit('setRuleset', { ruleset: next });
+    }
+
+    toggleMultiBall() {
+        if (this.mode !== 'online') {
+            this.multiBall = !this.multiBall;
+            this.refreshMenu();
+            return;
+        }
+        if (!this.socket || !this.isHost()) return;
+        this.socket.emit('setMultiBall', { enabled: !this.multiBall });
+    }
+
+    togglePowerUps() {
+        if (this.mode !== 'online') {
+            this.powerUpsEnabled = !this.powerUpsEnabled;
+            this.refreshMenu();
+            return;
+        }
+        if (!this.socket || !this.isHost()) return;
+        this.socket.emit('setPowerUps', { enabled: !this.powerUpsEnabled });
+    }
+
+    cycleLayout() {
+        const next = OBSTACLE_LAYOUT_NAMES[(OBSTACLE_LAYOUT_NAMES.indexOf(this.layout) + 1) % OBSTACLE_LAYOUT_NAMES.length];
+        if (this.mode !== 'online') {
+            this.loadLayout(next);
+            this.refreshMenu();
+            return;
+        }
+        if (!this.socket || !this.isHost()) return;
+        this.socket.emit('setLayout', { layout: next });
+    }
+
+    toggleAimedBounces() {
+        if (this.mode !== 'online') {
+            this.aimedBounces = !this.aimedBounces;
+            this.refreshMenu();
+            return;
+        }
+        if (!this.socket || !this.isHost()) return;
+        this.socket.emit('setAimedBounces', { enabled: !this.aimedBounces });
+    }
+
+    /**
+     * Next arena for local play (and any room we create): classic, the
+     * built-ins, then the loaded arena file if there is one.
+     */
+    cycleArena() {
+        if (this.mode === 'online') return;
+        const keys = [null, ...ARENA_NAMES, ...(this.arenaFile ? ['file'] : [])];
+        this.selectArena(keys[(keys.indexOf(this.arenaKey) + 1) % keys.length]);
+    }
+
+    /**
+     * Load an arena file (see Arenas.js for the format) and switch to it.
+     * @param {string} text File contents
+     * @returns {string|null} What's wrong with the file, or null once loaded
+     */
+    loadArenaFile(text) {
+        const error = validateArena(text);
+        if (error) return error;
+        this.arenaFile = parseArena(text);
+        if (this.mode !== 'online') this.selectArena('file');
+        return null;
+    }
+
+    selectArena(key) {
+        this.arenaKey = key;
+        this.arenaFileError = null;
+        if (key === 'file') this.arena = this.arenaFile;
+        else this.arena = key ? parseArena(ARENAS[key]) : null;
+        this.applyLocalArena();
+        this.refreshMenu();
+    }
+
+    applyLocalArena() {
+        if (this.arena) this.polygon.setShape(this.arena);
+        else this.polygon.updateSides(5);
+        this.roomArena = null;
+
+        this.opponentCount = Math.min(this.opponentCount, this.polygon.getPlayableEdges().length - 1);
+        this.hotSeatCount = this.capHotSeatCount(this.hotSeatCount);
+        this.paddles = [new Paddle(0)];
+        this.paddles[0].width = this.rules.paddleWidthStart;
+    }
+
+    /**
+     * Match the arena to the room's: its custom outline, or a regular polygon
+     * with the room's side count.
+     * @param {object|undefined} arena Room's parsed arena, if it has one
+     * @param {number} sides
+     * @param {boolean} animate Morph to a new side count rather than jump
+     */
+    applyRoomArena(arena, sides, animate = true) {
+        if (arena) {
+            if (arena !== this.roomArena || !this.polygon.shape) this.polygon.setShape(arena);
+        } else if (sides && (sides !== this.polygon.sides || this.polygon.shape)) {
+            if (animate) this.polygon.morphTo(sides);
+            else this.polygon.updateSides(sides);
+        }
+        this.roomArena = arena || null;
+    }
+
+    cycleOpponentCount() {
+        this.opponentCount = (this.opponentCount + 1) % this.polygon.getPlayableEdges().length;
+        this.refreshMenu();
+    }
+
+    /**
+     * Players sharing this device: 1 (off), then HOTSEAT_MIN_PLAYERS up to as
+     * many as the arena has edges for. Hot-seat games have no AI opponents.
+     */
+    cycleHotSeatCount() {
+        const next = this.hotSeatCount ? this.hotSeatCount + 1 : HOTSEAT_MIN_PLAYERS;
+        this.hotSeatCount = this.capHotSeatCount(next) === next ? next : 0;
+        if (this.hotSeatCount) this.opponentCount = 0;
+        this.refreshMenu();
+    }
+
+    capHotSeatCount(count) {
+        const max = Math.min(HOTSEAT_MAX_PLAYERS, this.polygon.getPlayableEdges().length);
+        const capped = Math.min(count, max);
+        return capped >= HOTSEAT_MIN_PLAYERS ? capped : 0;
+    }
+
+    cycleOpponentSkill() {
+        const skills = Object.keys(BOT_DIFFICULTIES);
+        this.opponentSkill = skills[(skills.indexOf(this.opponentSkill) + 1) % skills.length];
+        this.refreshMenu();
+    }
+
+    /**
+     * Ask the server for the next bot level (off -> easy -> normal -> hard -> off). Host only.
+     */
+    cycleBotDifficulty() {
+        if (!this.socket || !this.isHost()) return;
+        const next = BOT_LEVELS[(BOT_LEVELS.indexOf(this.botDifficulty) + 1) % BOT_LEVELS.length];
+        this.socket.emit('setBots', { difficulty: next });
     }
 
     setMenuVisible(visible, text = '') {
@@ -142,15 +782,27 @@ export class Game extends BaseGame {
     }
 
     handleRestartAction() {
+        if (this.gameState === 'PAUSED') {
+            this.togglePause();
+            return;
+        }
         if (this.gameState === 'SCORING' || this.gameState === 'TERMINATED') {
             if (this.socket) {
                 if (this.gameState === 'TERMINATED') {
                     this.rejoinMultiplayer();
+                } else if (this.playerIndex === -1) {
+                    // Spectators queue for (or leave the queue for) the next free edge
+                    this.wantsToPlay = !this.wantsToPlay;
+                    this.socket.emit('requestPlay', { wantsToPlay: this.wantsToPlay });
+                    this.refreshMenu();
                 } else {
                     // In multiplayer, toggle ready state instead of immediate restart
                     const isReady = !this.readyEdges.includes(this.playerIndex);
                     this.socket.emit('playerReady', { ready: isReady });
                 }
+            } else if (this.isVersus() && this.versusWinner === null) {
+                // Mid-match pause between points: the next serve is automatic
+                return;
             } else {
                 this.resetLocalGame();
             }
@@ -158,6 +810,7 @@ export class Game extends BaseGame {
     }
 
     flashEffect(color = 'rgba(239, 68, 68, 0.2)') {
+        if (this.reducedMotion) return;
         this.flashActive = true;
         this.flashColor = color;
     }
@@ -174,9 +827,7 @@ export class Game extends BaseGame {
     startCelebration() {
         super.startCelebration();
         this.hasPlayed = true;
-        if (this.ball) {
-            this.ball.maxTrailLength = 200;
-        }
+        this.balls.forEach(ball => ball.maxTrailLength = 200);
         this.refreshMenu();
     }
 
@@ -188,8 +839,10 @@ export class Game extends BaseGame {
 
     onCelebrationEnd() {
         super.onCelebrationEnd();
-        if (this.ball) {
-            this.ball.maxTrailLength = 20;
+        this.balls.forEach(ball => ball.maxTrailLength = 20);
+        if (this.isVersus() && this.versusWinner === null) {
+            this.serveNextPoint();
+            return;
         }
         this.refreshMenu();
     }
@@ -199,18 +852,95 @@ export class Game extends BaseGame {
         this.resetState(); // BaseGame reset
         this.lastTime = performance.now(); // Reset timer to prevent dt spikes
 
-        // In local, we have 1 paddle at edge 0.
-        this.paddles = [new Paddle(0)];
-        this.paddles[0].width = 0.5;
+        // In local, we have 1 paddle at edge 0, plus any AI opponents,
+        // or one paddle for each hot-seat player.
+        this.paddles = this.hotSeatCount ? this.createHotSeatPaddles() : [new Paddle(0), ...this.createOpponents()];
+        this.paddles.forEach(p => p.width = this.rules.paddleWidthStart);
+        this.hotSeatHits = {};
+        this.missedEdge = null;
+
+        this.paddleScores = {};
+        if (this.isVersus()) {
+            this.paddles.forEach(p => this.paddleScores[p.edgeIndex] = 0);
+        }
+        this.lastHitEdge = null;
+        this.lastPointEdge = null;
+        this.versusWinner = null;
 
         this.setMenuVisible(false);
     }
 
-    startMultiplayer(roomId, instanceId = null) {
+    /**
+     * AI paddles for versus mode, spread evenly around the playable edges the
+     * player isn't on.
+     */
+    createOpponents() {
+        const edges = this.polygon.getPlayableEdges().filter(e => e !== 0);
+        const count = Math.min(this.opponentCount, edges.length);
+        const opponents = [];
+        for (let i = 1; i <= count; i++) {
+            const edgeIndex = edges[Math.round((i * (edges.length + 1)) / (count + 1)) - 1];
+            const paddle = new Paddle(edgeIndex);
+            paddle.ai = new BotController(this.opponentSkill);
+            opponents.push(paddle);
+        }
+        return opponents;
+    }
+
+    createHotSeatPaddles() {
+        return assignHotSeatEdges(this.polygon.getPlayableEdges(), this.hotSeatCount).map((edgeIndex, seat) => {
+            const paddle = new Paddle(edgeIndex);
+            paddle.seat = seat;
+            return paddle;
+        });
+    }
+
+    isHotSeat() {
+        return this.mode === 'local' && this.paddles.some(p => p.seat !== null);
+    }
+
+    isVersus() {
+        return this.mode === 'local' && this.paddles.some(p => p.ai);
+    }
+
+    /**
+     * Versus: credit the point to whoever last touched the ball, unless they
+     * just let it through their own edge.
+     */
+    awardPoint(concededEdge) {
+        const scorer = this.lastHitEdge;
+        this.lastPointEdge = null;
+        if (scorer === null || scorer === concededEdge || !(scorer in this.paddleScores)) return;
+
+        this.paddleScores[scorer]++;
+        this.lastPointEdge = scorer;
+        if (this.paddleScores[scorer] >= GAME_CONSTANTS.VERSUS_WIN_SCORE) {
+            this.versusWinner = scorer;
+        }
+    }
+
+    /**
+     * Versus: start the next point of the match, keeping the scores.
+     */
+    serveNextPoint() {
+        this.setGameState('COUNTDOWN');
+        this.countdownTimer = this.rules.countdownDuration;
+        this.resetBall();
+        this.lastHitEdge = null;
+        this.paddles.forEach(p => {
+            p.position = 0.5;
+            if (p.ai) p.ai.reset();
+        });
+    }
+
+    startMultiplayer(roomId, instanceId = null, options = {}) {
         console.log('Attempting to connect to server...');
         this.clearResults();
         this.mode = 'online';
         this.serverClockOffset = 0;
+        this.sessionToken = this.loadSessionToken(roomId);
+        this.connectionLost = false;
+        this.roomAccess = { password: options.password || null, invite: options.invite || null };
 
         // Build query parameters for instance routing
         const query = {};
@@ -230,7 +960,24 @@ export class Game extends BaseGame {
         this.socket.on('connect', () => {
             console.log('Connected to server successfully with ID:', this.socket.id);
             // Send instance info with room join request
-            const joinData = instanceId ? { roomId, instance: instanceId } : roomId;
+            const joinData = { roomId };
+            if (instanceId) joinData.instance = instanceId;
+            if (options.isPublic) joinData.isPublic = true;
+            if (options.role === 'spectator') joinData.role = 'spectator';
+            if (options.bots) joinData.bots = options.bots;
+            if (options.inviteOnly) joinData.inviteOnly = true;
+            // A new room takes the password as its own; an existing one checks it
+            if (this.roomAccess.password) joinData.password = this.roomAccess.password;
+            if (this.roomAccess.invite) joinData.invite = this.roomAccess.invite;
+            joinData.clientId = this.getClientId();
+            if (this.settings.displayName) joinData.name = this.settings.displayName;
+            // Only used if we're creating the room
+            if (this.arena) joinData.arena = this.arena;
+            else if (options.reshapeArena) joinData.reshapeArena = true;
+            if (options.rules) joinData.rules = options.rules;
+            if (this.sessionToken) joinData.sessionToken = this.sessionToken;
+            joinData.protocols = [BINARY_PROTOCOL];
+            this.stateDecoder = new StateDecoder(); // Server opens with a keyframe
             this.socket.emit('joinRoom', joinData);
         });
 
@@ -238,87 +985,127 @@ export class Game extends BaseGame {
             console.error('Connection Error:', err);
         });
 
+        this.socket.on('disconnect', (reason) => {
+            // socket.io reconnects by itself; the session token gets our paddle back
+            console.warn('Disconnected from server:', reason);
+            this.connectionLost = true;
+        });
+
         this.socket.on('init', (data) => {
             this.playerIndex = data.playerIndex;
-            if (this.polygon.sides !== data.sides) {
-                this.polygon.updateSides(data.sides);
+            this.connectionLost = false;
+            this.resetPrediction();
+            if (data.sessionToken) {
+                this.sessionToken = data.sessionToken;
+                this.saveSessionToken(roomId, data.sessionToken);
+            }
+            if (data.resumed) {
+                console.log(`Resumed session on edge ${data.playerIndex}`);
+            }
+            // Players who found the room full are queued server-side
+            this.wantsToPlay = data.playerIndex === -1 && options.role !== 'spectator';
+            this.refreshMenu();
+            this.rules = resolveRules(data.rules); // Predict with the room's rules (defaults from older servers)
+            this.applyRoomArena(data.arena, data.sides, false);
+            this.loadLayout(data.layout);
+            if (data.invite) {
+                this.roomAccess.invite = data.invite;
+                if (this.onRoomInvite) this.onRoomInvite(data.invite);
+            }
+            if (data.protocol) {
+                console.log(`State protocol: ${data.protocol}`);
             }
             if (data.instanceId) {
                 console.log(`Confirmed connected to instance: ${data.instanceId}`);
             }
         });
 
-        this.stateBuffer = [];
-
-        this.socket.on('gameState', (state) => {
-            this.stateBuffer.push(state);
-            if (this.stateBuffer.length > 30) {
-                this.stateBuffer.shift();
+        this.socket.on('promoted', (data) => {
+            console.log(`Promoted from spectator to edge ${data.playerIndex}`);
+            this.playerIndex = data.playerIndex;
+            this.wantsToPlay = false;
+            this.resetPrediction();
+            if (data.sessionToken) {
+                this.sessionToken = data.sessionToken;
+                this.saveSessionToken(roomId, data.sessionToken);
             }
+            this.refreshMenu();
+        });
 
-            // Sync clock: estimate offset (accounting for latency is hard, but simple offset helps)
-            // Initializing with the first packet and then smoothing updates.
-            if (state.timestamp) {
-                const currentOffset = state.timestamp - Date.now();
-                if (this.serverClockOffset === 0) {
-                    this.serverClockOffset = currentOffset;
-                } else {
-                    // Smoothly adjust offset to filter out jitter
-                    this.serverClockOffset = this.serverClockOffset * 0.99 + currentOffset * 0.01;
-                }
-            }
+        // The host moved us to another edge between rounds
+        this.socket.on('seatChanged', (data) => {
+            console.log(`Host moved us to edge ${data.playerIndex}`);
+            this.playerIndex = data.playerIndex;
+            this.resetPrediction();
+            this.stateBuffer = []; // Old snapshots have us on the old edge
+            this.refreshMenu();
+        });
 
-            this.difficulty = state.difficulty;
-            this.rotationDirection = state.rotationDirection;
-            const oldTimer = this.celebrationTimer;
-            if (state.celebrationTimer !== undefined) {
-                this.celebrationTimer = state.celebrationTimer;
-                if (oldTimer > 0 && this.celebrationTimer === 0) {
-                    this.onCelebrationEnd();
-                }
-            }
+        // Snapshots leave the rules out, so the host's changes come on their own
+        this.socket.on('rulesChanged', (rules) => {
+            this.rules = resolveRules(rules);
+        });
 
-            const previousState = this.gameState;
-            this.setGameState(state.gameState);
-            this.score = state.score;
-            this.lastScore = state.lastScore;
-            this.finalTime = state.finalTime || 0;
-            this.timeElapsed = state.timeElapsed || 0;
-            this.readyEdges = state.readyEdges || [];
+        this.socket.on('chat', (data) => this.receiveChat(data));
+        this.socket.on('emote', (data) => this.receiveEmote(data));
 
-            if (this.lastScore > 0 || this.finalTime > 0) {
-                this.hasPlayed = true;
-            }
-            this.audio.setDifficulty(this.difficulty);
+        this.socket.on('kicked', (data) => {
+            this.saveSessionToken(roomId, null);
+            this.sessionToken = null;
+            this.showRemoved(data.banned ? 'You were banned by the host' : 'You were removed by the host');
+        });
 
-            this.refreshMenu();
-            if (state.countdownTimer !== undefined && state.countdownTimer !== null) {
-                this.countdownTimer = state.countdownTimer;
-            } else if (state.gameState === 'COUNTDOWN' && previousState !== 'COUNTDOWN') {
-                // Fallback: Resetting countdown timer if server packet is missing it
-                this.countdownTimer = 3;
-            }
+        // The arena gained or lost edges between rounds and we were moved to a new one
+        this.socket.on('reshaped', (data) => {
+            console.log(`Arena reshaped to ${data.sides} sides, now on edge ${data.playerIndex}`);
+            this.playerIndex = data.playerIndex;
+            this.resetPrediction();
+            this.stateBuffer = []; // Old snapshots use the old edge indexes
+            this.polygon.morphTo(data.sides);
+        });
+
+        this.stateBuffer = [];
+
+        this.socket.on('gameState', (state) => this.handleServerState(state));
+
+        // Compact protocol: binary snapshots with keyframed/delta meta
+        this.socket.on('gameStateBin', (data) => {
+            const state = this.stateDecoder.decode(data);
+            if (state) this.handleServerState(state);
         });
 
         this.socket.on('gameEvent', (event) => {
             if (event.type === 'bounce') {
                 this.audio.playBounce();
                 if (event.edgeIndex !== undefined) {
-                    this.addParticles(this.ball.x, this.ball.y, this.getPlayerColor(event.edgeIndex));
+                    const ball = this.findBall(event.ballId);
+                    this.addParticles(ball.x, ball.y, this.getPlayerColor(event.edgeIndex));
                 }
             }
             if (event.type === 'goal') {
                 this.flashEffect('rgba(239, 68, 68, 0.4)');
                 this.audio.playGoal();
-                if (this.ball) {
-                    this.ball.maxTrailLength = 200;
-                }
+                this.balls.forEach(ball => ball.maxTrailLength = 200);
                 this.lastScore = event.score;
                 this.finalTime = event.time;
                 this.hasPlayed = true;
                 this.startCelebration();
                 this.setMenuVisible(false);
             }
+            if (event.type === 'lifeLost') {
+                // Elimination: the round goes on, just mark the hit edge
+                this.flashEffect(event.edgeIndex === this.playerIndex ? 'rgba(239, 68, 68, 0.4)' : 'rgba(239, 68, 68, 0.15)');
+                this.audio.playGoal();
+                const ball = this.findBall(event.ballId);
+                this.addParticles(ball.x, ball.y, this.getPlayerColor(event.edgeIndex), event.eliminated ? 30 : 15);
+            }
+            if (event.type === 'ballSpawned') {
+                this.audio.playBounce();
+                this.addParticles(0, 0, 'rgba(255, 255, 255, 0.8)', 20);
+            }
+            if (event.type === 'powerUp') {
+                this.onPowerUpCollected({ type: event.powerUp, x: event.x, y: event.y }, event.edgeIndex);
+            }
         });
 
         this.socket.on('gameTerminated', (data) => {
@@ -337,20 +1124,143 @@ export class Game extends BaseGame {
                 console.error(`Instance mismatch: Expected ${error.expectedInstance}, got ${error.currentInstance}`);
                 // Could show user-facing error here
             }
+            if (error.code === 'banned') {
+                this.showRemoved('You are banned from this room');
+            } else if (error.code === 'invite-required') {
+                this.showRemoved('This room is invite-only: ask for a link');
+            } else if (error.code === 'password-required' || error.code === 'wrong-password') {
+                if (this.onPasswordRequired) this.onPasswordRequired(error.code === 'wrong-password');
+                else this.showRemoved(error.message);
+            }
         });
 
         this.currentRoomId = roomId;
         this.currentInstanceId = instanceId;
     }
 
+    /**
+     * The server won't have us in the room any more: show why on the
+     * game-over screen.
+     */
+    showRemoved(reason) {
+        this.setGameState('TERMINATED');
+        this.terminationReason = reason;
+        this.stateBuffer = [];
+        this.refreshMenu();
+    }
+
+    // Apply a snapshot from the server (plain JSON or decoded binary)
+    handleServerState(state) {
+        this.stateBuffer.push(state);
+        if (this.stateBuffer.length > 30) {
+            this.stateBuffer.shift();
+        }
+        this.reconcileLocalPaddle(state);
+
+        // Sync clock: estimate offset (accounting for latency is hard, but simple offset helps)
+        // Initializing with the first packet and then smoothing updates.
+        if (state.timestamp) {
+            const currentOffset = state.timestamp - Date.now();
+            if (this.serverClockOffset === 0) {
+                this.serverClockOffset = currentOffset;
+            } else {
+                // Smoothly adjust offset to filter out jitter
+                this.serverClockOffset = this.serverClockOffset * 0.99 + currentOffset * 0.01;
+            }
+        }
+
+        this.difficulty = state.difficulty;
+        this.rotationDirection = state.rotationDirection;
+        this.applyRoomArena(this.roomArena, state.sides); // Spectators learn about reshapes here
+        const oldTimer = this.celebrationTimer;
+        if (state.celebrationTimer !== undefined) {
+            this.celebrationTimer = state.celebrationTimer;
+            if (oldTimer > 0 && this.celebrationTimer === 0) {
+                this.onCelebrationEnd();
+            }
+        }
+
+        const previousState = this.gameState;
+        this.setGameState(state.gameState);
+        this.score = state.score;
+        this.lastScore = state.lastScore;
+        this.finalTime = state.finalTime || 0;
+        this.timeElapsed = state.timeElapsed || 0;
+        this.readyEdges = state.readyEdges || [];
+        this.disconnectedEdges = state.disconnectedEdges || [];
+        this.spectatorCount = state.spectatorCount || 0;
+        this.botDifficulty = state.botDifficulty || 'off';
+        this.ruleset = state.ruleset || 'coop';
+        this.multiBall = !!state.multiBall;
+        this.powerUpsEnabled = !!state.powerUpsEnabled;
+        this.aimedBounces = !!state.aimedBounces;
+        this.hostEdge = state.hostEdge ?? null;
+        this.roomLocked = !!state.locked;
+        this.forceStartAt = state.forceStartAt ?? null;
+        if ((state.layout || 'none') !== this.layout) {
+            this.loadLayout(state.layout);
+        }
+        this.powerUps = state.powerUps || [];
+        this.effects = state.effects || [];
+        this.edgeStats = state.edgeStats || {};
+        this.eliminatedEdges = state.eliminatedEdges || [];
+        this.winnerEdge = state.winnerEdge ?? null;
+        this.pauseVote = state.pauseVote ?? null;
+        this.pausedByEdge = state.pausedByEdge ?? null;
+        this.pauseTimeLeft = state.pauseTimeLeft ?? null;
+        this.pausesLeft = state.pausesLeft || {};
+        this.names = state.names || {};
+
+        if (this.lastScore > 0 || this.finalTime > 0) {
+            this.hasPlayed = true;
+        }
+        this.audio.setDifficulty(this.difficulty);
+
+        const menuKey = this.getMenuKey();
+        if (menuKey !== this.menuKey) {
+            this.menuKey = menuKey;
+            this.refreshMenu();
+        }
+        if (state.countdownTimer !== undefined && state.countdownTimer !== null) {
+            this.countdownTimer = state.countdownTimer;
+        } else if (state.gameState === 'COUNTDOWN' && previousState !== 'COUNTDOWN') {
+            // Fallback: Resetting countdown timer if server packet is missing it
+            this.countdownTimer = 3;
+        }
+    }
+
     stopMultiplayer() {
         console.log('Stopping multiplayer, reverting to local...');
         if (this.socket) {
             this.socket.disconnect();
             this.socket = null;
         }
+        if (this.currentRoomId) {
+            this.saveSessionToken(this.currentRoomId, null);
+        }
         this.mode = 'local';
         this.playerIndex = -1;
+        this.sessionToken = null;
+        this.connectionLost = false;
+        this.roomAccess = { password: null, invite: null };
+        this.chatLog = [];
+        this.emoteBubbles = [];
+        if (this.onChat) this.onChat();
+        this.disconnectedEdges = [];
+        this.spectatorCount = 0;
+        this.wantsToPlay = false;
+        this.botDifficulty = 'off';
+        this.ruleset = 'coop';
+        this.multiBall = false;
+        this.powerUpsEnabled = false;
+        this.aimedBounces = false;
+        this.hostEdge = null;
+        this.roomLocked = false;
+        this.forceStartAt = null;
+        this.loadLayout('none');
+        this.edgeStats = {};
+        this.eliminatedEdges = [];
+        this.winnerEdge = null;
         this.currentRoomId = null;
         this.currentInstanceId = null;
         this.serverClockOffset = 0;
@@ -360,13 +1270,17 @@ export class Game extends BaseGame {
         this.clearResults();
         this.setMenuVisible(true, 'START GAME');
 
-        // Reset polygon and paddles for local play
-        this.polygon.updateSides(5);
-        this.paddles = [new Paddle(0)];
-        this.paddles[0].width = 0.5;
+        // Reset rules, polygon and paddles for local play
+        this.rules = resolveRules();
+        this.applyLocalArena();
     }
 
-    rejoinMultiplayer() {
+    /**
+     * Reconnect to the current room, with the same password or invite as
+     * before unless new ones are given.
+     * @param {{ password?: string, invite?: string }} access
+     */
+    rejoinMultiplayer(access = {}) {
         if (!this.currentRoomId) return;
         if (this.socket) {
             this.socket.disconnect();
@@ -377,7 +1291,40 @@ export class Game extends BaseGame {
         this.terminationReason = null;
         this.stateBuffer = [];
         this.clearResults();
-        this.startMultiplayer(this.currentRoomId, this.currentInstanceId);
+        this.startMultiplayer(this.currentRoomId, this.currentInstanceId, { ...this.roomAccess, ...access });
+    }
+
+    // A random id kept in localStorage so room bans outlive session tokens
+    getClientId() {
+        try {
+            let id = localStorage.getItem('polypongon-client-id');
+            if (!id) {
+                id = Math.random().toString(36).substring(2) + Date.now().toString(36);
+                localStorage.setItem('polypongon-client-id', id);
+            }
+            return id;
+        } catch {
+            return null;
+        }
+    }
+
+    // Session tokens live in sessionStorage so a reload of the same tab can resume too
+    loadSessionToken(roomId) {
+        try {
+            return sessionStorage.getItem(`polypongon-session-${roomId}`);
+        } catch {
+            return null;
+        }
+    }
+
+    saveSessionToken(roomId, token) {
+        try {
+            const key = `polypongon-session-${roomId}`;
+            if (token) sessionStorage.setItem(key, token);
+            else sessionStorage.removeItem(key);
+        } catch {
+            // Storage unavailable (private mode etc.) - reconnection still works within this page
+        }
     }
 
     handleTouch(e) {
@@ -385,6 +1332,11 @@ export class Game extends BaseGame {
             e.preventDefault();
         }
 
+        if (this.isHotSeat()) {
+            this.hotSeatTouches = this.getArenaTouches(e.touches);
+            return;
+        }
+        if (this.controlScheme === 'pointer') return; // Pointer events steer instead
 
         const touchX = e.touches[0].clientX;
         if (touchX < window.innerWidth / 2) {
@@ -394,6 +1346,40 @@ export class Game extends BaseGame {
         }
     }
 
+    handlePointer(e) {
+        if (this.controlScheme !== 'pointer' || this.isHotSeat()) return;
+        // A mouse steers just by moving; pens and fingers while pressed
+        if (e.pointerType !== 'mouse' && e.buttons === 0) return;
+        this.pointerPoint = this.toArenaPoint(e.clientX, e.clientY);
+    }
+
+    /**
+     * Screen position in arena coordinates (centred and unscaled, like the
+     * polygon, and undoing the camera's turn).
+     */
+    toArenaPoint(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const s = this.gameScale || 1;
+        return this.camera.toWorld({
+            x: (clientX - rect.left - this.canvas.width / 2) / s,
+            y: (clientY - rect.top - this.canvas.height / 2) / s
+        });
+    }
+
+    /**
+     * @param {TouchList} touches
+     */
+    getArenaTouches(touches) {
+        return Array.from(touches, touch => this.toArenaPoint(touch.clientX, touch.clientY));
+    }
+
+    /**
+     * Spot on the paddle's edge the pointer is aiming at, if it's steering.
+     */
+    getPointerTarget(paddle) {
+        return this.pointerPoint ? pointerTarget(this.polygon, paddle.edgeIndex, this.pointerPoint) : null;
+    }
+
     resize() {
         this.canvas.width = window.innerWidth;
         this.canvas.height = window.innerHeight;
@@ -417,10 +1403,13 @@ export class Game extends BaseGame {
         if (this.leftHintTimer > 0) this.leftHintTimer -= dt;
         if (this.rightHintTimer > 0) this.rightHintTimer -= dt;
 
+        this.pollGamepads();
+
         // Only show hints for players (not spectators)
         if (this.gameState === 'COUNTDOWN' && (this.playerIndex !== -1 || this.mode === 'local')) {
-            const leftInput = this.keys['ArrowLeft'] || this.keys['KeyA'] || this.touchDir === -1;
-            const rightInput = this.keys['ArrowRight'] || this.keys['KeyD'] || this.touchDir === 1;
+            const padDir = this.getGamepadDir();
+            const leftInput = this.keys['ArrowLeft'] || this.keys['KeyA'] || this.touchDir === -1 || padDir < 0;
+            const rightInput = this.keys['ArrowRight'] || this.keys['KeyD'] || this.touchDir === 1 || padDir > 0;
             if (leftInput) this.leftHintTimer = 0.5;
             if (rightInput) this.rightHintTimer = 0.5;
         }
@@ -435,6 +1424,9 @@ export class Game extends BaseGame {
         // though the server will also send updates.
 
         this.updateParticles(dt);
+        this.updateEmoteBubbles(dt);
+        this.polygon.advanceMorph(dt);
+        this.camera.update(dt, this.polygon, this.getCameraEdge());
 
         this.draw();
 
@@ -442,39 +1434,138 @@ export class Game extends BaseGame {
     }
 
     update(dt) {
-        // Handle Input (Local Paddle)
-        let dir = 0;
-        if (this.keys['ArrowLeft'] || this.keys['KeyA']) dir = -1;
-        if (this.keys['ArrowRight'] || this.keys['KeyD']) dir = 1;
-        if (this.touchDir !== 0) dir = this.touchDir;
+        if (this.gameState === 'PAUSED') return;
 
-        if (this.paddles.length > 0 && dir !== 0 && (this.gameState === 'PLAYING' || this.gameState === 'COUNTDOWN')) {
-            this.paddles[0].move(dir, dt);
+        const canMove = this.gameState === 'PLAYING' || this.gameState === 'COUNTDOWN';
+        if (this.isHotSeat()) {
+            if (canMove) this.moveHotSeatPaddles(dt);
+        } else {
+            // Handle Input (Local Paddle)
+            let dir = 0;
+            if (this.keys['ArrowLeft'] || this.keys['KeyA']) dir = -1;
+            if (this.keys['ArrowRight'] || this.keys['KeyD']) dir = 1;
+            if (this.getGamepadDir() !== 0) dir = this.getGamepadDir();
+            if (this.touchDir !== 0) dir = this.touchDir;
+            dir = this.camera.inputDirection(dir);
+            if (dir !== 0) this.pointerPoint = null; // Keys take over until the pointer moves again
+
+            const paddle = this.paddles[0];
+            const target = paddle ? this.getPointerTarget(paddle) : null;
+            if (paddle && dir !== 0 && canMove) {
+                paddle.move(dir, dt);
+            } else if (target !== null && canMove) {
+                paddle.moveToward(target, dt);
+            }
         }
+        // AI opponents, like the server's bots, only play during a rally
+        if (this.gameState === 'PLAYING') this.paddles.forEach(p => p.update(dt, this));
 
         super.update(dt);
         this.audio.setDifficulty(this.difficulty);
     }
 
+    /**
+     * Each hot-seat paddle follows its own key pair, the gamepad with the same
+     * number, or a finger in its part of the screen (a finger wins, then the
+     * pad, as in single-player).
+     */
+    moveHotSeatPaddles(dt) {
+        const seated = this.paddles.filter(p => p.seat !== null);
+        const touchDirs = new Map();
+        this.hotSeatTouches.forEach(point => {
+            const paddle = touchedPaddle(this.polygon, seated, point);
+            if (paddle) touchDirs.set(paddle, touchDirection(this.polygon, paddle, point));
+        });
+
+        seated.forEach(paddle => {
+            let dir = this.gamepadDirs[paddle.seat] || keyDirection(this.keys, HOTSEAT_KEYS[paddle.seat]);
+            if (touchDirs.has(paddle)) dir = touchDirs.get(paddle);
+            if (dir !== 0) paddle.move(dir, dt);
+        });
+    }
+
+    /**
+     * Read every connected gamepad: their directions for this frame, and
+     * confirm/pause presses, which act like Space and P.
+     */
+    pollGamepads() {
+        if (!navigator.getGamepads) return;
+        const pads = Array.from(navigator.getGamepads()).filter(pad => pad && pad.connected);
+        this.gamepadDirs = pads.map(gamepadDirection);
+
+        const modalOpen = document.querySelector('.modal-overlay.visible');
+        pads.forEach(pad => {
+            const { presses, held } = gamepadPresses(pad, this.gamepadHeld.get(pad.index));
+            this.gamepadHeld.set(pad.index, held);
+            if (modalOpen) return;
+            if (presses.includes('confirm')) {
+                this.audio.init();
+                this.handleRestartAction();
+            }
+            if (presses.includes('pause')) this.togglePause();
+        });
+    }
+
+    /**
+     * Direction from whichever pad is being pushed (single-player and online).
+     */
+    getGamepadDir() {
+        return this.gamepadDirs.find(dir => dir !== 0) ?? 0;
+    }
+
     // --- Hooks for BaseGame ---
 
-    onPaddleHit(edgeIndex) {
-        super.onPaddleHit(edgeIndex);
+    onPaddleHit(edgeIndex, ball = this.ball) {
+        super.onPaddleHit(edgeIndex, ball);
+        this.lastHitEdge = edgeIndex;
+        if (this.isHotSeat()) this.hotSeatHits[edgeIndex] = (this.hotSeatHits[edgeIndex] ?? 0) + 1;
+        this.audio.playBounce();
+        this.addParticles(ball.x, ball.y, this.getPlayerColor(edgeIndex));
+    }
+
+    onWallBounce(edgeIndex, ball = this.ball) {
+        this.audio.playBounce();
+        this.addParticles(ball.x, ball.y, this.getPlayerColor(edgeIndex), 5);
+    }
+
+    checkBallSpawns() {
+        // Online the server spawns balls and they arrive with the state
+        if (this.mode === 'online') return;
+        super.checkBallSpawns();
+    }
+
+    checkPowerUpSpawns(dt) {
+        // Pickups are server-authoritative online
+        if (this.mode === 'online') return;
+        super.checkPowerUpSpawns(dt);
+    }
+
+    onObstacleBounce(obstacle, ball) {
+        this.audio.playBounce();
+        this.addParticles(ball.x, ball.y, 'rgba(148, 163, 184, 0.8)', 5);
+    }
+
+    onPowerUpCollected(powerUp, edgeIndex) {
+        const style = POWERUP_STYLES[powerUp.type];
         this.audio.playBounce();
-        this.addParticles(this.ball.x, this.ball.y, this.getPlayerColor(edgeIndex));
+        this.addParticles(powerUp.x, powerUp.y, style?.color || '#fff', 25);
+        if (powerUp.type === 'reverse' && edgeIndex !== this.playerIndex && this.mode === 'online') {
+            this.flashEffect('rgba(244, 114, 182, 0.25)');
+        }
     }
 
-    onWallBounce(edgeIndex) {
+    onBallSpawned(ball) {
         this.audio.playBounce();
-        this.addParticles(this.ball.x, this.ball.y, this.getPlayerColor(edgeIndex), 5);
+        this.addParticles(ball.x, ball.y, 'rgba(255, 255, 255, 0.8)', 20);
     }
 
-    onGoal(_edgeIndex) {
+    onGoal(edgeIndex) {
+        if (this.isVersus()) {
+            this.awardPoint(edgeIndex);
+        }
+        this.missedEdge = edgeIndex;
         this.audio.playGoal();
         this.flashEffect('rgba(239, 68, 68, 0.4)');
-        if (this.ball) {
-            this.ball.maxTrailLength = 200;
-        }
         this.triggerScore(this.score, Math.floor(this.timeElapsed));
     }
 
@@ -483,50 +1574,87 @@ export class Game extends BaseGame {
     handleOnlineInput(dt) {
         if (!this.socket) return;
 
-        // Record current local state for reconciliation before we apply new frames
-        if (this.playerIndex !== -1 && this.paddles.length > 0) {
-            const myPaddle = this.paddles.find(p => p.edgeIndex === this.playerIndex);
-            if (myPaddle) {
-                this.localHistory.push({
-                    position: myPaddle.position,
-                    timestamp: Date.now() + this.serverClockOffset
-                });
-                // Keep small history buffer (e.g. 500ms)
-                const limit = Date.now() + this.serverClockOffset - 500;
-                while (this.localHistory.length > 0 && this.localHistory[0].timestamp < limit) {
-                    this.localHistory.shift();
-                }
-            }
-        }
-
         this.applyInterpolation();
         super.updateGameRules(dt);
 
-        if (this.gameState === 'SCORING') return;
+        if (this.gameState === 'SCORING' || this.gameState === 'PAUSED') return;
 
         let dir = 0;
         if (this.keys['ArrowLeft'] || this.keys['KeyA']) dir = -1;
         if (this.keys['ArrowRight'] || this.keys['KeyD']) dir = 1;
+        if (this.getGamepadDir() !== 0) dir = this.getGamepadDir();
         if (this.touchDir !== 0) dir = this.touchDir;
-
-        if (this.playerIndex !== -1 && this.paddles.length > 0) {
-            const myPaddle = this.paddles.find(p => p.edgeIndex === this.playerIndex);
-            if (myPaddle) {
-                myPaddle.move(dir, dt);
+        dir = this.camera.inputDirection(dir);
+        if (dir !== 0) this.pointerPoint = null;
+
+        if (!this.localPaddle) return;
+
+        // Every frame that moves (plus the frame we stop) becomes a numbered input
+        // the server replays exactly; idle frames are not sent.
+        const inputDt = Math.min(dt, 0.1); // Server clamps the same way
+        const target = dir === 0 ? this.getPointerTarget(this.localPaddle) : null;
+        if (target !== null) {
+            // Pointer control sends where to go; the server holds us to paddle speed
+            const input = { seq: this.inputSeq + 1, target: Math.round(target * 1000) / 1000, dt: inputDt };
+            if (this.localPaddle.moveToward(input.target, inputDt)) {
+                this.inputSeq = input.seq;
+                this.sendInput(input);
             }
+        } else if (dir !== 0 || this.lastDir !== 0) {
+            // Analog directions are rounded so inputs stay small on the wire
+            const input = { seq: ++this.inputSeq, dir: Math.round(dir * 100) / 100, dt: inputDt };
+            this.sendInput(input);
+            this.localPaddle.move(input.dir, inputDt);
+        }
+        this.lastDir = dir;
+    }
+
+    sendInput(input) {
+        this.pendingInputs.push(input);
+        if (this.pendingInputs.length > 120) this.pendingInputs.shift(); // Server stopped acking
+        this.socket.emit('input', input);
+    }
+
+    resetPrediction() {
+        this.inputSeq = 0;
+        this.pendingInputs = [];
+        this.localPaddle = null;
+        this.lastDir = 0;
+    }
+
+    /**
+     * Rollback reconciliation: take the server's position for our paddle as of
+     * the last input it processed, then replay everything it hasn't seen yet.
+     */
+    reconcileLocalPaddle(state) {
+        if (this.playerIndex === -1 || !state.paddles) return;
+        const serverPaddle = state.paddles.find(p => p.edgeIndex === this.playerIndex);
+        if (!serverPaddle) {
+            this.localPaddle = null;
+            return;
         }
 
-        if (this.lastDir !== dir) {
-            this.socket.emit('input', { dir });
-            this.lastDir = dir;
+        if (!this.localPaddle || this.localPaddle.edgeIndex !== this.playerIndex) {
+            this.localPaddle = new Paddle(this.playerIndex);
         }
+
+        const ack = serverPaddle.lastInputSeq ?? 0;
+        this.pendingInputs = this.pendingInputs.filter(input => input.seq > ack);
+
+        this.localPaddle.width = serverPaddle.width ?? this.getPaddleWidth();
+        this.localPaddle.position = serverPaddle.position;
+        this.localPaddle.reversed = (state.effects || []).some(e => e.type === 'reverse' && e.edgeIndex !== this.playerIndex);
+        this.pendingInputs.forEach(input => {
+            if (input.target !== undefined) this.localPaddle.moveToward(input.target, input.dt);
+            else this.localPaddle.move(input.dir, input.dt);
+        });
     }
 
     applyInterpolation() {
         if (this.stateBuffer.length < 2) return;
 
         const now = Date.now() + this.serverClockOffset;
-        const renderTimestamp = now - 100;
+        const renderTimestamp = now - this.interpolationDelay;
         let s0 = this.stateBuffer[0];
         let s1 = this.stateBuffer[1];
         let i = 0;
@@ -544,20 +1672,34 @@ export class Game extends BaseGame {
         }
         t = Math.max(0, Math.min(1, t));
 
-        if (renderTimestamp > s1.timestamp) {
-            // Extrapolate ball if we're ahead of the buffer
-            const dt = (renderTimestamp - s1.timestamp) / 1000;
-            this.ball.x = s1.ball.x + (s1.ball.vx || 0) * dt;
-            this.ball.y = s1.ball.y + (s1.ball.vy || 0) * dt;
-        } else if (renderTimestamp < s0.timestamp) {
-            this.ball.x = s0.ball.x;
-            this.ball.y = s0.ball.y;
-        } else {
-            this.ball.x = lerp(s0.ball.x, s1.ball.x, t);
-            this.ball.y = lerp(s0.ball.y, s1.ball.y, t);
-        }
+        // Balls are matched by id so each keeps its own trail; servers without
+        // multi-ball only send the single `ball`
+        const balls0 = s0.balls || [s0.ball];
+        const balls1 = s1.balls || [s1.ball];
+        if (balls1.length > 0) {
+            this.balls = balls1.map(b1 => {
+                const id = b1.id ?? 0;
+                const b0 = balls0.find(b => (b.id ?? 0) === id) || b1;
+                const ball = this.balls.find(b => b.id === id) || Object.assign(new Ball(b1.x, b1.y), { id });
+
+                if (renderTimestamp > s1.timestamp) {
+                    // Extrapolate ball if we're ahead of the buffer
+                    const dt = (renderTimestamp - s1.timestamp) / 1000;
+                    ball.x = b1.x + (b1.vx || 0) * dt;
+                    ball.y = b1.y + (b1.vy || 0) * dt;
+                } else if (renderTimestamp < s0.timestamp) {
+                    ball.x = b0.x;
+                    ball.y = b0.y;
+                } else {
+                    ball.x = lerp(b0.x, b1.x, t);
+                    ball.y = lerp(b0.y, b1.y, t);
+                }
 
-        this.ball.updateTrail();
+                ball.spin = b1.spin || 0; // Only drawn; the server does the curving
+                ball.updateTrail();
+                return ball;
+            });
+        }
 
         if (renderTimestamp > s1.timestamp) {
             // Extrapolate rotation if we're ahead
@@ -569,41 +1711,9 @@ export class Game extends BaseGame {
         this.polygon.updateVertices();
 
         this.paddles = s1.paddles.map(pData1 => {
-            if (this.playerIndex !== -1 && pData1.edgeIndex === this.playerIndex) {
-                // LOCAL PLAYER: Use predictive local state with reconciliation
-                let myPaddle = this.paddles.find(p => p.edgeIndex === this.playerIndex);
-                if (!myPaddle) myPaddle = new Paddle(pData1.edgeIndex);
-
-                // Sync metadata (width/difficulty)
-                myPaddle.width = pData1.width ?? Math.max(0.1, 0.4 / (this.difficulty * 0.8));
-
-                // Reconciliation: Find what our position was at the server's renderTimestamp
-                // and compare it to the server's interpolated position.
-                const interpolatedServerPos = (s0.paddles.find(pp => pp.edgeIndex === this.playerIndex)?.position !== undefined)
-                    ? lerp(s0.paddles.find(pp => pp.edgeIndex === this.playerIndex).position, pData1.position, t)
-                    : pData1.position;
-
-                // Find entry in history closest to renderTimestamp
-                let closest = null;
-                let minDiff = Infinity;
-                for (const entry of this.localHistory) {
-                    const diff = Math.abs(entry.timestamp - renderTimestamp);
-                    if (diff < minDiff) {
-                        minDiff = diff;
-                        closest = entry;
-                    }
-                }
-
-                if (closest && minDiff < 50) { // Only reconcile if we have a reasonably close history point
-                    const error = interpolatedServerPos - closest.position;
-                    // Apply smooth correction factor to current position
-                    // 0.1 means we fix 10% of the drift per frame
-                    if (Math.abs(error) > 0.001) {
-                        myPaddle.position += error * 0.1;
-                    }
-                }
-
-                return myPaddle;
+            if (this.localPaddle && pData1.edgeIndex === this.localPaddle.edgeIndex) {
+                // LOCAL PLAYER: Predicted and reconciled as each state arrives
+                return this.localPaddle;
             }
 
             // OTHER PLAYERS: Use standard 100ms interpolation
@@ -614,7 +1724,8 @@ export class Game extends BaseGame {
             } else {
                 p.position = pData1.position;
             }
-            p.width = pData1.width ?? Math.max(0.1, 0.4 / (this.difficulty * 0.8));
+            p.width = pData1.width ?? this.getPaddleWidth();
+            p.isBot = !!pData1.isBot;
             return p;
         });
     }
@@ -622,11 +1733,11 @@ export class Game extends BaseGame {
     getPlayerColor(index, alpha = 1) {
         const total = this.polygon.sides;
         const hue = (index / total) * 360;
-        return `hsla(${hue}, 80%, 60%, ${alpha})`;
+        return `hsla(${hue}, ${this.theme.saturation}%, ${this.theme.lightness}%, ${alpha})`;
     }
 
     draw() {
-        this.ctx.fillStyle = '#0f172a';
+        this.ctx.fillStyle = this.theme.background;
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
         if (this.playerIndex !== -1) {
@@ -638,6 +1749,7 @@ export class Game extends BaseGame {
         this.ctx.save();
         this.ctx.translate(this.canvas.width / 2, this.canvas.height / 2);
         this.ctx.scale(this.gameScale, this.gameScale);
+        this.ctx.rotate(this.camera.angle);
 
         const vertices = this.polygon.vertices;
 
@@ -661,6 +1773,34 @@ export class Game extends BaseGame {
             this.ctx.moveTo(p1.x, p1.y);
             this.ctx.lineTo(p2.x, p2.y);
             this.ctx.stroke();
+
+            // Shield power-up: the edge behind the paddle glows as a wall
+            if (this.hasEffect('shield', i)) {
+                this.ctx.save();
+                this.ctx.setLineDash([12, 8]);
+                this.ctx.lineWidth = 4;
+                this.ctx.strokeStyle = POWERUP_STYLES.shield.color;
+                this.ctx.shadowColor = POWERUP_STYLES.shield.color;
+                this.ctx.shadowBlur = 15;
+                this.ctx.beginPath();
+                this.ctx.moveTo(p1.x, p1.y);
+                this.ctx.lineTo(p2.x, p2.y);
+                this.ctx.stroke();
+                this.ctx.restore();
+            }
+
+            // Knocked out of an elimination round: the edge is a wall until next round
+            if (this.mode === 'online' && this.eliminatedEdges.includes(i)) {
+                this.ctx.save();
+                this.ctx.translate((p1.x + p2.x) / 2, (p1.y + p2.y) / 2);
+                this.ctx.rotate(Math.atan2((p1.y + p2.y) / 2, (p1.x + p2.x) / 2) + Math.PI / 2);
+                this.ctx.fillStyle = 'rgba(148, 163, 184, 0.9)';
+                this.ctx.font = `600 ${12}px 'Outfit', sans-serif`;
+                this.ctx.textAlign = 'center';
+                this.ctx.shadowBlur = 0;
+                this.ctx.fillText(i === this.playerIndex ? 'YOU ARE OUT' : 'OUT', 0, 25);
+                this.ctx.restore();
+            }
         }
 
         this.paddles.forEach(paddle => {
@@ -741,9 +1881,68 @@ export class Game extends BaseGame {
                 this.ctx.stroke();
                 this.ctx.restore();
             }
+
+            // Paddle held for a player who dropped and may reconnect
+            if (this.mode === 'online' && this.disconnectedEdges.includes(paddle.edgeIndex)) {
+                this.ctx.save();
+                this.ctx.translate((startX + endX) / 2, (startY + endY) / 2);
+                const angle = Math.atan2((startY + endY) / 2, (startX + endX) / 2);
+                this.ctx.rotate(angle + Math.PI / 2);
+
+                this.ctx.fillStyle = 'rgba(148, 163, 184, 0.9)';
+                this.ctx.font = `600 ${12}px 'Outfit', sans-serif`;
+                this.ctx.textAlign = 'center';
+                this.ctx.shadowBlur = 0;
+                this.ctx.fillText('RECONNECTING...', 0, 25);
+                this.ctx.restore();
+            }
+
+            // Label computer-controlled paddles (and, in versus, everyone's points;
+            // in hot-seat, who is who and their keys until the ball is served)
+            if ((this.mode === 'online' && paddle.isBot) || this.isVersus() || (this.mode === 'local' && paddle.seat !== null)) {
+                this.ctx.save();
+                this.ctx.translate((startX + endX) / 2, (startY + endY) / 2);
+                const angle = Math.atan2((startY + endY) / 2, (startX + endX) / 2);
+                this.ctx.rotate(angle + Math.PI / 2);
+
+                this.ctx.fillStyle = this.getPlayerColor(paddle.edgeIndex, 0.7);
+                this.ctx.font = `600 ${12}px 'Outfit', sans-serif`;
+                this.ctx.textAlign = 'center';
+                this.ctx.shadowBlur = 0;
+                if (paddle.seat !== null) {
+                    this.ctx.fillStyle = this.getPlayerColor(paddle.edgeIndex, 1);
+                    const keys = this.gameState === 'COUNTDOWN' ? ` · ${HOTSEAT_KEYS[paddle.seat].label}` : '';
+                    this.ctx.fillText(`P${paddle.seat + 1}${keys}`, 0, 25);
+                } else {
+                    const name = paddle.isBot || paddle.ai ? 'BOT' : 'YOU';
+                    this.ctx.fillText(this.isVersus() ? `${name} ${this.paddleScores[paddle.edgeIndex] ?? 0}` : name, 0, 25);
+                }
+                this.ctx.restore();
+            }
+
+            // Elimination: remaining lives as dots outside the paddle
+            const lives = this.mode === 'online' && this.ruleset === 'elimination'
+                ? this.edgeStats[paddle.edgeIndex]?.lives
+                : null;
+            if (lives) {
+                this.ctx.save();
+                this.ctx.translate((startX + endX) / 2, (startY + endY) / 2);
+                this.ctx.rotate(Math.atan2((startY + endY) / 2, (startX + endX) / 2) + Math.PI / 2);
+                this.ctx.fillStyle = this.getPlayerColor(paddle.edgeIndex, 0.9);
+                this.ctx.shadowBlur = 0;
+                for (let i = 0; i < lives; i++) {
+                    this.ctx.beginPath();
+                    this.ctx.arc((i - (lives - 1) / 2) * 10, 40, 3, 0, Math.PI * 2);
+                    this.ctx.fill();
+                }
+                this.ctx.restore();
+            }
         });
 
-        this.ball.draw(this.ctx, 0, 0);
+        this.drawObstacles();
+        this.drawPowerUps();
+        this.balls.forEach(ball => ball.draw(this.ctx, 0, 0));
+        this.drawEmoteBubbles();
 
         // Draw Particles
         this.ctx.shadowBlur = 0;
@@ -771,7 +1970,13 @@ export class Game extends BaseGame {
 
         if (this.gameState === 'PLAYING') {
             const timeStr = `TIME: ${Math.floor(this.timeElapsed || 0)}S`;
-            const scoreStr = `SCORE: ${this.score || 0}`;
+            let scoreStr = `SCORE: ${this.score || 0}`;
+            if (this.isVersus()) {
+                scoreStr = `YOU ${this.paddleScores[0] ?? 0} | FIRST TO ${GAME_CONSTANTS.VERSUS_WIN_SCORE}`;
+            } else if (this.mode === 'online' && this.ruleset === 'elimination' && this.playerIndex !== -1) {
+                const mine = this.edgeStats[this.playerIndex] || {};
+                scoreStr = `LIVES: ${mine.lives ?? 0} | HITS: ${mine.hits ?? 0}`;
+            }
             const fullStr = `${scoreStr} | ${timeStr}`;
 
             this.ctx.shadowBlur = 10;
@@ -789,6 +1994,7 @@ export class Game extends BaseGame {
                 this.ctx.fillText(fullStr, 20 * s, 30 * s);
             }
             this.ctx.shadowBlur = 0;
+            this.drawEffectsHud(s);
         } else if (this.gameState === 'SCORING') {
             const overlayAlpha = this.celebrationTimer > 0 ? 0.3 : 0.7;
             this.ctx.fillStyle = `rgba(0, 0, 0, ${overlayAlpha})`;
@@ -798,12 +2004,31 @@ export class Game extends BaseGame {
             this.ctx.shadowColor = '#38bdf8';
 
             // Pulsate effect during celebration
-            const pulsate = this.celebrationTimer > 0 ? Math.sin(this.celebrationTimer * 10) * 10 : 0;
+            const pulsate = this.celebrationTimer > 0 && !this.reducedMotion ? Math.sin(this.celebrationTimer * 10) * 10 : 0;
             this.ctx.shadowBlur = 20 + pulsate;
             this.ctx.font = `800 ${(64 + pulsate / 2) * s}px 'Outfit', sans-serif`;
             this.ctx.textAlign = 'center';
 
-            if (this.hasPlayed) {
+            if (this.isVersus()) {
+                this.ctx.fillText(this.getVersusHeadline(), this.canvas.width / 2, this.canvas.height / 2 - 80 * s);
+                this.ctx.fillStyle = '#fff';
+                this.ctx.font = `600 ${32 * s}px 'Outfit', sans-serif`;
+                this.ctx.shadowBlur = 0;
+                this.ctx.fillText(this.getVersusStandings(), this.canvas.width / 2, this.canvas.height / 2 - 20 * s);
+            } else if (this.hasPlayed && this.mode === 'online' && this.ruleset === 'elimination') {
+                this.ctx.fillText(this.getEliminationHeadline(), this.canvas.width / 2, this.canvas.height / 2 - 80 * s);
+                this.ctx.fillStyle = '#fff';
+                this.ctx.font = `600 ${24 * s}px 'Outfit', sans-serif`;
+                this.ctx.shadowBlur = 0;
+                this.ctx.fillText(this.getOnlineStandings(), this.canvas.width / 2, this.canvas.height / 2 - 20 * s);
+            } else if (this.hasPlayed && this.isHotSeat()) {
+                this.ctx.fillText(this.getHotSeatHeadline(), this.canvas.width / 2, this.canvas.height / 2 - 80 * s);
+                this.ctx.fillStyle = '#fff';
+                this.ctx.font = `600 ${32 * s}px 'Outfit', sans-serif`;
+                this.ctx.shadowBlur = 0;
+                this.ctx.fillText(`SCORE: ${this.lastScore} | TIME: ${this.finalTime}S`, this.canvas.width / 2, this.canvas.height / 2 - 20 * s);
+                this.drawHotSeatStandings(s);
+            } else if (this.hasPlayed) {
                 this.ctx.fillText("PONGED!", this.canvas.width / 2, this.canvas.height / 2 - 80 * s);
                 this.ctx.fillStyle = '#fff';
                 this.ctx.font = `600 ${32 * s}px 'Outfit', sans-serif`;
@@ -845,12 +2070,26 @@ export class Game extends BaseGame {
             this.ctx.fillStyle = '#94a3b8';
             this.ctx.font = `${20 * s}px 'Outfit', sans-serif`;
             // this.ctx.fillText('CLICK OR PRESS SPACE TO REJOIN', this.canvas.width / 2, this.canvas.height / 2 + 110 * s);
+        } else if (this.gameState === 'PAUSED') {
+            this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+            this.ctx.fillStyle = '#fff';
+            this.ctx.shadowColor = '#fff';
+            this.ctx.shadowBlur = 20;
+            this.ctx.font = `800 ${64 * s}px 'Outfit', sans-serif`;
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText('PAUSED', this.canvas.width / 2, this.canvas.height / 2 - 80 * s);
+            this.ctx.shadowBlur = 0;
+            this.ctx.fillStyle = '#94a3b8';
+            this.ctx.font = `400 ${20 * s}px 'Outfit', sans-serif`;
+            this.ctx.fillText(this.getPauseDetails(), this.canvas.width / 2, this.canvas.height / 2 - 30 * s);
         } else if (this.gameState === 'COUNTDOWN') {
             this.ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
             this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
-            // Draw control hints for the player's paddle (if not a spectator)
-            if (this.playerIndex !== -1 || this.mode === 'local') {
+            // Draw control hints for the player's paddle (if not a spectator);
+            // hot-seat paddles are labelled with their keys instead
+            if (this.playerIndex !== -1 || (this.mode === 'local' && !this.isHotSeat())) {
                 this.drawControlHints(s);
             }
 
@@ -863,6 +2102,14 @@ export class Game extends BaseGame {
             this.ctx.fillText(count > 0 ? count : "GO!", this.canvas.width / 2, this.canvas.height / 2 + 40 * s);
         }
 
+        // Someone asked to pause: everyone else can back it with P
+        if (this.mode === 'online' && this.pauseVote?.action === 'pause' && this.gameState !== 'PAUSED') {
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+            this.ctx.font = `600 ${20 * s}px 'Outfit', sans-serif`;
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(`PAUSE VOTE ${this.pauseVote.votes}/${this.pauseVote.needed} - PRESS P TO AGREE`, this.canvas.width / 2, 140 * s);
+        }
+
         // Multiplayer Debug Info
         if (this.mode === 'online' && this.playerIndex !== -1 && this.gameState !== 'SCORING') {
             this.ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
@@ -871,6 +2118,17 @@ export class Game extends BaseGame {
             this.ctx.fillText(`ID: ${this.socket.id.substring(0, 4)} | P${this.playerIndex + 1}`, 20 * s, this.canvas.height - 20 * s);
         }
 
+        // Lost connection: socket.io is retrying in the background
+        if (this.mode === 'online' && this.connectionLost) {
+            this.ctx.fillStyle = 'rgba(239, 68, 68, 0.9)';
+            this.ctx.shadowColor = 'rgba(239, 68, 68, 0.8)';
+            this.ctx.shadowBlur = 15;
+            this.ctx.font = `600 ${24 * s}px 'Outfit', sans-serif`;
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText('CONNECTION LOST - RECONNECTING...', this.canvas.width / 2, 110 * s);
+            this.ctx.shadowBlur = 0;
+        }
+
         // Spectator Mode Indicator
         if (this.mode === 'online' && this.playerIndex === -1 && this.socket) {
             this.ctx.fillStyle = 'rgba(255, 215, 0, 0.9)';
@@ -882,7 +2140,236 @@ export class Game extends BaseGame {
 
             this.ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
             this.ctx.shadowBlur = 0;
+            if (this.wantsToPlay) {
+                this.ctx.font = `400 ${16 * s}px 'Outfit', sans-serif`;
+                this.ctx.fillText('You will join when an edge frees up between rounds', this.canvas.width / 2, this.canvas.height - 15 * s);
+            }
         }
+
+        // Spectator count (everyone in the room sees who's watching)
+        if (this.mode === 'online' && this.spectatorCount > 0) {
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+            this.ctx.shadowBlur = 0;
+            this.ctx.font = `${14 * s}px 'Outfit', sans-serif`;
+            this.ctx.textAlign = 'right';
+            this.ctx.fillText(`${this.spectatorCount} WATCHING`, this.canvas.width - 20 * s, this.canvas.height - 20 * s);
+        }
+    }
+
+    drawObstacles() {
+        this.ctx.save();
+        this.ctx.strokeStyle = 'rgba(148, 163, 184, 0.9)';
+        this.ctx.fillStyle = 'rgba(148, 163, 184, 0.25)';
+        this.ctx.shadowColor = 'rgba(148, 163, 184, 0.6)';
+        this.ctx.shadowBlur = 10;
+        this.ctx.lineCap = 'round';
+        this.obstacles.forEach(obstacle => {
+            this.ctx.beginPath();
+            if (obstacle.kind === 'bumper') {
+                this.ctx.lineWidth = 3;
+                this.ctx.arc(obstacle.x, obstacle.y, obstacle.radius, 0, Math.PI * 2);
+                this.ctx.fill();
+            } else {
+                this.ctx.lineWidth = 6;
+                this.ctx.moveTo(obstacle.p1.x, obstacle.p1.y);
+                this.ctx.lineTo(obstacle.p2.x, obstacle.p2.y);
+            }
+            this.ctx.stroke();
+        });
+        this.ctx.restore();
+    }
+
+    /** Pickups waiting in the arena (drawn in arena coordinates). */
+    drawPowerUps() {
+        const pulse = 1 + Math.sin(Date.now() / 200) * 0.1;
+        this.powerUps.forEach(powerUp => {
+            const style = POWERUP_STYLES[powerUp.type];
+            if (!style) return;
+            const radius = GAME_CONSTANTS.POWERUP_RADIUS * pulse;
+
+            this.ctx.save();
+            this.ctx.translate(powerUp.x, powerUp.y);
+            this.ctx.rotate(-this.camera.angle); // Upright whatever the camera does
+            this.ctx.beginPath();
+            this.ctx.arc(0, 0, radius, 0, Math.PI * 2);
+            this.ctx.fillStyle = 'rgba(15, 23, 42, 0.8)';
+            this.ctx.fill();
+            this.ctx.lineWidth = 3;
+            this.ctx.strokeStyle = style.color;
+            this.ctx.shadowColor = style.color;
+            this.ctx.shadowBlur = 15;
+            this.ctx.stroke();
+
+            this.ctx.fillStyle = style.color;
+            this.ctx.shadowBlur = 0;
+            this.ctx.font = `700 ${14}px 'Outfit', sans-serif`;
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText(style.icon, 0, 1);
+            this.ctx.restore();
+        });
+    }
+
+    /**
+     * Emotes and quick phrases drifting outward from the sender's paddle,
+     * fading out at the end.
+     */
+    drawEmoteBubbles() {
+        const vertices = this.polygon.vertices;
+        this.emoteBubbles.forEach(bubble => {
+            const paddle = this.paddles.find(p => p.edgeIndex === bubble.edgeIndex);
+            if (!paddle) return;
+            const p1 = vertices[paddle.edgeIndex];
+            const p2 = vertices[(paddle.edgeIndex + 1) % vertices.length];
+            const midX = p1.x + (p2.x - p1.x) * paddle.position;
+            const midY = p1.y + (p2.y - p1.y) * paddle.position;
+            const angle = Math.atan2(midY, midX);
+            const distance = 55 + bubble.age * 12;
+            const isEmote = EMOTES.includes(bubble.label);
+
+            this.ctx.save();
+            this.ctx.globalAlpha = Math.min(1, (EMOTE_BUBBLE_SECONDS - bubble.age) / 0.5);
+            this.ctx.translate(midX + Math.cos(angle) * distance, midY + Math.sin(angle) * distance);
+            this.ctx.rotate(-this.camera.angle);
+            this.ctx.shadowBlur = 0;
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            if (isEmote) {
+                this.ctx.font = `${28}px sans-serif`;
+                this.ctx.fillText(bubble.label, 0, 0);
+            } else {
+                this.ctx.font = `700 ${12}px 'Outfit', sans-serif`;
+                const width = this.ctx.measureText(bubble.label).width + 16;
+                this.ctx.fillStyle = 'rgba(15, 23, 42, 0.85)';
+                this.ctx.strokeStyle = this.getPlayerColor(bubble.edgeIndex, 1);
+                this.ctx.lineWidth = 2;
+                this.ctx.beginPath();
+                this.ctx.roundRect(-width / 2, -12, width, 24, 12);
+                this.ctx.fill();
+                this.ctx.stroke();
+                this.ctx.fillStyle = '#fff';
+                this.ctx.fillText(bubble.label, 0, 1);
+            }
+            this.ctx.restore();
+        });
+    }
+
+    /**
+     * Active power-up effects under the score line: icon, seconds left and a
+     * ring in the colour of the paddle that collected it.
+     */
+    drawEffectsHud(s) {
+        const effects = this.effects.filter(e => POWERUP_TYPES[e.type]?.duration > 0);
+        if (effects.length === 0) return;
+
+        const size = 26 * s;
+        const gap = 40 * s; // Room for the label under each icon
+        const total = effects.length * size + (effects.length - 1) * gap;
+        let x = s < 0.8 ? (this.canvas.width - total) / 2 : 20 * s;
+        const y = s < 0.8 ? 90 * s : 48 * s;
+
+        effects.forEach(effect => {
+            const style = POWERUP_STYLES[effect.type];
+            const remaining = Math.max(0, Math.ceil(effect.endsAt - this.timeElapsed));
+            const cx = x + size / 2;
+            const cy = y + size / 2;
+
+            this.ctx.save();
+            this.ctx.beginPath();
+            this.ctx.arc(cx, cy, size / 2, 0, Math.PI * 2);
+            this.ctx.fillStyle = 'rgba(15, 23, 42, 0.8)';
+            this.ctx.fill();
+            this.ctx.lineWidth = 2 * s;
+            this.ctx.strokeStyle = this.getPlayerColor(effect.edgeIndex, 1);
+            this.ctx.stroke();
+
+            this.ctx.fillStyle = style.color;
+            this.ctx.font = `700 ${13 * s}px 'Outfit', sans-serif`;
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText(style.icon, cx, cy);
+            this.ctx.fillStyle = '#fff';
+            this.ctx.font = `600 ${10 * s}px 'Outfit', sans-serif`;
+            this.ctx.textBaseline = 'top';
+            this.ctx.fillText(`${style.label} ${remaining}S`, cx, y + size + 2 * s);
+            this.ctx.restore();
+
+            x += size + gap;
+        });
+    }
+
+    getPauseDetails() {
+        if (this.mode === 'local') return 'PRESS P OR SPACE TO RESUME';
+        const parts = [];
+        if (this.pausedByEdge !== null) parts.push(`PAUSED BY ${this.getEdgeName(this.pausedByEdge)}`);
+        if (this.pauseTimeLeft !== null) parts.push(`RESUMES IN ${Math.ceil(this.pauseTimeLeft)}S`);
+        const pausesLeft = this.pausesLeft[this.playerIndex];
+        if (this.playerIndex !== -1 && pausesLeft !== undefined) parts.push(`${pausesLeft} PAUSES LEFT`);
+        return parts.join(' · ');
+    }
+
+    getVersusHeadline() {
+        if (this.versusWinner !== null) return this.versusWinner === 0 ? 'YOU WIN!' : 'YOU LOSE!';
+        if (this.lastPointEdge === null) return 'NO POINT';
+        return this.lastPointEdge === 0 ? 'POINT!' : 'BOT SCORES';
+    }
+
+    getVersusStandings() {
+        return this.paddles
+            .map(p => `${p.ai ? 'BOT' : 'YOU'} ${this.paddleScores[p.edgeIndex] ?? 0}`)
+            .join(' · ');
+    }
+
+    getHotSeatHeadline() {
+        const seat = this.paddles.find(p => p.edgeIndex === this.missedEdge)?.seat;
+        return seat === undefined || seat === null ? 'PONGED!' : `P${seat + 1} MISSED!`;
+    }
+
+    /**
+     * Hot-seat end screen: each player's hits, in their own colour, the one
+     * who let the ball through struck out.
+     */
+    drawHotSeatStandings(s) {
+        const seated = this.paddles.filter(p => p.seat !== null).sort((a, b) => a.seat - b.seat);
+        const entries = seated.map(p => `P${p.seat + 1} ${this.hotSeatHits[p.edgeIndex] ?? 0} HITS`);
+        const gap = 24 * s;
+
+        this.ctx.save();
+        this.ctx.font = `600 ${22 * s}px 'Outfit', sans-serif`;
+        this.ctx.textAlign = 'left';
+        const widths = entries.map(text => this.ctx.measureText(text).width);
+        let x = this.canvas.width / 2 - (widths.reduce((a, b) => a + b, 0) + gap * (entries.length - 1)) / 2;
+        const y = this.canvas.height / 2 + 25 * s;
+        seated.forEach((paddle, i) => {
+            this.ctx.fillStyle = this.getPlayerColor(paddle.edgeIndex, 1);
+            this.ctx.fillText(entries[i], x, y);
+            if (paddle.edgeIndex === this.missedEdge) {
+                this.ctx.fillRect(x, y - 8 * s, widths[i], 2 * s);
+            }
+            x += widths[i] + gap;
+        });
+        this.ctx.restore();
+    }
+
+    getEliminationHeadline() {
+        if (this.winnerEdge === null) return 'NOBODY SURVIVED';
+        if (this.winnerEdge === this.playerIndex) return 'YOU WIN!';
+        return `${this.getEdgeName(this.winnerEdge)} WINS!`;
+    }
+
+    /**
+     * One-line round summary: each edge's hits (and lives left in elimination),
+     * survivors first.
+     */
+    getOnlineStandings() {
+        return Object.entries(this.edgeStats)
+            .map(([edge, stats]) => ({ edge: Number(edge), ...stats }))
+            .sort((a, b) => (b.lives ?? 0) - (a.lives ?? 0) || b.hits - a.hits)
+            .map(({ edge, hits, lives }) => {
+                const name = this.getEdgeName(edge);
+                return lives === null ? `${name} ${hits} HITS` : `${name} ${hits} HITS ${lives} LIVES`;
+            })
+            .join(' · ');
     }
 
     drawControlHints(s) {
@@ -908,6 +2395,21 @@ export class Game extends BaseGame {
 
         const isRight = this.rightHintTimer > this.leftHintTimer;
 
+        // Player-centred camera: our edge is at the bottom, so left is just left
+        if (this.camera.following) {
+            const dir = isRight ? 1 : -1;
+            const y = innerRadius;
+            this.ctx.beginPath();
+            this.ctx.moveTo(-60 * dir, y);
+            this.ctx.lineTo(60 * dir, y);
+            this.ctx.moveTo(60 * dir - 15 * dir, y - 12);
+            this.ctx.lineTo(60 * dir, y);
+            this.ctx.lineTo(60 * dir - 15 * dir, y + 12);
+            this.ctx.stroke();
+            this.ctx.restore();
+            return;
+        }
+
         // 4 arrows, each 1/8th of circumference (PI / 4)
         const arcLen = Math.PI / 4;
         const spacing = Math.PI / 2; // Evenly distributed
@@ -0,0 +1,66 @@
+/**
+ * Gamepad input (standard mapping).
+ *
+ * The left stick, or the triggers (right minus left), give an analog
+ * direction from -1 to 1 that moves the paddle proportionally; the D-pad is
+ * a digital fallback. Buttons are reported once per press.
+ */
+
+export const GAMEPAD_DEADZONE = 0.15;
+
+// Standard-mapping button indexes
+export const GAMEPAD_BUTTONS = {
+    confirm: 0, // A / Cross: ready, restart
+    pause: 9, // Start / Options
+    leftTrigger: 6,
+    rightTrigger: 7,
+    left: 14, // D-pad
+    right: 15
+};
+
+/**
+ * @param {Gamepad} pad
+ * @returns {number} -1 to 1; 0 inside the dead zone
+ */
+export function gamepadDirection(pad) {
+    const stick = withDeadzone(pad.axes[0] ?? 0);
+    if (stick !== 0) return stick;
+
+    const triggers = withDeadzone(buttonValue(pad, GAMEPAD_BUTTONS.rightTrigger) - buttonValue(pad, GAMEPAD_BUTTONS.leftTrigger));
+    if (triggers !== 0) return triggers;
+
+    if (pad.buttons[GAMEPAD_BUTTONS.right]?.pressed) return 1;
+    if (pad.buttons[GAMEPAD_BUTTONS.left]?.pressed) return -1;
+    return 0;
+}
+
+/**
+ * Actions whose button went down since the last poll.
+ * @param {Gamepad} pad
+ * @param {Set<number>} [wasHeld] Buttons held at the last poll
+ * @returns {{ presses: string[], held: Set<number> }} held is for the next poll
+ */
+export function gamepadPresses(pad, wasHeld = new Set()) {
+    const held = new Set();
+    pad.buttons.forEach((button, index) => {
+        if (button?.pressed) held.add(index);
+    });
+    const presses = ['confirm', 'pause'].filter(action => {
+        const index = GAMEPAD_BUTTONS[action];
+        return held.has(index) && !wasHeld.has(index);
+    });
+    return { presses, held };
+}
+
+function buttonValue(pad, index) {
+    const button = pad.buttons[index];
+    if (!button) return 0;
+    return typeof button.value === 'number' ? button.value : (button.pressed ? 1 : 0);
+}
+
+// Rescale so movement starts from 0 at the edge of the dead zone
+function withDeadzone(value) {
+    const magnitude = Math.min(1, Math.abs(value));
+    if (magnitude <= GAMEPAD_DEADZONE) return 0;
+    return Math.sign(value) * (magnitude - GAMEPAD_DEADZONE) / (1 - GAMEPAD_DEADZONE);
+}
@@ -0,0 +1,93 @@
+/**
+ * Local hot-seat: 2-5 players sharing one device, each on their own edge.
+ *
+ * Every seat has a key pair; on a touch screen each player gets the part of
+ * the screen closest to their edge (so the regions turn with the arena) and
+ * their paddle follows their finger along the edge.
+ */
+
+export const HOTSEAT_MIN_PLAYERS = 2;
+export const HOTSEAT_MAX_PLAYERS = 5;
+
+// Key pairs in seat order. Like the single-player controls, `left` moves the
+// paddle towards the start of its edge and `right` towards the end.
+export const HOTSEAT_KEYS = [
+    { label: 'A / D', left: 'KeyA', right: 'KeyD' },
+    { label: '← / →', left: 'ArrowLeft', right: 'ArrowRight' },
+    { label: 'J / L', left: 'KeyJ', right: 'KeyL' },
+    { label: 'NUM 4 / 6', left: 'Numpad4', right: 'Numpad6' },
+    { label: 'V / N', left: 'KeyV', right: 'KeyN' }
+];
+
+// Fraction of the edge a finger can be off the paddle centre before it moves
+const TOUCH_DEADZONE = 0.02;
+
+/**
+ * Spread the seats evenly around the playable edges, the first on edge 0.
+ * @param {number[]} playableEdges
+ * @param {number} count Players wanting a seat
+ * @returns {number[]} Edge for each seat (fewer if the arena is too small)
+ */
+export function assignHotSeatEdges(playableEdges, count) {
+    const seats = Math.min(count, playableEdges.length);
+    return Array.from({ length: seats }, (_, i) => playableEdges[Math.floor((i * playableEdges.length) / seats)]);
+}
+
+/**
+ * @param {Object<string, boolean>} keys Held keys by KeyboardEvent.code
+ * @param {{ left: string, right: string }} binding
+ * @returns {number} -1, 0 or 1
+ */
+export function keyDirection(keys, binding) {
+    let dir = 0;
+    if (keys[binding.left]) dir = -1;
+    if (keys[binding.right]) dir = 1;
+    return dir;
+}
+
+/**
+ * The paddle whose edge is nearest a touch.
+ * @param {import('./Polygon.js').Polygon} polygon
+ * @param {import('./Paddle.js').Paddle[]} paddles
+ * @param {{ x: number, y: number }} point Arena coordinates
+ * @returns {import('./Paddle.js').Paddle|null}
+ */
+export function touchedPaddle(polygon, paddles, point) {
+    let nearest = null;
+    let nearestDist = Infinity;
+    paddles.forEach(paddle => {
+        const { x, y } = edgePoint(polygon, paddle.edgeIndex, 0.5);
+        const dist = (point.x - x) ** 2 + (point.y - y) ** 2;
+        if (dist < nearestDist) {
+            nearest = paddle;
+            nearestDist = dist;
+        }
+    });
+    return nearest;
+}
+
+/**
+ * Which way a paddle should move to get under a finger.
+ * @param {import('./Polygon.js').Polygon} polygon
+ * @param {import('./Paddle.js').Paddle} paddle
+ * @param {{ x: number, y: number }} point Arena coordinates
+ * @returns {number} -1, 0 or 1
+ */
+export function touchDirection(polygon, paddle, point) {
+    const p1 = polygon.vertices[paddle.edgeIndex];
+    const p2 = polygon.vertices[(paddle.edgeIndex + 1) % polygon.vertices.length];
+    const edgeX = p2.x - p1.x;
+    const edgeY = p2.y - p1.y;
+    const centre = edgePoint(polygon, paddle.edgeIndex, paddle.position);
+
+    // Offset from the paddle centre along the edge, as a fraction of the edge
+    const along = ((point.x - centre.x) * edgeX + (point.y - centre.y) * edgeY) / (edgeX * edgeX + edgeY * edgeY);
+    if (Math.abs(along) < TOUCH_DEADZONE) return 0;
+    return along > 0 ? 1 : -1;
+}
+
+function edgePoint(polygon, edgeIndex, t) {
+    const p1 = polygon.vertices[edgeIndex];
+    const p2 = polygon.vertices[(edgeIndex + 1) % polygon.vertices.length];
+    return { x: p1.x + (p2.x - p1.x) * t, y: p1.y + (p2.y - p1.y) * t };
+}
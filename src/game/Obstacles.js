@@ -0,0 +1,98 @@
+/**
+ * Obstacles inside the arena.
+ *
+ * Bumpers are circles, segments are short walls. Each is described relative
+ * to the arena centre and can stay put, orbit the centre, or turn with the
+ * polygon. Positions are worked out from the polygon rotation and the round's
+ * timeElapsed, so server and clients agree without sending them every snapshot.
+ * Layouts keep clear of the centre, where balls are served, and fit inside
+ * the smallest (triangular) arena.
+ */
+
+// Room setting values; each layout is a list of obstacle specs
+export const OBSTACLE_LAYOUTS = {
+    none: [],
+    bumpers: [0, 1, 2].map(i => ({
+        kind: 'bumper',
+        x: Math.cos((i * 2 * Math.PI) / 3) * 90,
+        y: Math.sin((i * 2 * Math.PI) / 3) * 90,
+        radius: 18
+    })),
+    orbit: [0, 1].map(i => ({
+        kind: 'bumper',
+        x: Math.cos(i * Math.PI) * 95,
+        y: Math.sin(i * Math.PI) * 95,
+        radius: 15,
+        motion: 'orbit',
+        orbitSpeed: 0.6
+    })),
+    walls: [0, 1, 2, 3].map(i => {
+        const angle = (i * Math.PI) / 2 + Math.PI / 4;
+        return {
+            kind: 'segment',
+            x: Math.cos(angle) * 95,
+            y: Math.sin(angle) * 95,
+            length: 60,
+            angle: angle + Math.PI / 2, // Tangential: faces the centre
+            motion: 'polygon'
+        };
+    })
+};
+
+export const OBSTACLE_LAYOUT_NAMES = Object.keys(OBSTACLE_LAYOUTS);
+
+export class Obstacle {
+    /**
+     * @param {object} spec
+     * @param {'bumper'|'segment'} spec.kind
+     * @param {number} spec.x Centre, relative to the arena centre
+     * @param {number} spec.y
+     * @param {number} [spec.radius] Bumpers
+     * @param {number} [spec.length] Segments
+     * @param {number} [spec.angle] Segments: direction of the wall
+     * @param {'static'|'orbit'|'polygon'} [spec.motion]
+     * @param {number} [spec.orbitSpeed] rad/s when orbiting
+     */
+    constructor({ kind, x, y, radius = 15, length = 60, angle = 0, motion = 'static', orbitSpeed = 0 }) {
+        this.kind = kind;
+        this.baseX = x;
+        this.baseY = y;
+        this.radius = radius;
+        this.length = length;
+        this.angle = angle;
+        this.motion = motion;
+        this.orbitSpeed = orbitSpeed;
+        this.update(0, 0);
+    }
+
+    /**
+     * Move to where the obstacle is for this polygon rotation and round time.
+     * @param {number} polygonRotation
+     * @param {number} timeElapsed
+     */
+    update(polygonRotation, timeElapsed) {
+        let turn = 0;
+        if (this.motion === 'orbit') turn = this.orbitSpeed * timeElapsed;
+        else if (this.motion === 'polygon') turn = polygonRotation;
+
+        const cos = Math.cos(turn);
+        const sin = Math.sin(turn);
+        this.x = this.baseX * cos - this.baseY * sin;
+        this.y = this.baseX * sin + this.baseY * cos;
+
+        if (this.kind === 'segment') {
+            const dx = Math.cos(this.angle + turn) * this.length / 2;
+            const dy = Math.sin(this.angle + turn) * this.length / 2;
+            this.p1 = { x: this.x - dx, y: this.y - dy };
+            this.p2 = { x: this.x + dx, y: this.y + dy };
+        }
+    }
+}
+
+/**
+ * @param {string} layout Key of OBSTACLE_LAYOUTS (unknown names give no obstacles)
+ * @returns {Obstacle[]}
+ */
+export function createObstacles(layout) {
+    return (OBSTACLE_LAYOUTS[layout] || []).map(spec => new Obstacle(spec));
+}
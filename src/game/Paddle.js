@@ -1,20 +1,54 @@
+export const PADDLE_SPEED = 1.0; // Edge lengths per second
+
 export class Paddle {
     constructor(edgeIndex) {
         this.edgeIndex = edgeIndex;
         this.position = 0.5; // 0 to 1 (normalized along the edge)
         this.width = 0.2; // 20% of the edge length
         this.color = '#38bdf8';
+        this.lastInputSeq = 0; // Last sequenced input applied (online only)
+        this.ai = null; // BotController for local AI opponents
+        this.seat = null; // Hot-seat player (0-based) when several people share the device
+        this.reversed = false; // Reversed-controls power-up
+        this.motion = 0; // How fast it has been moving, -1 to 1 (puts spin on the ball)
+        this.lastPosition = this.position;
     }
 
+    /**
+     * @param {number} direction -1 to 1; analog input in between moves slower
+     * @param {number} dt
+     */
     move(direction, dt) {
-        const speed = 1.0; // units per second (in normalized space)
-        this.position += direction * speed * dt;
+        this.position += direction * (this.reversed ? -1 : 1) * PADDLE_SPEED * dt;
         // Clamp
         this.position = Math.max(this.width / 2, Math.min(1 - this.width / 2, this.position));
     }
 
-    update(_dt) {
-        // AI or interpolation logic later
+    /**
+     * Head for a spot on the edge at full speed without overshooting it
+     * (pointer control). Reversed controls mirror the spot.
+     * @param {number} target 0 to 1 along the edge
+     * @param {number} dt
+     * @returns {boolean} Whether the paddle moved
+     */
+    moveToward(target, dt) {
+        const before = this.position;
+        const goal = this.reversed ? 1 - target : target;
+        const step = PADDLE_SPEED * dt;
+        this.position += Math.max(-step, Math.min(step, goal - this.position));
+        this.position = Math.max(this.width / 2, Math.min(1 - this.width / 2, this.position));
+        return this.position !== before;
+    }
+
+    /**
+     * Computer-controlled paddles (with an `ai` BotController) steer themselves.
+     * @param {number} dt
+     * @param {import('./BaseGame.js').BaseGame} game
+     */
+    update(dt, game = null) {
+        if (this.ai && game) {
+            this.move(this.ai.update(game, this, dt), dt);
+        }
     }
 
     draw(ctx, polygon, centerX, centerY) {
@@ -0,0 +1,37 @@
+/**
+ * Absolute paddle control with a mouse, pen or finger.
+ *
+ * The pointer's angle around the arena centre picks a spot on the player's
+ * edge and the paddle heads there at full speed (Paddle.moveToward), so
+ * pointing doesn't move it any faster than the keys do.
+ */
+
+export const CONTROL_SCHEMES = ['keys', 'pointer'];
+
+/**
+ * Where along an edge the pointer is aiming: the ray from the arena centre
+ * through the pointer, crossing the edge. Pointing outside the edge's arc
+ * aims at whichever end is nearer.
+ * @param {import('./Polygon.js').Polygon} polygon
+ * @param {number} edgeIndex
+ * @param {{ x: number, y: number }} point Arena coordinates
+ * @returns {number|null} 0 to 1 along the edge, null for the exact centre
+ */
+export function pointerTarget(polygon, edgeIndex, point) {
+    if (point.x === 0 && point.y === 0) return null;
+    const p1 = polygon.vertices[edgeIndex];
+    const p2 = polygon.vertices[(edgeIndex + 1) % polygon.vertices.length];
+    const edgeX = p2.x - p1.x;
+    const edgeY = p2.y - p1.y;
+
+    // centre + s * point = p1 + t * edge
+    const denom = point.x * edgeY - point.y * edgeX;
+    if (denom !== 0) {
+        const s = (p1.x * edgeY - p1.y * edgeX) / denom;
+        const t = (p1.x * point.y - p1.y * point.x) / denom;
+        if (s > 0 && t >= 0 && t <= 1) return t;
+    }
+
+    const towards = p => (p.x * point.x + p.y * point.y) / Math.hypot(p.x, p.y);
+    return towards(p1) >= towards(p2) ? 0 : 1;
+}
@@ -1,3 +1,5 @@
+import { pointInOutline } from './Arenas.js';
+
 export class Polygon {
     constructor(radius, sides) {
         this.radius = radius;
@@ -5,13 +7,24 @@ export class Polygon {
         this.rotation = 0;
         this.rotationSpeed = 0.125;
         this.vertices = [];
+        this.morph = null; // Active side-count transition, see morphTo
+        this.shape = null; // Custom outline (unrotated corners), see setShape
+        this.playableEdges = null; // Edges that can hold paddles; null means every edge
         this.updateVertices();
     }
 
     updateVertices() {
         this.vertices = [];
-        for (let i = 0; i < this.sides; i++) {
-            const angle = (Math.PI * 2 * i) / this.sides + this.rotation;
+        if (this.shape) {
+            const cos = Math.cos(this.rotation);
+            const sin = Math.sin(this.rotation);
+            this.vertices = this.shape.map(p => ({ x: p.x * cos - p.y * sin, y: p.x * sin + p.y * cos }));
+            return;
+        }
+        const angles = this.morph ? this.getMorphAngles() : null;
+        const count = angles ? angles.length : this.sides;
+        for (let i = 0; i < count; i++) {
+            const angle = (angles ? angles[i] : (Math.PI * 2 * i) / this.sides) + this.rotation;
             this.vertices.push({
                 x: Math.cos(angle) * this.radius,
                 y: Math.sin(angle) * this.radius
@@ -21,9 +34,104 @@ export class Polygon {
 
     updateSides(sides) {
         this.sides = sides;
+        this.morph = null;
+        this.shape = null;
+        this.playableEdges = null;
         this.updateVertices();
     }
 
+    /**
+     * Use a custom outline instead of a regular polygon.
+     * @param {{ vertices: {x: number, y: number}[], edges?: number[] }} arena From parseArena
+     */
+    setShape(arena) {
+        this.shape = arena.vertices.map(p => ({ x: p.x, y: p.y }));
+        this.playableEdges = arena.edges ? [...arena.edges] : null;
+        this.sides = this.shape.length;
+        this.morph = null;
+        this.updateVertices();
+    }
+
+    /**
+     * @returns {number[]} Indexes of the edges paddles can sit on
+     */
+    getPlayableEdges() {
+        return this.playableEdges ? [...this.playableEdges] : Array.from({ length: this.sides }, (_, i) => i);
+    }
+
+    /**
+     * Unit normal of the edge p1-p2 pointing into the arena. Outlines always
+     * wind the same way (parseArena normalises custom ones), so inside is
+     * always to the same side of an edge, even in non-convex arenas where the
+     * centre can be behind it.
+     * @param {{x: number, y: number}} p1
+     * @param {{x: number, y: number}} p2
+     * @returns {{x: number, y: number}}
+     */
+    inwardNormal(p1, p2) {
+        const len = Math.sqrt((p2.x - p1.x) ** 2 + (p2.y - p1.y) ** 2) || 1;
+        return { x: -(p2.y - p1.y) / len, y: (p2.x - p1.x) / len };
+    }
+
+    /**
+     * @param {{x: number, y: number}} point
+     * @returns {boolean} Whether the point is inside the arena
+     */
+    contains(point) {
+        return pointInOutline(this.vertices, point);
+    }
+
+    /**
+     * Animate to a new number of sides. Vertices keep their index: when growing,
+     * the new ones unfold out of vertex 0; when shrinking, the surplus ones fold
+     * into it. Until the animation ends there may be more vertices than `sides`:
+     * the extra ones are only drawn, seats come from `sides` (getPlayableEdges).
+     * @param {number} sides
+     * @param {number} duration Seconds
+     */
+    morphTo(sides, duration = 0.8) {
+        if (this.shape) {
+            this.updateSides(sides);
+            return;
+        }
+        if (sides === this.sides && !this.morph) return;
+
+        const from = this.morph ? this.getMorphAngles() : null;
+        const fromCount = from ? from.length : this.sides;
+        const count = Math.max(fromCount, sides);
+        const fromAngles = [];
+        const toAngles = [];
+        for (let i = 0; i < count; i++) {
+            if (from) fromAngles.push(i < fromCount ? from[i] : Math.PI * 2);
+            else fromAngles.push(i < fromCount ? (Math.PI * 2 * i) / fromCount : Math.PI * 2);
+            toAngles.push(i < sides ? (Math.PI * 2 * i) / sides : Math.PI * 2);
+        }
+
+        this.sides = sides;
+        this.morph = { fromAngles, toAngles, elapsed: 0, duration };
+        this.updateVertices();
+    }
+
+    /**
+     * Step the side-count animation; runs independently of the game state so
+     * the arena can reshape between rounds.
+     */
+    advanceMorph(dt) {
+        if (!this.morph) return;
+        this.morph.elapsed += dt;
+        if (this.morph.elapsed >= this.morph.duration) {
+            this.morph = null;
+        }
+        this.updateVertices();
+    }
+
+    getMorphAngles() {
+        const { fromAngles, toAngles, elapsed, duration } = this.morph;
+        const t = Math.min(1, elapsed / duration);
+        const eased = t * t * (3 - 2 * t);
+        return fromAngles.map((a, i) => a + (toAngles[i] - a) * eased);
+    }
+
     update(dt) {
         // Rotation speed increases over time
         this.rotation += this.rotationSpeed * dt;
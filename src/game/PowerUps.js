@@ -0,0 +1,45 @@
+/**
+ * Power-up pickups.
+ *
+ * Pickups appear at random points inside the arena and are collected by a
+ * ball passing through them. The effect goes to the paddle that last touched
+ * that ball; a ball nobody has hit yet passes straight through.
+ */
+
+// duration: seconds of play the effect lasts (0 = applied once on pickup)
+export const POWERUP_TYPES = {
+    wide: { duration: 10 }, // Collector's paddle grows
+    slow: { duration: 6 }, // Every ball slows down
+    shield: { duration: 8 }, // Collector's edge turns into a wall
+    reverse: { duration: 6 }, // Everyone but the collector has reversed controls
+    extraBall: { duration: 0 } // Another ball joins the rally
+};
+
+export const POWERUP_KINDS = Object.keys(POWERUP_TYPES);
+
+/**
+ * Pick a random point well inside the polygon (within the inscribed circle,
+ * so it's inside whatever the rotation). Custom arenas have no inscribed
+ * circle to speak of, so points are drawn until one lands inside the outline
+ * (falling back to the centre).
+ * @param {import('./Polygon.js').Polygon} polygon
+ * @param {number} margin Fraction of the inscribed radius to stay within
+ * @param {() => number} random
+ * @returns {{ x: number, y: number }}
+ */
+export function randomArenaPoint(polygon, margin = 0.7, random = Math.random) {
+    if (polygon.shape) {
+        for (let attempt = 0; attempt < 20; attempt++) {
+            const point = {
+                x: (random() * 2 - 1) * polygon.radius * margin,
+                y: (random() * 2 - 1) * polygon.radius * margin
+            };
+            if (polygon.contains(point)) return point;
+        }
+        return { x: 0, y: 0 };
+    }
+    const inradius = polygon.radius * Math.cos(Math.PI / polygon.sides);
+    const r = Math.sqrt(random()) * inradius * margin;
+    const angle = random() * Math.PI * 2;
+    return { x: Math.cos(angle) * r, y: Math.sin(angle) * r };
+}
@@ -0,0 +1,45 @@
+import { GAME_CONSTANTS } from './Constants.js';
+
+/**
+ * Per-game rules.
+ *
+ * The gameplay tunables a room's creator may change. Every game (local or
+ * online) runs on a resolved rules object, and online clients get the room's
+ * copy in `init` so their prediction matches the server. Defaults come from
+ * GAME_CONSTANTS.
+ */
+
+// Allowed range and default for each rule
+export const RULE_LIMITS = {
+    ballSpeedBase: { min: 100, max: 400, default: GAME_CONSTANTS.BALL_SPEED_BASE },
+    ballSpeedIncrease: { min: 1, max: 1.05, default: GAME_CONSTANTS.BALL_SPEED_INCREASE }, // Per paddle/wall bounce
+    difficultyRamp: { min: 20, max: 600, default: GAME_CONSTANTS.DIFFICULTY_RAMP }, // Seconds to gain +1 difficulty
+    rotationSpeedBase: { min: 0, max: 0.5, default: GAME_CONSTANTS.ROTATION_SPEED_BASE },
+    paddleWidthStart: { min: 0.1, max: 0.9, default: GAME_CONSTANTS.PADDLE_WIDTH_START }, // Width between rounds
+    paddleWidthBase: { min: 0.1, max: 0.9, default: GAME_CONSTANTS.PADDLE_WIDTH_BASE },
+    paddleWidthMin: { min: 0.05, max: 0.9, default: GAME_CONSTANTS.PADDLE_WIDTH_MIN },
+    paddleWidthDifficultyFactor: { min: 0.2, max: 2, default: GAME_CONSTANTS.PADDLE_WIDTH_DIFFICULTY_FACTOR },
+    countdownDuration: { min: 1, max: 10, default: GAME_CONSTANTS.COUNTDOWN_DURATION }
+};
+
+export const DEFAULT_RULES = Object.freeze(
+    Object.fromEntries(Object.entries(RULE_LIMITS).map(([key, limits]) => [key, limits.default]))
+);
+
+/**
+ * Build a complete rules object from partial or untrusted input. Numbers are
+ * clamped into their range; missing or non-numeric values use the default and
+ * unknown keys are dropped.
+ * @param {unknown} input
+ * @returns {typeof DEFAULT_RULES}
+ */
+export function resolveRules(input) {
+    const source = input && typeof input === 'object' ? input : {};
+    const rules = {};
+    for (const [key, limits] of Object.entries(RULE_LIMITS)) {
+        const value = source[key];
+        const parsed = typeof value === 'number' || (typeof value === 'string' && value !== '') ? Number(value) : NaN;
+        rules[key] = Number.isFinite(parsed) ? Math.max(limits.min, Math.min(limits.max, parsed)) : limits.default;
+    }
+    return rules;
+}
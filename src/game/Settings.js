@@ -0,0 +1,99 @@
+import { sanitizeDisplayName } from './Chat.js';
+import { CONTROL_SCHEMES } from './Pointer.js';
+import { CAMERA_MODES } from './Camera.js';
+
+/**
+ * Player preferences, kept in localStorage.
+ *
+ * Stored settings are untrusted (older versions, hand edits), so everything
+ * read back goes through resolveSettings: bad or missing values fall back to
+ * the defaults and unknown keys are dropped.
+ */
+
+export const SETTINGS_STORAGE_KEY = 'polypongon-settings';
+
+export const SOUND_MODES = ['all', 'interactions', 'off'];
+
+// Arena background and the saturation/lightness of the per-edge player colours
+export const THEMES = {
+    midnight: { background: '#0f172a', saturation: 80, lightness: 60 },
+    contrast: { background: '#000000', saturation: 100, lightness: 55 },
+    pastel: { background: '#1e1b2e', saturation: 65, lightness: 75 }
+};
+
+const CHOICES = {
+    soundMode: SOUND_MODES,
+    controlScheme: CONTROL_SCHEMES,
+    cameraMode: CAMERA_MODES,
+    theme: Object.keys(THEMES)
+};
+
+// Allowed range for numeric settings
+export const SETTING_LIMITS = {
+    musicVolume: { min: 0, max: 1 },
+    effectsVolume: { min: 0, max: 1 },
+    interpolationDelay: { min: 50, max: 300 } // ms behind the server that online games are drawn
+};
+
+export const DEFAULT_SETTINGS = Object.freeze({
+    soundMode: 'all',
+    musicVolume: 1,
+    effectsVolume: 1,
+    controlScheme: 'keys',
+    cameraMode: 'world',
+    theme: 'midnight',
+    reducedMotion: false,
+    displayName: '',
+    interpolationDelay: 100
+});
+
+/**
+ * Build a complete settings object from partial or untrusted input.
+ * @param {unknown} input
+ * @param {Partial<typeof DEFAULT_SETTINGS>} [defaults] Overrides for missing values
+ * @returns {typeof DEFAULT_SETTINGS}
+ */
+export function resolveSettings(input, defaults = {}) {
+    const source = input && typeof input === 'object' ? input : {};
+    const fallback = { ...DEFAULT_SETTINGS, ...defaults };
+    const settings = {};
+
+    for (const [key, options] of Object.entries(CHOICES)) {
+        settings[key] = options.includes(source[key]) ? source[key] : fallback[key];
+    }
+    for (const [key, limits] of Object.entries(SETTING_LIMITS)) {
+        const value = source[key];
+        settings[key] = typeof value === 'number' && Number.isFinite(value)
+            ? Math.max(limits.min, Math.min(limits.max, value))
+            : fallback[key];
+    }
+    settings.reducedMotion = typeof source.reducedMotion === 'boolean' ? source.reducedMotion : fallback.reducedMotion;
+    settings.displayName = sanitizeDisplayName(source.displayName) ?? '';
+    return settings;
+}
+
+/**
+ * @param {Partial<typeof DEFAULT_SETTINGS>} [defaults] e.g. reducedMotion from the OS preference
+ * @param {Storage} [storage] localStorage by default
+ */
+export function loadSettings(defaults = {}, storage = null) {
+    try {
+        const store = storage ?? globalThis.localStorage;
+        return resolveSettings(JSON.parse(store.getItem(SETTINGS_STORAGE_KEY)), defaults);
+    } catch {
+        // Storage unavailable (private mode) or not JSON
+        return resolveSettings(null, defaults);
+    }
+}
+
+/**
+ * @param {typeof DEFAULT_SETTINGS} settings
+ * @param {Storage} [storage] localStorage by default
+ */
+export function saveSettings(settings, storage = null) {
+    try {
+        (storage ?? globalThis.localStorage).setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch {
+        // Storage may be unavailable (private mode); settings just won't persist
+    }
+}
@@ -0,0 +1,192 @@
+/**
+ * Compact wire format for gameState snapshots.
+ *
+ * Fast-changing values (balls, rotation, timers, paddle positions) are packed
+ * into a fixed binary layout every snapshot. Everything else in the state
+ * ("meta": gameState, score, readyEdges, ...) rarely changes, so it is sent as
+ * a full keyframe now and then and otherwise only as a delta of changed keys.
+ *
+ * Layout (little-endian):
+ *   u8 version | u8 flags | f64 timestamp
+ *   u8 ballCount, then per ball: u16 id, f32 x, y, vx, vy, spin
+ *   f32 rotation, rotationSpeed, difficulty, timeElapsed, countdownTimer, celebrationTimer
+ *   u8 paddleCount, then per paddle: u8 edgeIndex, f32 position, f32 width, u32 lastInputSeq
+ *   [u16 metaLength, utf8 JSON meta]  (only when FLAG_META is set)
+ */
+
+export const BINARY_PROTOCOL = 'binary-v3';
+
+const VERSION = 3;
+const FLAG_KEYFRAME = 1;
+const FLAG_META = 2;
+
+const FAST_FIELDS = ['rotation', 'rotationSpeed', 'difficulty', 'timeElapsed', 'countdownTimer', 'celebrationTimer'];
+const FAST_KEYS = new Set(['ball', 'balls', 'paddles', 'timestamp', ...FAST_FIELDS]);
+const PADDLE_KEYS = new Set(['edgeIndex', 'position', 'width', 'lastInputSeq']);
+
+const HEADER_BYTES = 2 + 8 + 1 + FAST_FIELDS.length * 4 + 1;
+const BALL_BYTES = 2 + 5 * 4;
+const PADDLE_BYTES = 1 + 4 + 4 + 4;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Split a state object into the slow-changing part that goes through
+ * keyframes/deltas. Per-paddle fields beyond the binary ones ride along as
+ * paddleExtras (keyed by edgeIndex) so new paddle properties need no layout change.
+ */
+function extractMeta(state) {
+    const meta = {};
+    for (const key of Object.keys(state)) {
+        if (!FAST_KEYS.has(key)) meta[key] = state[key];
+    }
+
+    const extras = {};
+    (state.paddles || []).forEach(p => {
+        const extra = {};
+        for (const key of Object.keys(p)) {
+            if (!PADDLE_KEYS.has(key)) extra[key] = p[key];
+        }
+        if (Object.keys(extra).length > 0) extras[p.edgeIndex] = extra;
+    });
+    meta.paddleExtras = extras;
+
+    return meta;
+}
+
+export class StateEncoder {
+    /**
+     * @param {number} keyframeInterval Snapshots between full meta keyframes
+     */
+    constructor(keyframeInterval = 60) {
+        this.keyframeInterval = keyframeInterval;
+        this.sinceKeyframe = Infinity; // First packet is always a keyframe
+        this.lastMeta = {}; // key -> JSON string of last sent value
+    }
+
+    /** Make the next snapshot a keyframe (e.g. someone new is listening). */
+    requestKeyframe() {
+        this.sinceKeyframe = Infinity;
+    }
+
+    encode(state) {
+        const meta = extractMeta(state);
+        const isKeyframe = this.sinceKeyframe >= this.keyframeInterval;
+
+        let metaOut = null;
+        const serialized = {};
+        for (const key of Object.keys(meta)) {
+            serialized[key] = JSON.stringify(meta[key]);
+        }
+        if (isKeyframe) {
+            metaOut = meta;
+            this.sinceKeyframe = 0;
+        } else {
+            const delta = {};
+            for (const key of Object.keys(serialized)) {
+                if (serialized[key] !== this.lastMeta[key]) delta[key] = meta[key];
+            }
+            if (Object.keys(delta).length > 0) metaOut = delta;
+            this.sinceKeyframe++;
+        }
+        this.lastMeta = serialized;
+
+        const metaBytes = metaOut ? textEncoder.encode(JSON.stringify(metaOut)) : null;
+        const paddles = state.paddles || [];
+        const balls = state.balls || (state.ball ? [state.ball] : []);
+        const size = HEADER_BYTES + balls.length * BALL_BYTES + paddles.length * PADDLE_BYTES +
+            (metaBytes ? 2 + metaBytes.length : 0);
+
+        const buffer = new ArrayBuffer(size);
+        const view = new DataView(buffer);
+        let o = 0;
+
+        view.setUint8(o, VERSION); o += 1;
+        view.setUint8(o, (isKeyframe ? FLAG_KEYFRAME : 0) | (metaBytes ? FLAG_META : 0)); o += 1;
+        view.setFloat64(o, state.timestamp || 0, true); o += 8;
+
+        view.setUint8(o, balls.length); o += 1;
+        balls.forEach(ball => {
+            view.setUint16(o, ball.id || 0, true); o += 2;
+            [ball.x, ball.y, ball.vx, ball.vy, ball.spin].forEach(v => { view.setFloat32(o, v || 0, true); o += 4; });
+        });
+        FAST_FIELDS.forEach(key => { view.setFloat32(o, state[key] || 0, true); o += 4; });
+
+        view.setUint8(o, paddles.length); o += 1;
+        paddles.forEach(p => {
+            view.setUint8(o, p.edgeIndex); o += 1;
+            view.setFloat32(o, p.position, true); o += 4;
+            view.setFloat32(o, p.width, true); o += 4;
+            view.setUint32(o, p.lastInputSeq || 0, true); o += 4;
+        });
+
+        if (metaBytes) {
+            view.setUint16(o, metaBytes.length, true); o += 2;
+            new Uint8Array(buffer, o, metaBytes.length).set(metaBytes);
+        }
+
+        return buffer;
+    }
+}
+
+export class StateDecoder {
+    constructor() {
+        this.meta = null; // Null until the first keyframe arrives
+    }
+
+    /**
+     * @param {ArrayBuffer|ArrayBufferView} data
+     * @returns {object|null} Full state in the JSON shape, or null while waiting for a keyframe
+     */
+    decode(data) {
+        const view = ArrayBuffer.isView(data)
+            ? new DataView(data.buffer, data.byteOffset, data.byteLength)
+            : new DataView(data);
+        let o = 0;
+
+        const version = view.getUint8(o); o += 1;
+        if (version !== VERSION) return null;
+        const flags = view.getUint8(o); o += 1;
+        const timestamp = view.getFloat64(o, true); o += 8;
+
+        const ballCount = view.getUint8(o); o += 1;
+        const balls = [];
+        for (let i = 0; i < ballCount; i++) {
+            const ball = { id: view.getUint16(o, true) }; o += 2;
+            ['x', 'y', 'vx', 'vy', 'spin'].forEach(key => { ball[key] = view.getFloat32(o, true); o += 4; });
+            balls.push(ball);
+        }
+        const fast = {};
+        FAST_FIELDS.forEach(key => { fast[key] = view.getFloat32(o, true); o += 4; });
+
+        const paddleCount = view.getUint8(o); o += 1;
+        const paddles = [];
+        for (let i = 0; i < paddleCount; i++) {
+            const edgeIndex = view.getUint8(o); o += 1;
+            const position = view.getFloat32(o, true); o += 4;
+            const width = view.getFloat32(o, true); o += 4;
+            const lastInputSeq = view.getUint32(o, true); o += 4;
+            paddles.push({ edgeIndex, position, width, lastInputSeq });
+        }
+
+        if (flags & FLAG_META) {
+            const length = view.getUint16(o, true); o += 2;
+            const bytes = new Uint8Array(view.buffer, view.byteOffset + o, length);
+            const meta = JSON.parse(textDecoder.decode(bytes));
+            if (flags & FLAG_KEYFRAME) {
+                this.meta = meta;
+            } else if (this.meta) {
+                Object.assign(this.meta, meta);
+            }
+        }
+
+        if (!this.meta) return null;
+
+        const { paddleExtras, ...rest } = this.meta;
+        paddles.forEach(p => Object.assign(p, paddleExtras?.[p.edgeIndex]));
+
+        const ball = balls[0] || { x: 0, y: 0, vx: 0, vy: 0, spin: 0 };
+        return { ...rest, ...fast, ball, balls, paddles, timestamp };
+    }
+}
@@ -2,6 +2,9 @@ import './style.css';
 import { registerSW } from 'virtual:pwa-register';
 import { Game } from './game/Game.js';
 import { ShareManager } from './ShareManager.js';
+import { DEFAULT_RULES, RULE_LIMITS } from './game/Rules.js';
+import { CHAT_MAX_LENGTH, DISPLAY_NAME_MAX_LENGTH, EMOTES, QUICK_PHRASES } from './game/Chat.js';
+import { SETTING_LIMITS } from './game/Settings.js';
 
 document.querySelector('#app').innerHTML = `
   <canvas id="gameCanvas"></canvas>
@@ -13,15 +16,71 @@ document.querySelector('#app').innerHTML = `
     <svg id="soundIcon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"></svg>
   </div>
   
+  <div id="pauseToggle" class="sound-control pause-control" title="Pause (P)" style="display: none">
+    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="9" y1="5" x2="9" y2="19"></line><line x1="15" y1="5" x2="15" y2="19"></line></svg>
+  </div>
+
   <div id="game-menu" class="menu-container">
     <button id="restartBtn" class="btn btn-primary">
       START GAME
     </button>
+    <button id="forceStartBtn" class="btn btn-secondary" style="display: none">
+      FORCE START
+    </button>
+    <button id="hostBtn" class="btn btn-secondary" style="display: none">
+      HOST CONTROLS
+    </button>
+    <button id="rulesetBtn" class="btn btn-secondary" style="display: none">
+      MODE: CO-OP
+    </button>
+    <button id="powerUpsBtn" class="btn btn-secondary">
+      POWER-UPS: OFF
+    </button>
+    <button id="layoutBtn" class="btn btn-secondary">
+      LAYOUT: NONE
+    </button>
+    <button id="arenaBtn" class="btn btn-secondary">
+      ARENA: CLASSIC
+    </button>
+    <button id="arenaFileBtn" class="btn btn-secondary">
+      LOAD ARENA FILE
+    </button>
+    <input type="file" id="arenaFileInput" accept=".json,application/json" hidden>
+    <button id="aimBtn" class="btn btn-secondary">
+      AIM & SPIN: OFF
+    </button>
+    <button id="multiBallBtn" class="btn btn-secondary">
+      MULTI-BALL: OFF
+    </button>
+    <button id="botsBtn" class="btn btn-secondary" style="display: none">
+      BOTS: OFF
+    </button>
+    <button id="opponentsBtn" class="btn btn-secondary">
+      OPPONENTS: NONE
+    </button>
+    <button id="skillBtn" class="btn btn-secondary" style="display: none">
+      BOT SKILL: NORMAL
+    </button>
+    <button id="hotSeatBtn" class="btn btn-secondary">
+      PLAYERS: 1
+    </button>
+    <button id="controlsBtn" class="btn btn-secondary">
+      CONTROLS: KEYS
+    </button>
+    <button id="cameraBtn" class="btn btn-secondary">
+      CAMERA: WORLD
+    </button>
     ${import.meta.env.VITE_STATIC_BUILD === 'true' ? '' : `
     <button id="onlineBtn" class="btn btn-secondary">
       MULTIPLAYER (ONLINE)
     </button>
+    <button id="lobbyBtn" class="btn btn-secondary">
+      BROWSE ROOMS
+    </button>
     `}
+    <button id="settingsBtn" class="btn btn-secondary">
+      SETTINGS
+    </button>
     <button id="shareMenuBtn" class="btn btn-secondary">
       SHARE APP
     </button>
@@ -64,6 +123,84 @@ document.querySelector('#app').innerHTML = `
       </div>
     </div>
   </div>
+
+  <div id="chatPanel" class="chat-panel" style="display: none">
+    <div id="chatLog" class="chat-log"></div>
+    <div id="quickPhrases" class="chat-chips"></div>
+    <div id="emoteBar" class="chat-chips"></div>
+    <div class="copy-area">
+      <input type="text" id="chatInput" class="copy-input" maxlength="${CHAT_MAX_LENGTH}" placeholder="SAY SOMETHING..." autocomplete="off">
+      <button id="chatSendBtn" class="btn btn-primary btn-copy">SEND</button>
+    </div>
+    <button id="chatMuteBtn" class="btn btn-secondary btn-small">CHAT: ON</button>
+  </div>
+
+  <div id="lobby-modal" class="modal-overlay">
+    <div class="modal-content">
+      <button class="modal-close" id="closeLobbyBtn">
+        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
+      </button>
+      <h2 class="modal-title">PUBLIC ROOMS</h2>
+      <div id="roomList" class="room-list"></div>
+      <div class="copy-area">
+        <input type="password" id="roomPasswordInput" class="copy-input" placeholder="PASSWORD (OPTIONAL)" maxlength="64" autocomplete="new-password">
+      </div>
+      <label class="rule-field setting-toggle">
+        ARENA GROWS WITH PLAYERS
+        <input type="checkbox" id="reshapeArenaInput">
+      </label>
+      <details class="lobby-rules">
+        <summary>RULES FOR A NEW ROOM</summary>
+        <div id="lobbyRulesForm" class="rules-form"></div>
+      </details>
+      <div class="lobby-actions">
+        <button id="refreshRoomsBtn" class="btn btn-secondary btn-small">REFRESH</button>
+        <button id="hostPublicBtn" class="btn btn-primary btn-small">HOST PUBLIC GAME</button>
+        <button id="hostInviteBtn" class="btn btn-secondary btn-small">HOST INVITE-ONLY</button>
+      </div>
+    </div>
+  </div>
+
+  <div id="host-modal" class="modal-overlay">
+    <div class="modal-content">
+      <button class="modal-close" id="closeHostBtn">
+        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
+      </button>
+      <h2 class="modal-title">HOST CONTROLS</h2>
+      <div class="lobby-actions">
+        <button id="lockRoomBtn" class="btn btn-secondary btn-small">LOCK ROOM</button>
+      </div>
+      <div id="seatList" class="room-list"></div>
+      <div id="rulesForm" class="rules-form"></div>
+      <div class="lobby-actions">
+        <button id="applyRulesBtn" class="btn btn-primary btn-small">APPLY RULES</button>
+      </div>
+    </div>
+  </div>
+
+  <div id="settings-modal" class="modal-overlay">
+    <div class="modal-content">
+      <button class="modal-close" id="closeSettingsBtn">
+        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
+      </button>
+      <h2 class="modal-title">SETTINGS</h2>
+      <div id="settingsForm" class="rules-form"></div>
+    </div>
+  </div>
+
+  <div id="password-modal" class="modal-overlay">
+    <div class="modal-content">
+      <button class="modal-close" id="closePasswordBtn">
+        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
+      </button>
+      <h2 class="modal-title">PASSWORD</h2>
+      <p id="passwordMessage" class="room-empty"></p>
+      <div class="copy-area">
+        <input type="password" id="joinPasswordInput" class="copy-input" maxlength="64" autocomplete="current-password">
+        <button id="joinPasswordBtn" class="btn btn-primary btn-copy">JOIN</button>
+      </div>
+    </div>
+  </div>
 `;
 
 const canvas = document.querySelector('#gameCanvas');
@@ -85,8 +222,13 @@ registerSW({
 
 // Update UI when game state changes
 game.onStateChange = (state) => {
+  const canPause = game.mode === 'local' || game.playerIndex !== -1;
+  document.getElementById('pauseToggle').style.display = canPause && (state === 'COUNTDOWN' || state === 'PLAYING') ? '' : 'none';
   if (state === 'COUNTDOWN' || state === 'PLAYING') {
     closeShareModal();
+    closeLobbyModal();
+    closeHostModal();
+    closeSettingsModal();
     // Fallback: ensure it's removed
     document.getElementById('share-modal')?.classList.remove('visible');
   }
@@ -113,6 +255,7 @@ updateSoundIcon(game.audio.mode);
 
 soundToggle.addEventListener('click', () => {
   const newMode = game.audio.toggleMode();
+  game.updateSettings({ soundMode: newMode });
   updateSoundIcon(newMode);
 });
 
@@ -121,7 +264,7 @@ const shareTitle = document.getElementById('shareTitle');
 const shareUrlInput = document.getElementById('shareUrlInput');
 const qrCanvas = document.getElementById('shareQRCanvas');
 
-function openShareModal(url, isInvite = false) {
+function fillShareModal(url, isInvite) {
   const isScore = game.hasPlayed && (game.gameState === 'SCORING' || game.gameState === 'TERMINATED');
 
   shareTitle.innerText = isInvite ? 'INVITE TO GAME' : (isScore ? 'SHARE SCORE' : 'SHARE Polypongon');
@@ -134,7 +277,10 @@ function openShareModal(url, isInvite = false) {
   document.getElementById('shareBluesky').href = links.bluesky;
   document.getElementById('shareFacebook').href = links.facebook;
   document.getElementById('shareWhatsapp').href = links.whatsapp;
+}
 
+function openShareModal(url, isInvite = false) {
+  fillShareModal(url, isInvite);
   modal.classList.add('visible');
 
   // Push state to history for back button support
@@ -169,6 +315,10 @@ modal.addEventListener('click', (e) => {
 window.addEventListener('keydown', (e) => {
   if (e.key === 'Escape') {
     closeShareModal();
+    closeLobbyModal();
+    closeHostModal();
+    closePasswordModal();
+    closeSettingsModal();
   }
 });
 
@@ -226,10 +376,108 @@ if (roomFromUrl) {
   if (btn) btn.innerText = 'OFFLINE (SINGLE PLAYER)';
   const shareBtn = document.getElementById('shareMenuBtn');
   if (shareBtn) shareBtn.innerText = 'INVITE OTHERS';
-  game.startMultiplayer(roomFromUrl, instanceFromUrl);
+  game.startMultiplayer(roomFromUrl, instanceFromUrl, { invite: urlParams.get('invite') });
+}
+
+// Invite links carry the room's signed invite, which gets past its password
+// or invite-only setting. The server sends it once we're in.
+game.onRoomInvite = (invite) => {
+  const url = new URL(window.location.href);
+  if (url.searchParams.get('room') !== game.currentRoomId) return;
+  url.searchParams.set('invite', invite);
+  window.history.replaceState(window.history.state, '', url);
+  if (modal.classList.contains('visible') && shareTitle.innerText === 'INVITE TO GAME') {
+    fillShareModal(url.href, true);
+  }
+};
+
+// Password rooms: ask, then join again with what was typed
+const passwordModal = document.getElementById('password-modal');
+const joinPasswordInput = document.getElementById('joinPasswordInput');
+
+game.onPasswordRequired = (wrongPassword) => {
+  document.getElementById('passwordMessage').innerText = wrongPassword
+    ? 'Wrong password, try again.'
+    : `Room ${game.currentRoomId} needs a password.`;
+  joinPasswordInput.value = '';
+  passwordModal.classList.add('visible');
+  joinPasswordInput.focus();
+};
+
+function submitPassword() {
+  if (!joinPasswordInput.value) return;
+  passwordModal.classList.remove('visible');
+  game.rejoinMultiplayer({ password: joinPasswordInput.value });
+}
+
+// Giving up leaves us on the game-over screen, where REJOIN asks again
+function closePasswordModal() {
+  if (!passwordModal.classList.contains('visible')) return;
+  passwordModal.classList.remove('visible');
+  game.showRemoved('This room needs a password');
 }
 
+document.getElementById('joinPasswordBtn').addEventListener('click', submitPassword);
+joinPasswordInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') submitPassword();
+});
+
+document.getElementById('closePasswordBtn').addEventListener('click', (e) => {
+  e.preventDefault();
+  e.stopPropagation();
+  closePasswordModal();
+});
+
+passwordModal.addEventListener('click', (e) => {
+  if (e.target === passwordModal) {
+    closePasswordModal();
+  }
+});
+
 const onlineBtn = document.getElementById('onlineBtn');
+
+/**
+ * Join (or create) an online room, updating the URL and menu buttons to match.
+ * Private rooms open the invite modal; public ones can be found from the lobby.
+ * A password is set on a room we create and checked when joining one; so is
+ * reshapeArena, which makes a new room's arena grow and shrink with its players,
+ * and the starting rules.
+ */
+async function goOnline(roomId, instanceId = null, { isPublic = false, inviteOnly = false, password = null, reshapeArena = false, rules = null, role = 'player', showInvite = true } = {}) {
+  if (!instanceId) {
+    // Get instance info from server
+    const instanceInfo = await getInstanceInfo();
+    instanceId = instanceInfo.isFlyInstance ? instanceInfo.instanceId : null;
+  }
+
+  console.log('Room will be hosted on instance:', instanceId || 'default');
+
+  // Update URL with both room and instance
+  let newUrl = `${window.location.pathname}?room=${roomId}`;
+  if (instanceId) {
+    newUrl += `&instance=${instanceId}`;
+  }
+  const fullUrl = `${window.location.origin}${newUrl}`;
+  window.history.pushState({ path: newUrl }, '', newUrl);
+
+  if (game.mode === 'online') {
+    game.stopMultiplayer();
+  }
+  game.startMultiplayer(roomId, instanceId, { isPublic, inviteOnly, password, reshapeArena, rules, role });
+
+  // Show Share/Invite Modal
+  if (showInvite) {
+    openShareModal(fullUrl, true);
+  }
+
+  if (onlineBtn) onlineBtn.innerText = 'OFFLINE (SINGLE PLAYER)';
+  shareMenuBtn.innerText = 'INVITE OTHERS';
+}
+
+function createRoomId() {
+  return Math.random().toString(36).substring(2, 6).toUpperCase();
+}
+
 if (onlineBtn) {
   onlineBtn.addEventListener('click', async () => {
     if (game.mode === 'online') {
@@ -246,30 +494,439 @@ if (onlineBtn) {
       shareMenuBtn.innerText = 'SHARE APP';
     } else {
       // Switch to Online
-      const roomId = Math.random().toString(36).substring(2, 6).toUpperCase();
+      const roomId = createRoomId();
       console.log('Online button clicked! Creating room:', roomId);
+      await goOnline(roomId);
+    }
+  });
+}
 
-      // Get instance info from server
-      const instanceInfo = await getInstanceInfo();
-      const instanceId = instanceInfo.instanceId;
+// Lobby: browse and join public rooms
+const lobbyModal = document.getElementById('lobby-modal');
+const roomList = document.getElementById('roomList');
+const reshapeArenaInput = document.getElementById('reshapeArenaInput');
+const lobbyRulesForm = document.getElementById('lobbyRulesForm');
 
-      console.log('Room will be hosted on instance:', instanceId);
+async function fetchRooms() {
+  try {
+    const response = await fetch('/api/rooms');
+    const data = await response.json();
+    return data.rooms || [];
+  } catch (error) {
+    console.error('Failed to fetch rooms:', error);
+    return null;
+  }
+}
 
-      // Update URL with both room and instance
-      let newUrl = `${window.location.pathname}?room=${roomId}`;
-      if (instanceId && instanceInfo.isFlyInstance) {
-        newUrl += `&instance=${instanceId}`;
-      }
-      const fullUrl = `${window.location.origin}${newUrl}`;
-      window.history.pushState({ path: newUrl }, '', newUrl);
+function renderRoomList(rooms) {
+  roomList.replaceChildren();
 
-      game.startMultiplayer(roomId, instanceId);
+  if (rooms === null || rooms.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'room-empty';
+    empty.innerText = rooms === null ? 'Could not reach the server.' : 'No public games right now. Host one!';
+    roomList.appendChild(empty);
+    return;
+  }
+
+  rooms.forEach(room => {
+    const row = document.createElement('div');
+    row.className = 'room-row';
+
+    const info = document.createElement('div');
+    info.className = 'room-info';
+    const name = document.createElement('span');
+    name.className = 'room-name';
+    name.innerText = room.roomId;
+    const details = document.createElement('span');
+    details.className = 'room-details';
+    const status = room.gameState === 'SCORING' ? 'WAITING' : room.gameState;
+    const watching = room.spectators ? ` · ${room.spectators} WATCHING` : '';
+    const bots = room.bots ? ` · ${room.bots} BOTS` : '';
+    const ruleset = room.ruleset === 'elimination' ? ' · ELIMINATION' : '';
+    const multiBall = room.multiBall ? ' · MULTI-BALL' : '';
+    const powerUps = room.powerUps ? ' · POWER-UPS' : '';
+    const aim = room.aimedBounces ? ' · AIM & SPIN' : '';
+    const locked = room.locked ? ' · LOCKED' : '';
+    const password = room.passwordProtected ? ' · PASSWORD' : '';
+    const layout = room.layout && room.layout !== 'none' ? ` · ${room.layout.toUpperCase()}` : '';
+    let arena = room.arena ? ` · ${room.arena.toUpperCase()} ARENA` : '';
+    if (room.reshapeArena) arena = ' · GROWING ARENA';
+    details.innerText = `${room.players}/${room.maxPlayers} PLAYERS${bots}${watching}${ruleset}${multiBall}${powerUps}${aim}${layout}${arena}${locked}${password} · ${status} · SCORE ${room.score} · ${room.timeElapsed}S`;
+    info.append(name, details);
+
+    const roomInstance = room.instanceId !== 'local' ? room.instanceId : null;
+    const actions = document.createElement('div');
+    actions.className = 'room-actions';
+
+    const watchBtn = document.createElement('button');
+    watchBtn.className = 'btn btn-secondary btn-small';
+    watchBtn.innerText = 'WATCH';
+    watchBtn.addEventListener('click', () => {
+      closeLobbyModal();
+      goOnline(room.roomId, roomInstance, { role: 'spectator', showInvite: false });
+    });
+    actions.appendChild(watchBtn);
+
+    if (room.players < room.maxPlayers) {
+      const joinBtn = document.createElement('button');
+      joinBtn.className = 'btn btn-primary btn-small';
+      joinBtn.innerText = 'JOIN';
+      joinBtn.addEventListener('click', () => {
+        closeLobbyModal();
+        goOnline(room.roomId, roomInstance, { showInvite: false });
+      });
+      actions.appendChild(joinBtn);
+    }
+
+    row.append(info, actions);
+    roomList.appendChild(row);
+  });
+}
+
+async function refreshLobby() {
+  renderRoomList(await fetchRooms());
+}
+
+function openLobbyModal() {
+  lobbyModal.classList.add('visible');
+  // Filled once, so tweaks survive closing and reopening the lobby
+  if (!lobbyRulesForm.childElementCount) fillRulesForm(lobbyRulesForm, DEFAULT_RULES);
+  refreshLobby();
+}
+
+function closeLobbyModal() {
+  lobbyModal.classList.remove('visible');
+}
+
+const lobbyBtn = document.getElementById('lobbyBtn');
+if (lobbyBtn) {
+  lobbyBtn.addEventListener('click', openLobbyModal);
+}
+
+document.getElementById('closeLobbyBtn').addEventListener('click', (e) => {
+  e.preventDefault();
+  e.stopPropagation();
+  closeLobbyModal();
+});
+
+lobbyModal.addEventListener('click', (e) => {
+  if (e.target === lobbyModal) {
+    closeLobbyModal();
+  }
+});
+
+document.getElementById('refreshRoomsBtn').addEventListener('click', refreshLobby);
+
+document.getElementById('hostPublicBtn').addEventListener('click', async () => {
+  closeLobbyModal();
+  const roomId = createRoomId();
+  console.log('Hosting public room:', roomId);
+  await goOnline(roomId, null, {
+    isPublic: true,
+    password: document.getElementById('roomPasswordInput').value || null,
+    reshapeArena: reshapeArenaInput.checked,
+    rules: readRulesForm(lobbyRulesForm)
+  });
+});
 
-      // Show Share/Invite Modal
-      openShareModal(fullUrl, true);
+// Unlisted, and only the invite link gets anyone in
+document.getElementById('hostInviteBtn').addEventListener('click', async () => {
+  closeLobbyModal();
+  const roomId = createRoomId();
+  console.log('Hosting invite-only room:', roomId);
+  await goOnline(roomId, null, {
+    inviteOnly: true,
+    reshapeArena: reshapeArenaInput.checked,
+    rules: readRulesForm(lobbyRulesForm)
+  });
+});
+
+// Host controls: seats (kick, ban, hand over, move) and the room's rules
+const hostModal = document.getElementById('host-modal');
+const seatList = document.getElementById('seatList');
+const rulesForm = document.getElementById('rulesForm');
+const lockRoomBtn = document.getElementById('lockRoomBtn');
+let hostRefreshTimer = null;
+let moveFrom = null; // Edge picked to move, waiting for its destination
+
+const RULE_LABELS = {
+  ballSpeedBase: 'BALL SPEED',
+  ballSpeedIncrease: 'SPEED-UP PER BOUNCE',
+  difficultyRamp: 'SECONDS PER DIFFICULTY LEVEL',
+  rotationSpeedBase: 'ARENA ROTATION',
+  paddleWidthStart: 'PADDLE WIDTH (START)',
+  paddleWidthBase: 'PADDLE WIDTH (BASE)',
+  paddleWidthMin: 'PADDLE WIDTH (MIN)',
+  paddleWidthDifficultyFactor: 'PADDLE SHRINK RATE',
+  countdownDuration: 'COUNTDOWN (S)'
+};
+
+const OCCUPANT_LABELS = { you: 'YOU (HOST)', player: 'PLAYER', away: 'RECONNECTING', bot: 'BOT', empty: 'EMPTY' };
+
+function seatButton(label, primary, onClick) {
+  const btn = document.createElement('button');
+  btn.className = `btn ${primary ? 'btn-primary' : 'btn-secondary'} btn-small`;
+  btn.innerText = label;
+  btn.addEventListener('click', () => {
+    onClick();
+    setTimeout(renderSeats, 200); // Give the server a moment to apply it
+  });
+  return btn;
+}
 
-      onlineBtn.innerText = 'OFFLINE (SINGLE PLAYER)';
-      shareMenuBtn.innerText = 'INVITE OTHERS';
+function renderSeats() {
+  if (!game.isHost()) {
+    closeHostModal();
+    return;
+  }
+  lockRoomBtn.innerText = game.roomLocked ? 'UNLOCK ROOM' : 'LOCK ROOM';
+  seatList.replaceChildren();
+
+  game.getSeats().forEach(({ edgeIndex, occupant }) => {
+    const row = document.createElement('div');
+    row.className = 'room-row';
+
+    const info = document.createElement('div');
+    info.className = 'room-info';
+    const name = document.createElement('span');
+    name.className = 'room-name';
+    name.innerText = game.names[edgeIndex] ? `EDGE ${edgeIndex + 1} · ${game.names[edgeIndex]}` : `EDGE ${edgeIndex + 1}`;
+    name.style.color = game.getPlayerColor(edgeIndex);
+    const details = document.createElement('span');
+    details.className = 'room-details';
+    details.innerText = OCCUPANT_LABELS[occupant];
+    info.append(name, details);
+
+    const actions = document.createElement('div');
+    actions.className = 'room-actions';
+    if (moveFrom === null) {
+      if (occupant !== 'empty') {
+        actions.appendChild(seatButton('MOVE', false, () => { moveFrom = edgeIndex; }));
+      }
+      if (occupant === 'player') {
+        actions.appendChild(seatButton('MAKE HOST', false, () => game.transferHost(edgeIndex)));
+      }
+      if (occupant === 'player' || occupant === 'away') {
+        actions.appendChild(seatButton('KICK', false, () => game.kickPlayer(edgeIndex)));
+        actions.appendChild(seatButton('BAN', true, () => game.kickPlayer(edgeIndex, true)));
+      }
+    } else if (edgeIndex === moveFrom) {
+      actions.appendChild(seatButton('CANCEL', false, () => { moveFrom = null; }));
+    } else {
+      actions.appendChild(seatButton('HERE', true, () => {
+        game.swapEdges(moveFrom, edgeIndex);
+        moveFrom = null;
+      }));
     }
+
+    row.append(info, actions);
+    seatList.appendChild(row);
+  });
+}
+
+// One number input per rule; the host's form and the lobby's rules for a new room
+function fillRulesForm(form, rules) {
+  form.replaceChildren();
+  Object.entries(RULE_LIMITS).forEach(([key, limits]) => {
+    const label = document.createElement('label');
+    label.className = 'rule-field';
+    label.innerText = RULE_LABELS[key] || key;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.className = 'copy-input';
+    input.name = key;
+    input.min = limits.min;
+    input.max = limits.max;
+    input.step = 'any';
+    input.value = rules[key];
+    label.appendChild(input);
+    form.appendChild(label);
+  });
+}
+
+// Filled-in rules only; the server clamps them and defaults the rest
+function readRulesForm(form) {
+  const rules = {};
+  form.querySelectorAll('input').forEach(input => {
+    if (input.value !== '') rules[input.name] = Number(input.value);
   });
+  return rules;
+}
+
+function renderRules() {
+  fillRulesForm(rulesForm, game.rules);
+}
+
+function openHostModal() {
+  moveFrom = null;
+  hostModal.classList.add('visible');
+  renderSeats();
+  renderRules();
+  clearInterval(hostRefreshTimer);
+  hostRefreshTimer = setInterval(renderSeats, 1000);
 }
+
+function closeHostModal() {
+  hostModal.classList.remove('visible');
+  clearInterval(hostRefreshTimer);
+  hostRefreshTimer = null;
+}
+
+document.getElementById('hostBtn').addEventListener('click', openHostModal);
+
+document.getElementById('closeHostBtn').addEventListener('click', (e) => {
+  e.preventDefault();
+  e.stopPropagation();
+  closeHostModal();
+});
+
+hostModal.addEventListener('click', (e) => {
+  if (e.target === hostModal) {
+    closeHostModal();
+  }
+});
+
+lockRoomBtn.addEventListener('click', () => {
+  game.setRoomLocked(!game.roomLocked);
+  setTimeout(renderSeats, 200);
+});
+
+document.getElementById('applyRulesBtn').addEventListener('click', () => {
+  game.setRoomRules(readRulesForm(rulesForm));
+  setTimeout(renderRules, 200); // Show the values after the server clamps them
+});
+
+// Quick chat: phrase and emote buttons, free text and the log between rounds
+const chatLogEl = document.getElementById('chatLog');
+const chatInput = document.getElementById('chatInput');
+
+QUICK_PHRASES.forEach((phrase, i) => {
+  const btn = document.createElement('button');
+  btn.className = 'chat-chip';
+  btn.innerText = phrase;
+  btn.addEventListener('click', () => game.sendQuickPhrase(i));
+  document.getElementById('quickPhrases').appendChild(btn);
+});
+
+EMOTES.forEach((emote, i) => {
+  const btn = document.createElement('button');
+  btn.className = 'chat-chip';
+  btn.innerText = emote;
+  btn.title = `Key ${i + 1}`;
+  btn.addEventListener('click', () => game.sendEmote(i));
+  document.getElementById('emoteBar').appendChild(btn);
+});
+
+function renderChatLog() {
+  chatLogEl.replaceChildren(...game.chatLog.map(line => {
+    const row = document.createElement('div');
+    row.className = 'chat-line';
+    const name = document.createElement('span');
+    name.className = 'chat-name';
+    name.innerText = game.getChatName(line.edgeIndex);
+    if (line.edgeIndex !== -1) name.style.color = game.getPlayerColor(line.edgeIndex);
+    row.append(name, ` ${line.text}`);
+    return row;
+  }));
+  chatLogEl.scrollTop = chatLogEl.scrollHeight;
+}
+
+game.onChat = renderChatLog;
+
+function sendChatInput() {
+  if (game.sendChatText(chatInput.value)) chatInput.value = '';
+}
+
+document.getElementById('chatSendBtn').addEventListener('click', sendChatInput);
+chatInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') sendChatInput();
+});
+
+// Settings: saved preferences, applied as soon as they change
+const settingsModal = document.getElementById('settings-modal');
+const settingsForm = document.getElementById('settingsForm');
+
+const SETTING_FIELDS = [
+  { key: 'displayName', label: 'DISPLAY NAME', type: 'text' },
+  { key: 'soundMode', label: 'SOUND', options: { all: 'MUSIC & EFFECTS', interactions: 'EFFECTS ONLY', off: 'OFF' } },
+  { key: 'musicVolume', label: 'MUSIC VOLUME', type: 'range', step: 0.05 },
+  { key: 'effectsVolume', label: 'EFFECTS VOLUME', type: 'range', step: 0.05 },
+  { key: 'controlScheme', label: 'CONTROLS', options: { keys: 'KEYS / TOUCH', pointer: 'POINTER' } },
+  { key: 'cameraMode', label: 'CAMERA', options: { world: 'WORLD', follow: 'FOLLOW MY EDGE', smooth: 'FOLLOW (SMOOTH)' } },
+  { key: 'theme', label: 'THEME', options: { midnight: 'MIDNIGHT', contrast: 'HIGH CONTRAST', pastel: 'PASTEL' } },
+  { key: 'reducedMotion', label: 'REDUCED MOTION', type: 'checkbox' },
+  { key: 'interpolationDelay', label: 'NETWORK DELAY (MS)', type: 'range', step: 10 }
+];
+
+function createSettingInput(field) {
+  const value = game.settings[field.key];
+  if (field.options) {
+    const select = document.createElement('select');
+    Object.entries(field.options).forEach(([option, text]) => select.add(new Option(text, option)));
+    select.value = value;
+    select.addEventListener('change', () => game.updateSettings({ [field.key]: select.value }));
+    return select;
+  }
+
+  const input = document.createElement('input');
+  input.type = field.type;
+  if (field.type === 'checkbox') {
+    input.checked = value;
+    input.addEventListener('change', () => game.updateSettings({ [field.key]: input.checked }));
+  } else if (field.type === 'range') {
+    input.min = SETTING_LIMITS[field.key].min;
+    input.max = SETTING_LIMITS[field.key].max;
+    input.step = field.step;
+    input.value = value;
+    input.addEventListener('input', () => game.updateSettings({ [field.key]: Number(input.value) }));
+  } else {
+    input.maxLength = DISPLAY_NAME_MAX_LENGTH;
+    input.placeholder = 'SHOWN TO OTHER PLAYERS';
+    input.autocomplete = 'nickname';
+    input.value = value;
+    // Sent to the room, so only once typing is done
+    input.addEventListener('change', () => {
+      game.updateSettings({ [field.key]: input.value });
+      input.value = game.settings[field.key];
+    });
+  }
+  return input;
+}
+
+function renderSettings() {
+  settingsForm.replaceChildren();
+  SETTING_FIELDS.forEach(field => {
+    const label = document.createElement('label');
+    label.className = field.type === 'checkbox' ? 'rule-field setting-toggle' : 'rule-field';
+    label.innerText = field.label;
+    const input = createSettingInput(field);
+    if (!['checkbox', 'range'].includes(field.type)) input.className = 'copy-input';
+    label.appendChild(input);
+    settingsForm.appendChild(label);
+  });
+}
+
+function openSettingsModal() {
+  renderSettings();
+  settingsModal.classList.add('visible');
+}
+
+function closeSettingsModal() {
+  settingsModal.classList.remove('visible');
+  updateSoundIcon(game.audio.mode);
+}
+
+document.getElementById('settingsBtn').addEventListener('click', openSettingsModal);
+
+document.getElementById('closeSettingsBtn').addEventListener('click', (e) => {
+  e.preventDefault();
+  e.stopPropagation();
+  closeSettingsModal();
+});
+
+settingsModal.addEventListener('click', (e) => {
+  if (e.target === settingsModal) {
+    closeSettingsModal();
+  }
+});
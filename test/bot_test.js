@@ -0,0 +1,169 @@
+import { strict as assert } from 'assert';
+import { ServerGame } from '../server/ServerGame.js';
+import { BotController, predictBallArrival } from '../src/game/BotController.js';
+
+// Mock IO
+const mockIo = {
+    to: () => ({ emit: () => { } })
+};
+
+console.log('--- Starting Bot Tests ---');
+
+function testPredictStraightShot() {
+    const game = new ServerGame(mockIo, 'BOT1');
+    game.polygon.rotationSpeed = 0;
+    const vertices = game.polygon.vertices;
+
+    // Aim straight at the middle of edge 2
+    const p1 = vertices[2];
+    const p2 = vertices[3];
+    const mx = (p1.x + p2.x) / 2;
+    const my = (p1.y + p2.y) / 2;
+    const len = Math.sqrt(mx * mx + my * my);
+    game.ball.x = 0;
+    game.ball.y = 0;
+    game.ball.vx = (mx / len) * 200;
+    game.ball.vy = (my / len) * 200;
+
+    const arrival = predictBallArrival(game, 2);
+    assert.ok(arrival, 'Ball heading at the edge should be predicted to arrive');
+    assert.ok(Math.abs(arrival.position - 0.5) < 1e-6, `Expected the middle of the edge, got ${arrival.position}`);
+    assert.ok(Math.abs(arrival.time - len / 200) < 1e-6, 'Arrival time should be distance / speed');
+    console.log('✅ Predictor finds where a straight shot crosses the edge');
+}
+
+function testPredictThroughWallBounce() {
+    const game = new ServerGame(mockIo, 'BOT2');
+    game.polygon.rotationSpeed = 0;
+    game.ball.x = 0;
+    game.ball.y = 0;
+    game.ball.vx = 150;
+    game.ball.vy = 90;
+
+    // Whichever edge the ball reaches first, the others must be reached via bounces
+    const direct = [0, 1, 2, 3, 4].map(i => predictBallArrival(game, i, 0)).filter(Boolean);
+    assert.equal(direct.length, 1, 'Without bounces exactly one edge is reachable');
+    const viaBounce = [0, 1, 2, 3, 4].map(i => predictBallArrival(game, i)).filter(Boolean);
+    assert.ok(viaBounce.length > 1, 'Bounces make other edges reachable');
+    viaBounce.forEach(a => assert.ok(a.position >= 0 && a.position <= 1));
+    console.log('✅ Predictor traces the ball through wall bounces');
+}
+
+function testBotsFillEmptyEdges() {
+    const game = new ServerGame(mockIo, 'BOT3', { botDifficulty: 'normal' });
+    game.addPlayer('p1');
+    game.addPlayer('p2');
+
+    assert.equal(game.paddles.length, game.polygon.sides, 'Every edge should have a paddle');
+    assert.equal(game.bots.size, game.polygon.sides - 2, 'Bots should hold the edges nobody plays');
+    const state = game.getState();
+    assert.equal(state.botDifficulty, 'normal');
+    assert.deepEqual(state.paddles.filter(p => p.isBot).map(p => p.edgeIndex).sort(), [2, 3, 4]);
+    assert.equal(game.getSummary().bots, 3);
+    console.log('✅ Bots fill empty edges and are flagged in the state');
+}
+
+function testPlayerReplacesBot() {
+    const game = new ServerGame(mockIo, 'BOT4', { botDifficulty: 'easy' });
+    const edge = game.addPlayer('p1');
+    assert.equal(edge, 0, 'Joining player takes the first bot edge');
+    assert.equal(game.bots.has(0), false, 'Bot should leave the edge it gave up');
+    assert.equal(game.paddles.filter(p => p.edgeIndex === 0).length, 1, 'Only one paddle per edge');
+    assert.equal(game.paddles.find(p => p.edgeIndex === 0).isBot, undefined);
+    console.log('✅ A joining player takes over a bot edge');
+}
+
+function testBotTakesOverForLeavingPlayer() {
+    const game = new ServerGame(mockIo, 'BOT5', { botDifficulty: 'hard', reconnectGraceMs: 0 });
+    game.addPlayer('p1');
+    game.addPlayer('p2');
+    game.running = true;
+    game.toggleReady('p1', true);
+    game.toggleReady('p2', true);
+    for (let i = 0; i < 200; i++) game.update(0.016);
+    assert.equal(game.gameState, 'PLAYING');
+
+    game.disconnectPlayer('p2');
+    assert.equal(game.gameState, 'PLAYING', 'The round continues with a bot in the gap');
+    assert.ok(game.bots.has(1), 'Bot should take the departed player\'s edge');
+    console.log('✅ A bot takes over when a player leaves mid-round');
+}
+
+function testBotSettingOnlyBetweenRounds() {
+    const game = new ServerGame(mockIo, 'BOT6');
+    assert.equal(game.bots.size, 0, 'Bots are off by default');
+    assert.equal(game.setBotDifficulty('turbo'), false, 'Unknown levels are rejected');
+
+    game.addPlayer('p1');
+    assert.equal(game.setBotDifficulty('normal'), true);
+    assert.equal(game.bots.size, game.polygon.sides - 1);
+
+    game.toggleReady('p1', true);
+    assert.equal(game.gameState, 'COUNTDOWN');
+    assert.equal(game.setBotDifficulty('off'), false, 'Setting is locked during a round');
+    assert.equal(game.bots.size, game.polygon.sides - 1);
+
+    game.gameState = 'SCORING';
+    assert.equal(game.setBotDifficulty('off'), true);
+    assert.equal(game.bots.size, 0);
+    assert.equal(game.paddles.length, 1, 'Turning bots off leaves only the player paddle');
+    console.log('✅ Bot setting is validated and only changes between rounds');
+}
+
+function testBotSteersTowardsBall() {
+    const game = new ServerGame(mockIo, 'BOT7');
+    game.polygon.rotationSpeed = 0;
+    game.gameState = 'PLAYING';
+    const vertices = game.polygon.vertices;
+
+    // Send the ball at 80% along edge 1
+    const p1 = vertices[1];
+    const p2 = vertices[2];
+    const tx = p1.x + (p2.x - p1.x) * 0.8;
+    const ty = p1.y + (p2.y - p1.y) * 0.8;
+    const len = Math.sqrt(tx * tx + ty * ty);
+    game.ball.x = 0;
+    game.ball.y = 0;
+    game.ball.vx = (tx / len) * 200;
+    game.ball.vy = (ty / len) * 200;
+
+    const bot = new BotController('hard', () => 0.5); // Zero aiming error
+    const paddle = { edgeIndex: 1, position: 0.5, width: 0.2 };
+    const dir = bot.update(game, paddle, 0.016);
+    assert.ok(dir > 0, 'Bot should head towards the predicted point');
+    assert.ok(Math.abs(bot.target - 0.8) < 1e-6, `Expected target 0.8, got ${bot.target}`);
+
+    paddle.position = 0.8;
+    assert.equal(bot.update(game, paddle, 0.016), 0, 'Bot holds still once in place');
+
+    game.gameState = 'SCORING';
+    paddle.position = 0.3;
+    assert.ok(bot.update(game, paddle, 0.016) > 0, 'Bot drifts back to the centre between rallies');
+    console.log('✅ Bot steers towards the predicted crossing point');
+}
+
+function testDifficultyLimitsSpeed() {
+    const game = new ServerGame(mockIo, 'BOT8');
+    game.gameState = 'SCORING';
+    const paddle = { edgeIndex: 0, position: 0.1, width: 0.2 };
+    const easy = new BotController('easy').update(game, paddle, 0.016);
+    const hard = new BotController('hard').update(game, paddle, 0.016);
+    assert.ok(easy < hard, 'Easy bots should move slower than hard ones');
+    assert.ok(hard <= 1, 'Bots never exceed full paddle speed');
+    console.log('✅ Difficulty caps bot speed');
+}
+
+try {
+    testPredictStraightShot();
+    testPredictThroughWallBounce();
+    testBotsFillEmptyEdges();
+    testPlayerReplacesBot();
+    testBotTakesOverForLeavingPlayer();
+    testBotSettingOnlyBetweenRounds();
+    testBotSteersTowardsBall();
+    testDifficultyLimitsSpeed();
+    console.log('--- All Bot Tests Passed ---');
+} catch (err) {
+    console.error('Bot tests failed:', err);
+    process.exit(1);
+}
@@ -0,0 +1,121 @@
+import { strict as assert } from 'assert';
+import { Camera } from '../src/game/Camera.js';
+import { Polygon } from '../src/game/Polygon.js';
+import { Paddle } from '../src/game/Paddle.js';
+import { ARENAS, parseArena } from '../src/game/Arenas.js';
+
+console.log('--- Starting Camera Tests ---');
+
+// Where the middle of an edge ends up on screen (relative to the centre)
+function screenAngle(camera, polygon, edgeIndex) {
+    const p1 = polygon.vertices[edgeIndex];
+    const p2 = polygon.vertices[(edgeIndex + 1) % polygon.vertices.length];
+    return Math.atan2(p1.y + p2.y, p1.x + p2.x) + camera.angle;
+}
+
+function near(a, b, epsilon = 1e-9) {
+    return Math.abs(Math.atan2(Math.sin(a - b), Math.cos(a - b))) < epsilon;
+}
+
+function testWorldView() {
+    const camera = new Camera('world');
+    const polygon = new Polygon(250, 5);
+    camera.update(1 / 60, polygon, 2);
+    assert.equal(camera.angle, 0);
+    assert.equal(camera.following, false);
+    assert.equal(camera.inputDirection(1), 1, 'Inputs are unchanged');
+
+    camera.mode = 'follow';
+    camera.update(1 / 60, polygon, null);
+    assert.equal(camera.following, false, 'Spectators see the world as it is');
+    console.log('✅ World view leaves the arena alone');
+}
+
+function testFollowKeepsEdgeAtBottom() {
+    const camera = new Camera('follow');
+    const polygon = new Polygon(250, 5);
+    for (let i = 0; i < 100; i++) {
+        polygon.rotation += 0.05;
+        polygon.updateVertices();
+        camera.update(1 / 60, polygon, 3);
+        assert.ok(near(screenAngle(camera, polygon, 3), Math.PI / 2), 'Our edge stays at the bottom while the arena spins');
+    }
+
+    camera.update(1 / 60, polygon, 1);
+    assert.ok(near(screenAngle(camera, polygon, 1), Math.PI / 2), 'Follow jumps straight to a new edge');
+
+    const back = camera.toWorld({ x: 0, y: 100 });
+    const p1 = polygon.vertices[1];
+    const p2 = polygon.vertices[2];
+    assert.ok(near(Math.atan2(back.y, back.x), Math.atan2(p1.y + p2.y, p1.x + p2.x)), 'Bottom of the screen maps back onto our edge');
+    console.log('✅ Follow keeps our edge at the bottom');
+}
+
+function testSmoothEasesJumps() {
+    const camera = new Camera('smooth');
+    const polygon = new Polygon(250, 5);
+    camera.update(1 / 60, polygon, 0);
+    assert.ok(!near(screenAngle(camera, polygon, 0), Math.PI / 2, 1e-3), 'Eases in rather than jumping');
+
+    for (let i = 0; i < 300; i++) {
+        polygon.rotation += 0.01;
+        polygon.updateVertices();
+        camera.update(1 / 60, polygon, 0);
+    }
+    assert.ok(near(screenAngle(camera, polygon, 0), Math.PI / 2, 1e-3), 'Settles at the bottom, even while spinning');
+
+    const before = camera.angle;
+    camera.update(1 / 60, polygon, 2);
+    const moved = Math.abs(Math.atan2(Math.sin(camera.angle - before), Math.cos(camera.angle - before)));
+    assert.ok(moved > 0 && moved < 0.2, 'A new edge is eased into');
+    console.log('✅ Smooth camera eases into new positions');
+}
+
+// Pressing right should move our paddle to the right on screen, and left to the left
+function assertInputFollowsScreen(polygon, edgeIndex, label) {
+    const camera = new Camera('follow');
+    polygon.rotation = 1.3;
+    polygon.updateVertices();
+    camera.update(1 / 60, polygon, edgeIndex);
+
+    const paddle = new Paddle(edgeIndex);
+    const screenX = () => {
+        const p1 = polygon.vertices[edgeIndex];
+        const p2 = polygon.vertices[(edgeIndex + 1) % polygon.vertices.length];
+        const x = p1.x + (p2.x - p1.x) * paddle.position;
+        const y = p1.y + (p2.y - p1.y) * paddle.position;
+        return x * Math.cos(camera.angle) - y * Math.sin(camera.angle);
+    };
+    const start = screenX();
+    paddle.move(camera.inputDirection(1), 0.1);
+    assert.ok(screenX() > start, `Right moves right on screen (${label})`);
+    paddle.move(camera.inputDirection(-1), 0.2);
+    assert.ok(screenX() < start, `Left moves left on screen (${label})`);
+}
+
+function testInputRemapping() {
+    assertInputFollowsScreen(new Polygon(250, 5), 2, 'pentagon');
+
+    // A file listing its corners the other way round
+    const file = ARENAS.lopsided;
+    const polygon = new Polygon(250, 5);
+    polygon.setShape(parseArena({ vertices: [...file.vertices].reverse() }));
+    polygon.getPlayableEdges().forEach(edge => assertInputFollowsScreen(polygon, edge, `reversed lopsided edge ${edge}`));
+
+    // Even an outline that skipped parsing and winds counter-clockwise on screen
+    const raw = new Polygon(250, 5);
+    raw.setShape({ vertices: [{ x: 0, y: -200 }, { x: -200, y: 0 }, { x: 0, y: 200 }, { x: 200, y: 0 }] });
+    [0, 1, 2, 3].forEach(edge => assertInputFollowsScreen(raw, edge, `counter-clockwise edge ${edge}`));
+    console.log('✅ Left and right follow the screen when the camera turns, whichever way the arena winds');
+}
+
+try {
+    testWorldView();
+    testFollowKeepsEdgeAtBottom();
+    testSmoothEasesJumps();
+    testInputRemapping();
+    console.log('--- All Camera Tests Passed ---');
+} catch (err) {
+    console.error('Camera tests failed:', err);
+    process.exit(1);
+}
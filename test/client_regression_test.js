@@ -1,6 +1,7 @@
 
 import { Game } from '../src/game/Game.js';
 import { Paddle } from '../src/game/Paddle.js';
+import { resolveRules } from '../src/game/Rules.js';
 import { strict as assert } from 'assert';
 
 // Mock Canvas
@@ -44,6 +45,10 @@ global.document = {
     documentElement: {
         style: {
             setProperty: () => { }
+        },
+        dataset: {},
+        classList: {
+            toggle: () => { }
         }
     },
     getElementById: () => ({
@@ -98,8 +103,217 @@ function testMultiplayerToLocalPaddleReset() {
     console.log('✅ Passed: Multiplayer to local paddle reset.');
 }
 
+function testReconcileReplaysUnackedInputs() {
+    console.log('Test: Reconciliation Replays Unacknowledged Inputs');
+    const game = new Game(canvas);
+    game.mode = 'online';
+    game.playerIndex = 1;
+    game.resetPrediction();
+
+    // Three predicted inputs, server has only processed the first
+    game.pendingInputs = [
+        { seq: 1, dir: 1, dt: 0.05 },
+        { seq: 2, dir: 1, dt: 0.05 },
+        { seq: 3, dir: -1, dt: 0.02 }
+    ];
+    game.reconcileLocalPaddle({
+        paddles: [{ edgeIndex: 1, position: 0.6, width: 0.2, lastInputSeq: 1 }]
+    });
+
+    assert.deepEqual(game.pendingInputs.map(i => i.seq), [2, 3], 'Acked inputs should be dropped');
+    assert.ok(Math.abs(game.localPaddle.position - (0.6 + 0.05 - 0.02)) < 1e-9,
+        'Paddle should be server position plus replayed inputs');
+
+    // Server catches up: prediction collapses onto the authoritative position
+    game.reconcileLocalPaddle({
+        paddles: [{ edgeIndex: 1, position: 0.63, width: 0.2, lastInputSeq: 3 }]
+    });
+    assert.equal(game.pendingInputs.length, 0);
+    assert.equal(game.localPaddle.position, 0.63);
+
+    console.log('✅ Passed: Rollback reconciliation replays pending inputs.');
+}
+
+function testPredictedWidthFollowsRoomRules() {
+    console.log('Test: Predicted And Interpolated Paddles Use The Room\'s Width Rules');
+    const game = new Game(canvas);
+    game.mode = 'online';
+    game.playerIndex = 0;
+    game.resetPrediction();
+    game.rules = resolveRules({ paddleWidthBase: 0.6, paddleWidthMin: 0.3, paddleWidthDifficultyFactor: 1 });
+    game.difficulty = 1.5;
+
+    // Older servers leave the width out of the state
+    game.reconcileLocalPaddle({ paddles: [{ edgeIndex: 0, position: 0.5, lastInputSeq: 0 }] });
+    assert.ok(Math.abs(game.localPaddle.width - 0.4) < 1e-9, `Local paddle should use the rules, got ${game.localPaddle.width}`);
+
+    const paddles = [{ edgeIndex: 0, position: 0.5 }, { edgeIndex: 1, position: 0.5 }];
+    game.stateBuffer = [
+        { timestamp: 0, rotation: 0, balls: [], paddles },
+        { timestamp: 1, rotation: 0, balls: [], paddles }
+    ];
+    game.applyInterpolation();
+    assert.ok(game.paddles.every(p => Math.abs(p.width - 0.4) < 1e-9), 'Every paddle should match the local prediction');
+
+    console.log('✅ Passed: Paddle width comes from the room\'s rules.');
+}
+
+function testRoomOptionsAreHostOnly() {
+    console.log('Test: Only The Host Sees And Sends Room Options');
+    const game = new Game(canvas);
+    const emitted = [];
+    game.mode = 'online';
+    game.socket = { emit: (event) => emitted.push(event) };
+    game.gameState = 'SCORING';
+    game.playerIndex = 1;
+    game.hostEdge = 0;
+
+    const roomButtons = ['rulesetBtn', 'botsBtn', 'multiBallBtn', 'powerUpsBtn', 'aimBtn', 'layoutBtn'];
+    game.refreshMenu();
+    roomButtons.forEach(key => assert.equal(game[key].style.display, 'none', `${key} should be hidden from other players`));
+    game.cycleRuleset();
+    game.cycleBotDifficulty();
+    game.toggleMultiBall();
+    game.togglePowerUps();
+    game.toggleAimedBounces();
+    game.cycleLayout();
+    assert.deepEqual(emitted, [], 'Other players should not send room changes');
+
+    game.hostEdge = 1;
+    game.refreshMenu();
+    roomButtons.forEach(key => assert.equal(game[key].style.display, '', `${key} should be shown to the host`));
+    game.toggleMultiBall();
+    assert.deepEqual(emitted, ['setMultiBall']);
+
+    console.log('✅ Passed: Room options are host-only.');
+}
+
+function testSnapshotsOnlyRefreshMenuOnChange() {
+    console.log('Test: Snapshots Only Rebuild The Menu When It Would Change');
+    const game = new Game(canvas);
+    let refreshes = 0;
+    game.mode = 'online';
+    game.playerIndex = -1;
+    game.stateBuffer = [];
+    game.refreshMenu = () => refreshes++;
+
+    const snapshot = (extra) => ({ gameState: 'SCORING', sides: 5, difficulty: 1, celebrationTimer: 0, paddles: [], balls: [], readyEdges: [], ...extra });
+    game.handleServerState(snapshot());
+    game.handleServerState(snapshot());
+    game.handleServerState(snapshot());
+    assert.equal(refreshes, 1, 'Identical snapshots should not touch the menu');
+
+    game.handleServerState(snapshot({ readyEdges: [1] }));
+    assert.equal(refreshes, 2, 'A player readying up should');
+
+    console.log('✅ Passed: The menu follows snapshots without rebuilding every time.');
+}
+
+function testVersusSetup() {
+    console.log('Test: Local Versus Mode Creates AI Opponents');
+    const game = new Game(canvas);
+    game.opponentCount = 2;
+    game.opponentSkill = 'hard';
+    game.resetLocalGame();
+
+    assert.deepEqual(game.paddles.map(p => p.edgeIndex), [0, 2, 3], 'Opponents should be spread around the polygon');
+    assert.equal(game.paddles[0].ai, null, 'Player paddle has no AI');
+    assert.ok(game.paddles.slice(1).every(p => p.ai && p.ai.difficulty === 'hard'), 'Opponents use the chosen skill');
+    assert.deepEqual(game.paddleScores, { 0: 0, 2: 0, 3: 0 });
+    assert.ok(game.isVersus());
+
+    // Classic survival is unchanged when no opponents are picked
+    game.opponentCount = 0;
+    game.resetLocalGame();
+    assert.equal(game.paddles.length, 1);
+    assert.equal(game.isVersus(), false);
+
+    console.log('✅ Passed: Versus mode sets up AI opponents.');
+}
+
+function testAiPaddleMovesItself() {
+    console.log('Test: Paddle.update Drives AI Paddles');
+    const game = new Game(canvas);
+    game.opponentCount = 1;
+    game.resetLocalGame();
+    const bot = game.paddles[1];
+    bot.position = 0.2;
+
+    // Between rallies the bot heads back to the centre
+    game.setGameState('SCORING');
+    bot.update(0.1, game);
+    assert.ok(bot.position > 0.2, 'AI paddle should move on its own');
+
+    const human = game.paddles[0];
+    const before = human.position;
+    human.update(0.1, game);
+    assert.equal(human.position, before, 'Player paddle is not moved by update');
+
+    // The game only lets them play during a rally
+    bot.position = 0.2;
+    game.setGameState('COUNTDOWN');
+    game.countdownTimer = 3;
+    game.update(0.1);
+    assert.equal(bot.position, 0.2, 'AI paddle should wait for the rally');
+    game.setGameState('PLAYING');
+    game.update(0.1);
+    assert.notEqual(bot.position, 0.2, 'AI paddle should play during the rally');
+
+    console.log('✅ Passed: AI paddles steer themselves.');
+}
+
+function testVersusScoring() {
+    console.log('Test: Versus Per-Paddle Scoring');
+    const game = new Game(canvas);
+    game.audio.playGoal = () => { };
+    game.audio.playBounce = () => { };
+    game.opponentCount = 4;
+    game.resetLocalGame();
+    game.setGameState('PLAYING');
+
+    // Bot on edge 2 hits the ball past the player
+    game.onPaddleHit(2);
+    game.onGoal(0);
+    assert.equal(game.paddleScores[2], 1, 'Last hitter gets the point');
+    assert.equal(game.lastPointEdge, 2);
+    assert.equal(game.gameState, 'SCORING');
+
+    // Celebration ends: next point is served without resetting the match
+    game.update(2.6);
+    assert.equal(game.gameState, 'COUNTDOWN', 'Next point should be served automatically');
+    assert.equal(game.paddleScores[2], 1, 'Scores carry over between points');
+    assert.equal(game.lastHitEdge, null);
+
+    // Own goals score nothing
+    game.setGameState('PLAYING');
+    game.onPaddleHit(3);
+    game.onGoal(3);
+    assert.equal(game.paddleScores[3], 0);
+    assert.equal(game.lastPointEdge, null);
+
+    // Player reaches the winning score
+    game.paddleScores[0] = 4;
+    game.setGameState('PLAYING');
+    game.onPaddleHit(0);
+    game.onGoal(1);
+    assert.equal(game.versusWinner, 0, 'Player wins at the target score');
+    assert.equal(game.getVersusHeadline(), 'YOU WIN!');
+
+    game.update(2.6);
+    assert.equal(game.gameState, 'SCORING', 'Match over: wait for the player to restart');
+
+    console.log('✅ Passed: Versus points go to the last hitter and end the match.');
+}
+
 try {
     testMultiplayerToLocalPaddleReset();
+    testReconcileReplaysUnackedInputs();
+    testPredictedWidthFollowsRoomRules();
+    testRoomOptionsAreHostOnly();
+    testSnapshotsOnlyRefreshMenuOnChange();
+    testVersusSetup();
+    testAiPaddleMovesItself();
+    testVersusScoring();
     console.log('--- All Client Regression Tests Passed ---');
 } catch (e) {
     console.error('❌ Test Failed:', e);
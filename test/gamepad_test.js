@@ -0,0 +1,63 @@
+import { strict as assert } from 'assert';
+import { GAMEPAD_BUTTONS, GAMEPAD_DEADZONE, gamepadDirection, gamepadPresses } from '../src/game/Gamepad.js';
+
+console.log('--- Starting Gamepad Tests ---');
+
+// Minimal stand-in for a standard-mapping Gamepad
+function createPad({ stick = 0, pressed = [], values = {} } = {}) {
+    const buttons = Array.from({ length: 17 }, (_, i) => ({
+        pressed: pressed.includes(i) || (values[i] ?? 0) > 0.5,
+        value: values[i] ?? (pressed.includes(i) ? 1 : 0)
+    }));
+    return { index: 0, connected: true, axes: [stick, 0, 0, 0], buttons };
+}
+
+function testStick() {
+    assert.equal(gamepadDirection(createPad()), 0);
+    assert.equal(gamepadDirection(createPad({ stick: GAMEPAD_DEADZONE })), 0, 'Stick drift is ignored');
+    assert.equal(gamepadDirection(createPad({ stick: 1 })), 1);
+    assert.equal(gamepadDirection(createPad({ stick: -1 })), -1);
+
+    const half = gamepadDirection(createPad({ stick: 0.5 }));
+    assert.ok(half > 0.3 && half < 0.5, 'Partly pushed stick gives a proportional direction');
+    assert.ok(gamepadDirection(createPad({ stick: GAMEPAD_DEADZONE + 0.01 })) < 0.05, 'Speed ramps up from the dead zone');
+    assert.equal(gamepadDirection(createPad({ stick: 1.2 })), 1, 'Never beyond full speed');
+    console.log('✅ Left stick gives an analog direction outside the dead zone');
+}
+
+function testTriggersAndDpad() {
+    const { leftTrigger, rightTrigger, left, right } = GAMEPAD_BUTTONS;
+    const squeezed = gamepadDirection(createPad({ values: { [rightTrigger]: 0.6 } }));
+    assert.ok(squeezed > 0 && squeezed < 1, 'Right trigger is analog');
+    assert.equal(gamepadDirection(createPad({ values: { [leftTrigger]: 1 } })), -1);
+    assert.equal(gamepadDirection(createPad({ values: { [leftTrigger]: 1, [rightTrigger]: 1 } })), 0, 'Both triggers cancel out');
+
+    assert.equal(gamepadDirection(createPad({ pressed: [left] })), -1, 'D-pad is the digital fallback');
+    assert.equal(gamepadDirection(createPad({ pressed: [right] })), 1);
+    assert.ok(gamepadDirection(createPad({ stick: -0.8, pressed: [right] })) < 0, 'Stick wins over the D-pad');
+    console.log('✅ Triggers and D-pad steer too');
+}
+
+function testPresses() {
+    const { confirm, pause } = GAMEPAD_BUTTONS;
+    const first = gamepadPresses(createPad({ pressed: [confirm] }));
+    assert.deepEqual(first.presses, ['confirm']);
+
+    const held = gamepadPresses(createPad({ pressed: [confirm, pause] }), first.held);
+    assert.deepEqual(held.presses, ['pause'], 'A held button only counts once');
+
+    const released = gamepadPresses(createPad(), held.held);
+    assert.deepEqual(released.presses, []);
+    assert.deepEqual(gamepadPresses(createPad({ pressed: [confirm] }), released.held).presses, ['confirm'], 'Pressing again counts');
+    console.log('✅ Confirm and pause fire once per press');
+}
+
+try {
+    testStick();
+    testTriggersAndDpad();
+    testPresses();
+    console.log('--- All Gamepad Tests Passed ---');
+} catch (err) {
+    console.error('Gamepad tests failed:', err);
+    process.exit(1);
+}
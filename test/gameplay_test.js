@@ -1,6 +1,10 @@
 
 import { ServerGame } from '../server/ServerGame.js';
 import { strict as assert } from 'assert';
+import { GAME_CONSTANTS } from '../src/game/Constants.js';
+import { POWERUP_TYPES, randomArenaPoint } from '../src/game/PowerUps.js';
+import { DEFAULT_RULES, RULE_LIMITS, resolveRules } from '../src/game/Rules.js';
+import { createMockIo, startRound } from './helpers.js';
 
 // Mock IO
 const mockIo = {
@@ -541,11 +545,762 @@ function testSpectatorCannotControlPaddle() {
     console.log('✅ Passed: Spectator input is ignored.');
 }
 
+function testExplicitSpectatorJoin() {
+    console.log('\nTest: Explicit Spectator Join Leaves Edges Free');
+    const game = new ServerGame(mockIo, 'test_room_explicit_spectator');
+    game.addPlayer('p1');
+
+    const index = game.addSpectator('watcher');
+    assert.equal(index, -1, 'Spectator join should return -1');
+    assert.equal(game.players.size, 1, 'Spectator should not be a player');
+    assert.equal(game.spectators.size, 1, 'Spectator should be tracked separately');
+    assert.equal(game.paddles.length, 1, 'Spectator should not get a paddle');
+
+    // A free edge opening up does not seat someone who only wants to watch
+    game.addPlayer('p2');
+    game.removePlayer('p2');
+    assert.equal(game.spectators.has('watcher'), true, 'Watch-only spectator should stay a spectator');
+
+    game.removePlayer('watcher');
+    assert.equal(game.spectators.size, 0, 'Leaving spectator should be forgotten');
+
+    console.log('✅ Passed: Explicit spectators are tracked and never auto-seated.');
+}
+
+function testSpectatorCountBroadcast() {
+    console.log('\nTest: Spectator Count In Broadcast');
+    let capturedState = null;
+    const captureIo = {
+        to: () => ({
+            emit: (event, data) => {
+                if (event === 'gameState') capturedState = data;
+            }
+        })
+    };
+    const game = new ServerGame(captureIo, 'test_room_spectator_count');
+    game.addPlayer('p1');
+    game.addSpectator('s1');
+    game.addSpectator('s2');
+
+    assert.equal(capturedState.spectatorCount, 2, 'Broadcast should include spectator count');
+    console.log('✅ Passed: spectatorCount is broadcast.');
+}
+
+function testQueuedSpectatorPromotedWhenEdgeFrees() {
+    console.log('\nTest: Queued Spectator Promoted When Edge Frees Between Rounds');
+    const promotions = [];
+    const captureIo = {
+        to: (target) => ({
+            emit: (event, data) => {
+                if (event === 'promoted') promotions.push({ target, data });
+            }
+        })
+    };
+    const game = new ServerGame(captureIo, 'test_room_promote');
+    for (let i = 0; i < 5; i++) game.addPlayer(`p${i}`);
+    assert.equal(game.addPlayer('late'), -1, 'Room is full');
+
+    game.removePlayer('p2');
+
+    assert.equal(game.players.get('late'), 2, 'Queued spectator should take the freed edge');
+    assert.equal(game.spectators.size, 0);
+    assert.equal(promotions.length, 1);
+    assert.equal(promotions[0].target, 'late', 'Promotion is sent to the promoted socket');
+    assert.equal(promotions[0].data.playerIndex, 2);
+    assert.ok(promotions[0].data.sessionToken, 'Promoted player receives a session token');
+
+    console.log('✅ Passed: Queued spectator seated on the free edge.');
+}
+
+function testSpectatorNotPromotedMidRound() {
+    console.log('\nTest: Spectator Waits For Round End Before Promotion');
+    const game = new ServerGame(mockIo, 'test_room_promote_wait');
+    game.addPlayer('p1');
+    game.addSpectator('s1');
+    game.running = true;
+    startGame(game);
+    for (let i = 0; i < 200; i++) game.update(0.016);
+    assert.equal(game.gameState, 'PLAYING');
+
+    game.setSpectatorWantsToPlay('s1', true);
+    assert.equal(game.players.has('s1'), false, 'No promotion mid-round');
+
+    game.triggerScore(3, 0);
+    for (let i = 0; i < 160; i++) game.update(0.016); // Celebration ends
+
+    assert.equal(game.players.get('s1'), 1, 'Spectator should be seated once the round is over');
+    assert.equal(game.gameState, 'SCORING', 'New player is not ready, so no auto-start');
+
+    console.log('✅ Passed: Promotion happens between rounds only.');
+}
+
+function testFixedTickDecoupledFromSnapshots() {
+    console.log('\nTest: Fixed Physics Tick Decoupled From Snapshot Rate');
+    const game = new ServerGame(mockIo, 'test_room_tick', { tickRate: 120, snapshotRate: 20 });
+    let updates = 0;
+    let broadcasts = 0;
+    const steps = [];
+    game.update = (dt) => { updates++; steps.push(dt); };
+    game.broadcastState = () => { broadcasts++; };
+    game.running = true;
+
+    // 100ms of wall time arriving as one late timer callback
+    game.lastTime = performance.now() - 100;
+    game.loop();
+
+    assert.ok(updates >= 11 && updates <= 12, `Expected ~12 fixed steps, got ${updates}`);
+    assert.ok(steps.every(dt => dt === 1 / 120), 'Every physics step uses the fixed tick size');
+    assert.equal(broadcasts, 1, 'Late tick still sends a single snapshot');
+
+    // A short tick below the snapshot interval simulates but does not broadcast
+    game.snapshotTimer = 0;
+    game.lastTime = performance.now() - 10;
+    game.loop();
+    assert.equal(broadcasts, 1, 'No snapshot before the snapshot interval elapses');
+
+    console.log('✅ Passed: Physics steps at tickRate, snapshots at snapshotRate.');
+}
+
+// Elimination ruleset
+
+function testCoopTracksHitsPerEdge() {
+    const io = createMockIo();
+    const game = new ServerGame(io, 'COOP');
+    game.addPlayer('p1');
+    game.addPlayer('p2');
+    startRound(game);
+
+    game.onPaddleHit(0);
+    game.onPaddleHit(1);
+    game.onPaddleHit(1);
+    assert.equal(game.score, 3, 'Shared score still counts every hit');
+
+    const { edgeStats } = game.getState();
+    assert.deepEqual(edgeStats[0], { hits: 1, lives: null });
+    assert.deepEqual(edgeStats[1], { hits: 2, lives: null });
+
+    game.onGoal(0);
+    assert.equal(game.gameState, 'SCORING', 'In co-op any goal ends the round');
+    console.log('✅ Co-op keeps its shared score and reports hits per edge');
+}
+
+function testGoalCostsALife() {
+    const io = createMockIo();
+    const game = new ServerGame(io, 'ELIM1', { ruleset: 'elimination' });
+    game.addPlayer('p1');
+    game.addPlayer('p2');
+    startRound(game);
+    game.ball.x = 100;
+
+    game.onGoal(1);
+    assert.equal(game.lives.get(1), GAME_CONSTANTS.STARTING_LIVES - 1);
+    assert.equal(game.gameState, 'COUNTDOWN', 'Round continues after a short serve delay');
+    assert.equal(game.countdownTimer, GAME_CONSTANTS.SERVE_DELAY);
+    assert.equal(game.ball.x, 0, 'Ball is re-served from the centre');
+    assert.equal(game.paddles.length, 2, 'Nobody is out yet');
+
+    const event = io.events.find(e => e.name === 'gameEvent' && e.data.type === 'lifeLost');
+    assert.deepEqual(event.data, { type: 'lifeLost', edgeIndex: 1, lives: GAME_CONSTANTS.STARTING_LIVES - 1, eliminated: false, ballId: 0 });
+    assert.equal(game.getState().edgeStats[1].lives, GAME_CONSTANTS.STARTING_LIVES - 1);
+    console.log('✅ A goal costs the edge owner one life');
+}
+
+function testEliminationAndWinner() {
+    const io = createMockIo();
+    const game = new ServerGame(io, 'ELIM2', { ruleset: 'elimination' });
+    game.addPlayer('p1');
+    game.addPlayer('p2');
+    game.addPlayer('p3');
+    startRound(game);
+
+    for (let i = 0; i < GAME_CONSTANTS.STARTING_LIVES; i++) {
+        game.gameState = 'PLAYING';
+        game.onGoal(2);
+    }
+    assert.deepEqual(game.paddles.map(p => p.edgeIndex).sort(), [0, 1], 'Eliminated paddle is removed');
+    assert.deepEqual(game.getState().eliminatedEdges, [2]);
+    assert.equal(game.findFreeEdge(), 3, 'An eliminated player keeps their edge');
+
+    for (let i = 0; i < GAME_CONSTANTS.STARTING_LIVES; i++) {
+        game.gameState = 'PLAYING';
+        game.onGoal(0);
+    }
+    assert.equal(game.gameState, 'SCORING', 'Round ends with one paddle left');
+    assert.equal(game.winnerEdge, 1);
+    const goal = io.events.filter(e => e.name === 'gameEvent' && e.data.type === 'goal').pop();
+    assert.equal(goal.data.winnerEdge, 1, 'Round end announces the winner');
+    assert.equal(goal.data.edgeIndex, 0, 'Goal event still names the edge that conceded');
+    console.log('✅ Out of lives means out; last paddle standing wins');
+}
+
+function testNextRoundRestoresEdges() {
+    const io = createMockIo();
+    const game = new ServerGame(io, 'ELIM3', { ruleset: 'elimination' });
+    game.addPlayer('p1');
+    game.addPlayer('p2');
+    startRound(game);
+    game.onPaddleHit(0);
+    for (let i = 0; i < GAME_CONSTANTS.STARTING_LIVES; i++) {
+        game.gameState = 'PLAYING';
+        game.onGoal(1);
+    }
+    assert.equal(game.winnerEdge, 0);
+    game.celebrationTimer = 0;
+
+    game.readyEdges.clear();
+    game.toggleReady('p1', true);
+    game.toggleReady('p2', true);
+    assert.equal(game.gameState, 'COUNTDOWN');
+    assert.deepEqual(game.paddles.map(p => p.edgeIndex).sort(), [0, 1], 'Knocked-out player is back in');
+    assert.equal(game.eliminatedEdges.size, 0);
+    assert.equal(game.winnerEdge, null);
+    assert.equal(game.lives.get(1), GAME_CONSTANTS.STARTING_LIVES);
+    assert.equal(game.getState().edgeStats[0].hits, 0, 'Hits reset every round');
+    console.log('✅ A new round restores eliminated edges, lives and hits');
+}
+
+function testEliminatedBotsStayOut() {
+    const io = createMockIo();
+    const game = new ServerGame(io, 'ELIM4', { ruleset: 'elimination', botDifficulty: 'easy' });
+    game.addPlayer('p1');
+    startRound(game);
+    game.resetGame();
+    game.gameState = 'PLAYING';
+
+    for (let i = 0; i < GAME_CONSTANTS.STARTING_LIVES; i++) {
+        game.gameState = 'PLAYING';
+        game.onGoal(3);
+    }
+    assert.equal(game.bots.has(3), false, 'Eliminated bot is gone');
+    game.fillBots();
+    assert.equal(game.paddles.some(p => p.edgeIndex === 3), false, 'No new bot replaces it mid-round');
+    console.log('✅ Eliminated bots are not replaced until the next round');
+}
+
+function testLeavingCountsAsElimination() {
+    const io = createMockIo();
+    const game = new ServerGame(io, 'ELIM5', { ruleset: 'elimination', reconnectGraceMs: 0 });
+    game.addPlayer('p1');
+    game.addPlayer('p2');
+    startRound(game);
+
+    game.disconnectPlayer('p2');
+    assert.notEqual(game.gameState, 'TERMINATED', 'Elimination rounds are not terminated by a leaver');
+    assert.equal(game.gameState, 'SCORING');
+    assert.equal(game.winnerEdge, 0, 'Remaining player wins');
+    console.log('✅ Leaving an elimination round knocks you out instead of ending the game');
+}
+
+function testRulesetSetting() {
+    const game = new ServerGame(createMockIo(), 'ELIM6');
+    assert.equal(game.ruleset, 'coop', 'Co-op is the default');
+    assert.equal(game.setRuleset('battle-royale'), false, 'Unknown rulesets are rejected');
+    assert.equal(game.setRuleset('elimination'), true);
+    assert.equal(game.getSummary().ruleset, 'elimination');
+
+    game.addPlayer('p1');
+    startRound(game);
+    assert.equal(game.setRuleset('coop'), false, 'Ruleset is locked during a round');
+    console.log('✅ Ruleset is validated and only changes between rounds');
+}
+
+// Multi-ball
+
+// Put a ball just inside the middle of an edge, heading out through it
+function aimAtEdge(game, ball, edgeIndex) {
+    const p1 = game.polygon.vertices[edgeIndex];
+    const p2 = game.polygon.vertices[(edgeIndex + 1) % game.polygon.sides];
+    const mx = (p1.x + p2.x) / 2;
+    const my = (p1.y + p2.y) / 2;
+    const len = Math.sqrt(mx * mx + my * my);
+    ball.x = mx - (mx / len) * 5;
+    ball.y = my - (my / len) * 5;
+    ball.vx = (mx / len) * 300;
+    ball.vy = (my / len) * 300;
+}
+
+function testSpawnThresholds() {
+    const io = createMockIo();
+    const game = new ServerGame(io, 'MB1', { multiBall: true });
+    game.addPlayer('p1');
+    startRound(game);
+
+    game.updateGameRules(0.01);
+    assert.equal(game.balls.length, 1, 'Rally starts with one ball');
+
+    game.score = GAME_CONSTANTS.MULTIBALL_SCORE_STEP;
+    game.updateGameRules(0.01);
+    assert.equal(game.balls.length, 2, 'Score threshold adds a ball');
+    assert.ok(io.events.some(e => e.name === 'gameEvent' && e.data.type === 'ballSpawned'));
+
+    game.timeElapsed = GAME_CONSTANTS.MULTIBALL_TIME_STEP;
+    game.updateGameRules(0.01);
+    assert.equal(game.balls.length, 3, 'Time threshold adds a ball');
+
+    game.score = GAME_CONSTANTS.MULTIBALL_SCORE_STEP * 10;
+    game.updateGameRules(0.01);
+    assert.equal(game.balls.length, GAME_CONSTANTS.MULTIBALL_MAX_BALLS, 'Ball count is capped');
+    assert.equal(new Set(game.balls.map(b => b.id)).size, game.balls.length, 'Every ball has its own id');
+
+    game.resetBall();
+    assert.deepEqual(game.balls.map(b => b.id), [0], 'New rally goes back to one ball');
+    console.log('✅ Extra balls spawn at score and time thresholds, up to the cap');
+}
+
+function testOffByDefault() {
+    const game = new ServerGame(createMockIo(), 'MB2');
+    game.addPlayer('p1');
+    startRound(game);
+    game.score = GAME_CONSTANTS.MULTIBALL_SCORE_STEP * 3;
+    game.updateGameRules(0.01);
+    assert.equal(game.balls.length, 1);
+    console.log('✅ Multi-ball is off unless the room asks for it');
+}
+
+function testBallsCollideIndependently() {
+    const game = new ServerGame(createMockIo(), 'MB3', { multiBall: true });
+    game.addPlayer('p1'); // Edge 0, every other edge is a wall
+    startRound(game);
+
+    const wallBall = game.spawnBall();
+    const paddleBall = game.ball;
+    aimAtEdge(game, wallBall, 2);
+    aimAtEdge(game, paddleBall, 0);
+    const before = { vx: wallBall.vx, vy: wallBall.vy };
+
+    game.checkCollisions(wallBall.x, wallBall.y, wallBall);
+    assert.ok(wallBall.vx * before.vx + wallBall.vy * before.vy < 0, 'Wall reflects the ball that hit it');
+    assert.equal(game.score, 0, 'Wall bounces do not score');
+
+    game.checkCollisions(paddleBall.x, paddleBall.y, paddleBall);
+    assert.equal(game.score, 1, 'Paddle hit by the other ball scores');
+    assert.equal(game.hits.get(0), 1);
+    console.log('✅ Each ball bounces on its own');
+}
+
+function testStateCarriesEveryBall() {
+    const game = new ServerGame(createMockIo(), 'MB4', { multiBall: true });
+    game.addPlayer('p1');
+    game.spawnBall();
+
+    const state = game.getState();
+    assert.equal(state.multiBall, true);
+    assert.equal(state.balls.length, 2);
+    assert.deepEqual(Object.keys(state.balls[1]).sort(), ['id', 'spin', 'vx', 'vy', 'x', 'y']);
+    assert.deepEqual(state.ball, { x: game.ball.x, y: game.ball.y, vx: game.ball.vx, vy: game.ball.vy, spin: game.ball.spin },
+        'Single `ball` kept for older clients');
+    console.log('✅ State serializes a balls array');
+}
+
+function testEliminationDropsScoringBall() {
+    const game = new ServerGame(createMockIo(), 'MB5', { ruleset: 'elimination', multiBall: true });
+    game.addPlayer('p1');
+    game.addPlayer('p2');
+    startRound(game);
+    const extra = game.spawnBall();
+
+    game.onGoal(1, extra);
+    assert.equal(game.lives.get(1), GAME_CONSTANTS.STARTING_LIVES - 1);
+    assert.equal(game.gameState, 'PLAYING', 'Rally goes on while another ball is in play');
+    assert.deepEqual(game.balls.map(b => b.id), [0], 'Scoring ball left the arena');
+
+    game.onGoal(1, game.ball);
+    assert.equal(game.gameState, 'COUNTDOWN', 'Last ball out re-serves as usual');
+    console.log('✅ Elimination removes the ball that scored');
+}
+
+function testMultiBallSettingLockedDuringRound() {
+    const game = new ServerGame(createMockIo(), 'MB6');
+    assert.equal(game.setMultiBall('yes'), false, 'Only booleans are accepted');
+    assert.equal(game.setMultiBall(true), true);
+    assert.equal(game.getSummary().multiBall, true);
+
+    game.addPlayer('p1');
+    startRound(game);
+    assert.equal(game.setMultiBall(false), false, 'Setting is locked during a round');
+    assert.equal(game.multiBall, true);
+    console.log('✅ Multi-ball setting only changes between rounds');
+}
+
+// Power-ups
+
+function createPowerUpGame(io = createMockIo(), options = {}) {
+    const game = new ServerGame(io, 'PU', { powerUps: true, ...options });
+    game.addPlayer('p1');
+    game.addPlayer('p2');
+    startRound(game);
+    return game;
+}
+
+// Send the ball through a pickup, last touched by edgeIndex
+function collect(game, type, edgeIndex) {
+    const powerUp = game.spawnPowerUp(type, { x: 0, y: 0 });
+    game.ball.x = 0;
+    game.ball.y = 0;
+    game.ball.lastHitEdge = edgeIndex;
+    game.checkPowerUpPickups(game.ball);
+    return powerUp;
+}
+
+function testSpawning() {
+    const game = createPowerUpGame();
+    game.updateGameRules(GAME_CONSTANTS.POWERUP_INTERVAL - 0.5);
+    assert.equal(game.powerUps.length, 0, 'Nothing before the first interval');
+
+    game.updateGameRules(0.5);
+    assert.equal(game.powerUps.length, 1, 'First pickup after one interval');
+    assert.ok(POWERUP_TYPES[game.powerUps[0].type]);
+
+    for (let i = 0; i < 5; i++) game.updateGameRules(GAME_CONSTANTS.POWERUP_INTERVAL / 2);
+    assert.ok(game.powerUps.length <= GAME_CONSTANTS.POWERUP_MAX, 'Pickups are capped');
+
+    game.updateGameRules(GAME_CONSTANTS.POWERUP_LIFETIME);
+    game.updateGameRules(0.01);
+    assert.ok(game.powerUps.every(p => p.expiresAt > game.timeElapsed), 'Old pickups disappear');
+
+    const off = new ServerGame(createMockIo(), 'PU_OFF');
+    off.addPlayer('p1');
+    startRound(off);
+    off.updateGameRules(GAME_CONSTANTS.POWERUP_INTERVAL * 3);
+    off.updateGameRules(0.01);
+    assert.equal(off.powerUps.length, 0, 'No pickups unless the room turns them on');
+    console.log('✅ Pickups spawn on an interval, up to a cap, and expire');
+}
+
+function testSpawnPointsInsideArena() {
+    const game = createPowerUpGame();
+    const inradius = game.polygon.radius * Math.cos(Math.PI / game.polygon.sides);
+    for (let i = 0; i < 50; i++) {
+        const { x, y } = randomArenaPoint(game.polygon);
+        assert.ok(Math.sqrt(x * x + y * y) < inradius);
+    }
+    console.log('✅ Pickups are placed inside the polygon');
+}
+
+function testCreditsLastHitter() {
+    const io = createMockIo();
+    const game = createPowerUpGame(io);
+
+    game.spawnPowerUp('wide', { x: 0, y: 0 });
+    game.ball.x = 0;
+    game.ball.y = 0;
+    game.checkPowerUpPickups(game.ball);
+    assert.equal(game.powerUps.length, 1, 'An untouched ball passes through');
+
+    game.ball.lastHitEdge = 1;
+    game.checkPowerUpPickups(game.ball);
+    assert.equal(game.powerUps.length, 0);
+    assert.ok(game.hasEffect('wide', 1), 'Effect goes to the last paddle that touched the ball');
+
+    const event = io.events.find(e => e.name === 'gameEvent' && e.data.type === 'powerUp');
+    assert.deepEqual(event.data, { type: 'powerUp', powerUp: 'wide', edgeIndex: 1, x: 0, y: 0 });
+    console.log('✅ Pickups credit the last paddle to touch the ball');
+}
+
+function testWideAndExpiry() {
+    const game = createPowerUpGame();
+    collect(game, 'wide', 0);
+    game.updateGameRules(0.01);
+    const [mine, theirs] = game.paddles;
+    assert.ok(mine.width > theirs.width * 1.5, 'Collector gets the wider paddle');
+
+    game.updateGameRules(POWERUP_TYPES.wide.duration);
+    game.updateGameRules(0.01);
+    assert.equal(game.hasEffect('wide'), false, 'Effect runs out');
+    assert.equal(mine.width, theirs.width);
+
+    collect(game, 'wide', 0);
+    collect(game, 'wide', 0);
+    assert.equal(game.effects.length, 1, 'Collecting again refreshes instead of stacking');
+    console.log('✅ Wide paddle lasts for its duration');
+}
+
+function testSlowBall() {
+    const game = createPowerUpGame();
+    game.updateGameRules(0.01);
+    const normal = Math.sqrt(game.ball.vx ** 2 + game.ball.vy ** 2);
+
+    collect(game, 'slow', 0);
+    game.updateGameRules(0.01);
+    const slowed = Math.sqrt(game.ball.vx ** 2 + game.ball.vy ** 2);
+    assert.ok(Math.abs(slowed - normal * GAME_CONSTANTS.POWERUP_SLOW_FACTOR) < 1, `Expected slower ball, got ${slowed} vs ${normal}`);
+    console.log('✅ Slow ball brakes every ball');
+}
+
+function testShield() {
+    const game = createPowerUpGame();
+    collect(game, 'shield', 1);
+    game.paddles[1].position = 0.9; // Out of the way
+
+    // Ball heading straight out through the middle of edge 1
+    const p1 = game.polygon.vertices[1];
+    const p2 = game.polygon.vertices[2];
+    const mx = (p1.x + p2.x) / 2;
+    const my = (p1.y + p2.y) / 2;
+    const len = Math.sqrt(mx * mx + my * my);
+    game.ball.x = mx * 0.98;
+    game.ball.y = my * 0.98;
+    game.ball.vx = (mx / len) * 300;
+    game.ball.vy = (my / len) * 300;
+
+    game.checkCollisions(game.ball.x, game.ball.y, game.ball);
+    assert.equal(game.score, 0, 'Missed the paddle');
+    assert.equal(game.gameState, 'PLAYING', 'Shielded edge does not concede');
+    assert.ok(game.ball.vx * mx + game.ball.vy * my < 0, 'Ball bounces back in');
+    console.log('✅ Shield turns the edge into a wall');
+}
+
+function testReversedControls() {
+    const game = createPowerUpGame();
+    collect(game, 'reverse', 0);
+    game.updateGameRules(0.01);
+
+    const [mine, theirs] = game.paddles;
+    mine.position = 0.5;
+    theirs.position = 0.5;
+    mine.move(1, 0.1);
+    theirs.move(1, 0.1);
+    assert.ok(mine.position > 0.5, 'Collector keeps normal controls');
+    assert.ok(theirs.position < 0.5, 'Opponents move the other way');
+
+    const withBots = createPowerUpGame(createMockIo(), { botDifficulty: 'normal' });
+    collect(withBots, 'reverse', 0);
+    withBots.updateGameRules(0.01);
+    const bot = withBots.paddles.find(p => p.isBot);
+    assert.ok(bot && !bot.reversed, 'Bots keep steering the right way');
+    console.log('✅ Reverse flips everyone else\'s controls');
+}
+
+function testExtraBallAndState() {
+    const game = createPowerUpGame();
+    collect(game, 'extraBall', 0);
+    assert.equal(game.balls.length, 2, 'Extra ball joins the rally');
+    assert.equal(game.effects.length, 0, 'Extra ball has no lasting effect');
+
+    collect(game, 'shield', 0);
+    game.spawnPowerUp('slow', { x: 10, y: 20 });
+    const state = game.getState();
+    assert.equal(state.powerUpsEnabled, true);
+    assert.deepEqual(state.powerUps.map(p => [p.type, p.x, p.y]), [['slow', 10, 20]]);
+    assert.equal(state.effects[0].type, 'shield');
+    assert.equal(state.effects[0].edgeIndex, 0);
+
+    game.resetGame();
+    assert.equal(game.powerUps.length + game.effects.length, 0, 'New round starts clean');
+    console.log('✅ Extra ball spawns and pickups/effects are in the state');
+}
+
+function testPowerUpSettingLockedDuringRound() {
+    const game = new ServerGame(createMockIo(), 'PU_SET');
+    assert.equal(game.setPowerUps('on'), false, 'Only booleans are accepted');
+    assert.equal(game.setPowerUps(true), true);
+    assert.equal(game.getSummary().powerUps, true);
+
+    game.addPlayer('p1');
+    startRound(game);
+    assert.equal(game.setPowerUps(false), false, 'Setting is locked during a round');
+    console.log('✅ Power-up setting only changes between rounds');
+}
+
+// Room rules
+
+function testResolveRules() {
+    assert.deepEqual(resolveRules(), DEFAULT_RULES, 'Defaults when nothing is given');
+    assert.equal(DEFAULT_RULES.ballSpeedBase, GAME_CONSTANTS.BALL_SPEED_BASE);
+    assert.equal(DEFAULT_RULES.paddleWidthStart, GAME_CONSTANTS.PADDLE_WIDTH_START);
+
+    const rules = resolveRules({
+        ballSpeedBase: 300,
+        countdownDuration: '5',
+        rotationSpeedBase: 99,
+        difficultyRamp: 'fast',
+        paddleWidthMin: null,
+        gravity: 9.8
+    });
+    assert.equal(rules.ballSpeedBase, 300);
+    assert.equal(rules.countdownDuration, 5, 'Numeric strings are accepted');
+    assert.equal(rules.rotationSpeedBase, RULE_LIMITS.rotationSpeedBase.max, 'Out of range values are clamped');
+    assert.equal(rules.difficultyRamp, DEFAULT_RULES.difficultyRamp, 'Garbage falls back to the default');
+    assert.equal(rules.paddleWidthMin, DEFAULT_RULES.paddleWidthMin);
+    assert.equal('gravity' in rules, false, 'Unknown rules are dropped');
+    assert.deepEqual(resolveRules('fast'), DEFAULT_RULES);
+    console.log('✅ Rules are validated, clamped and completed');
+}
+
+function testGameUsesRules() {
+    const game = new ServerGame(createMockIo(), 'RU1', {
+        rules: { ballSpeedBase: 150, countdownDuration: 5, rotationSpeedBase: 0, paddleWidthStart: 0.7, ballSpeedIncrease: 1 }
+    });
+    game.addPlayer('p1');
+    game.resetGame();
+
+    assert.equal(game.countdownTimer, 5, 'Countdown length');
+    assert.ok(game.polygon.rotationSpeed === 0, 'Rotation speed');
+    assert.equal(game.paddles[0].width, 0.7, 'Paddle width between rounds');
+    assert.ok(Math.abs(Math.sqrt(game.ball.vx ** 2 + game.ball.vy ** 2) - 150) < 1e-9, 'Serve speed');
+
+    game.ball.vx = 100;
+    game.ball.vy = 0;
+    const p1 = game.polygon.vertices[1];
+    const p2 = game.polygon.vertices[2];
+    game.reflectBall(p1, p2, game.ball);
+    assert.ok(Math.abs(Math.sqrt(game.ball.vx ** 2 + game.ball.vy ** 2) - 100) < 1e-9, 'No speed-up per bounce');
+
+    game.onCelebrationEnd();
+    assert.equal(game.paddles[0].width, 0.7, 'Celebration end also uses the rule');
+    console.log('✅ Server simulation runs on the room\'s rules');
+}
+
+function testDifficultyRules() {
+    const game = new ServerGame(createMockIo(), 'RU2', {
+        rules: { difficultyRamp: 30, paddleWidthBase: 0.6, paddleWidthMin: 0.3, paddleWidthDifficultyFactor: 1 }
+    });
+    game.addPlayer('p1');
+    game.resetGame();
+    game.gameState = 'PLAYING';
+
+    game.updateGameRules(30);
+    assert.equal(game.difficulty, 2, 'Difficulty ramps at the room\'s pace');
+    assert.equal(game.paddles[0].width, 0.3, 'Paddle shrinks to the room\'s minimum');
+    console.log('✅ Difficulty and paddle width follow the rules');
+}
+
+function testDefaultsForOldRooms() {
+    const game = new ServerGame(createMockIo(), 'RU3');
+    assert.deepEqual(game.rules, DEFAULT_RULES);
+    console.log('✅ Rooms without rules play as before');
+}
+
+// Pausing
+
+function createPauseGame(playerCount) {
+    const game = new ServerGame(createMockIo(), 'PA');
+    for (let i = 1; i <= playerCount; i++) game.addPlayer(`p${i}`);
+    startRound(game);
+    return game;
+}
+
+function testPauseFreezesAndResumesThroughCountdown() {
+    const game = createPauseGame(1);
+    game.update(0.1);
+    const ball = { x: game.ball.x, y: game.ball.y, vx: game.ball.vx, vy: game.ball.vy };
+    const { rotation } = game.polygon;
+    const { timeElapsed } = game;
+
+    assert.equal(game.votePause('p1', true), true);
+    assert.equal(game.gameState, 'PAUSED');
+    game.handleInput('p1', 1, 1, 0.1);
+    game.update(0.5);
+    assert.deepEqual({ x: game.ball.x, y: game.ball.y, vx: game.ball.vx, vy: game.ball.vy }, ball, 'Ball is frozen');
+    assert.equal(game.polygon.rotation, rotation, 'Arena stops turning');
+    assert.equal(game.timeElapsed, timeElapsed, 'Round clock stops');
+    assert.equal(game.paddles[0].position, 0.5, 'Inputs are ignored');
+    assert.equal(game.setMultiBall(true), false, 'Settings stay locked while paused');
+
+    assert.equal(game.votePause('p1', false), true);
+    assert.equal(game.gameState, 'COUNTDOWN');
+    assert.equal(game.countdownTimer, game.rules.countdownDuration);
+    assert.deepEqual({ x: game.ball.x, y: game.ball.y }, { x: ball.x, y: ball.y }, 'Rally carries on from where it was');
+    console.log('✅ Pausing freezes the round and resuming counts down');
+}
+
+function testVotesNeedMajority() {
+    const game = createPauseGame(3); // p1 hosts
+    assert.equal(game.votePause('p2', true, 0), false, 'One vote of three is not enough');
+    assert.deepEqual(game.getState().pauseVote, { action: 'pause', votes: 1, needed: 2 });
+    assert.equal(game.votePause('p2', true, 0), false, 'Voting twice counts once');
+    assert.equal(game.votePause('p3', true, 0), true);
+    assert.equal(game.gameState, 'PAUSED');
+    assert.equal(game.pausedByEdge, 1, 'The pause belongs to whoever asked first');
+    assert.equal(game.getState().pausesLeft[1], GAME_CONSTANTS.PAUSES_PER_PLAYER - 1);
+    assert.equal(game.getState().pausesLeft[2], GAME_CONSTANTS.PAUSES_PER_PLAYER);
+
+    assert.equal(game.votePause('p3', false, 0), false, 'Resuming someone else\'s pause is a vote too');
+    assert.equal(game.votePause('p2', false, 0), true, 'Whoever paused can resume');
+
+    startRound(game);
+    assert.equal(game.votePause('p3', true, 0), false);
+    assert.equal(game.votePause('p2', true, GAME_CONSTANTS.PAUSE_VOTE_SECONDS * 1000), false, 'Old votes expire');
+    assert.equal(game.pauseVote.startedBy, 1);
+    console.log('✅ Non-host pauses and resumes need a majority vote');
+}
+
+function testHostAndLimits() {
+    const game = createPauseGame(2);
+    for (let i = 0; i < GAME_CONSTANTS.PAUSES_PER_PLAYER; i++) {
+        assert.equal(game.votePause('p1', true), true, 'Host pauses at once');
+        assert.equal(game.votePause('p1', false), true);
+        startRound(game);
+    }
+    assert.equal(game.votePause('p1', true), false, 'Out of pauses');
+    assert.equal(game.pauseVote, null);
+
+    assert.equal(game.votePause('p2', true), false);
+    assert.equal(game.votePause('p1', true), true, 'Can still back someone else\'s vote');
+    assert.equal(game.pausedByEdge, 1);
+
+    game.resetGame();
+    assert.equal(game.getPausesLeft(0), GAME_CONSTANTS.PAUSES_PER_PLAYER, 'Pauses come back each round');
+
+    const spectated = createPauseGame(1);
+    spectated.addSpectator('watcher');
+    assert.equal(spectated.votePause('watcher', true), false, 'Spectators have no say');
+    spectated.gameState = 'SCORING';
+    assert.equal(spectated.votePause('p1', true), false, 'Nothing to pause between rounds');
+    console.log('✅ The host decides alone, and pauses are limited per round');
+}
+
+function testLongPauseResumesByItself() {
+    const game = createPauseGame(1);
+    game.votePause('p1', true);
+    for (let t = 0; t < GAME_CONSTANTS.PAUSE_MAX_SECONDS - 1; t++) game.update(1);
+    assert.equal(game.gameState, 'PAUSED');
+    assert.ok(game.getState().pauseTimeLeft <= 1);
+    game.update(1);
+    assert.equal(game.gameState, 'COUNTDOWN');
+    console.log('✅ An abandoned pause ends on its own');
+}
+
+testFixedTickDecoupledFromSnapshots();
 testSixthPlayerBecomesSpectator();
+testExplicitSpectatorJoin();
+testSpectatorCountBroadcast();
+testQueuedSpectatorPromotedWhenEdgeFrees();
+testSpectatorNotPromotedMidRound();
 testSpectatorDoesNotGetPaddle();
 testSpectatorReceivesGameState();
 testMultipleSpectators();
 testSpectatorAfterPlayerLeaves();
 testSpectatorCannotControlPaddle();
+testCoopTracksHitsPerEdge();
+testGoalCostsALife();
+testEliminationAndWinner();
+testNextRoundRestoresEdges();
+testEliminatedBotsStayOut();
+testLeavingCountsAsElimination();
+testRulesetSetting();
+testSpawnThresholds();
+testOffByDefault();
+testBallsCollideIndependently();
+testStateCarriesEveryBall();
+testEliminationDropsScoringBall();
+testMultiBallSettingLockedDuringRound();
+testSpawning();
+testSpawnPointsInsideArena();
+testCreditsLastHitter();
+testWideAndExpiry();
+testSlowBall();
+testShield();
+testReversedControls();
+testExtraBallAndState();
+testPowerUpSettingLockedDuringRound();
+testResolveRules();
+testGameUsesRules();
+testDifficultyRules();
+testDefaultsForOldRooms();
+testPauseFreezesAndResumesThroughCountdown();
+testVotesNeedMajority();
+testHostAndLimits();
+testLongPauseResumesByItself();
 
 console.log('--- All Gameplay Tests Passed ---');
@@ -0,0 +1,26 @@
+// Fixtures shared by the tests that drive a ServerGame directly
+
+/**
+ * Stand-in for the socket.io server that records everything the game emits.
+ * @returns {{ events: { target: string, name: string, data: any }[], to: Function }}
+ */
+export function createMockIo() {
+    const events = [];
+    return {
+        events,
+        to: (target) => ({ emit: (name, data) => events.push({ target, name, data }) })
+    };
+}
+
+/**
+ * Ready everyone up and put the ball in play, skipping the countdown.
+ * @param {import('../server/ServerGame.js').ServerGame} game
+ */
+export function startRound(game) {
+    for (const socketId of game.players.keys()) {
+        game.toggleReady(socketId, true);
+    }
+    game.running = true;
+    game.gameState = 'PLAYING';
+    game.countdownTimer = 0;
+}
@@ -0,0 +1,84 @@
+import { strict as assert } from 'assert';
+import { Polygon } from '../src/game/Polygon.js';
+import { Paddle } from '../src/game/Paddle.js';
+import { HOTSEAT_KEYS, HOTSEAT_MAX_PLAYERS, assignHotSeatEdges, keyDirection, touchDirection, touchedPaddle } from '../src/game/HotSeat.js';
+
+console.log('--- Starting Hot-Seat Tests ---');
+
+function edgeMidpoint(polygon, edgeIndex) {
+    const p1 = polygon.vertices[edgeIndex];
+    const p2 = polygon.vertices[(edgeIndex + 1) % polygon.vertices.length];
+    return { x: (p1.x + p2.x) / 2, y: (p1.y + p2.y) / 2 };
+}
+
+function testSeatAssignment() {
+    assert.deepEqual(assignHotSeatEdges([0, 1, 2, 3, 4], 2), [0, 2], 'Two players sit apart');
+    assert.deepEqual(assignHotSeatEdges([0, 1, 2, 3, 4], 5), [0, 1, 2, 3, 4]);
+    assert.deepEqual(assignHotSeatEdges([0, 2, 4], 5), [0, 2, 4], 'No more seats than playable edges');
+    assert.deepEqual(assignHotSeatEdges([1, 3], 2), [1, 3], 'Walls are skipped');
+    console.log('✅ Players are spread over the playable edges');
+}
+
+function testKeyPairs() {
+    assert.equal(HOTSEAT_KEYS.length, HOTSEAT_MAX_PLAYERS, 'A key pair for every seat');
+    const codes = HOTSEAT_KEYS.flatMap(k => [k.left, k.right]);
+    assert.equal(new Set(codes).size, codes.length, 'No key is shared between seats');
+
+    const [first, second] = HOTSEAT_KEYS;
+    assert.equal(keyDirection({}, first), 0);
+    assert.equal(keyDirection({ KeyA: true }, first), -1);
+    assert.equal(keyDirection({ KeyA: true, KeyD: true }, first), 1, 'Right wins, as in single-player');
+    assert.equal(keyDirection({ KeyA: true }, second), 0, 'Other seats ignore your keys');
+    console.log('✅ Each seat has its own key pair');
+}
+
+function testTouchRegions() {
+    const polygon = new Polygon(250, 5);
+    const paddles = assignHotSeatEdges(polygon.getPlayableEdges(), 3).map((edge, seat) => {
+        const paddle = new Paddle(edge);
+        paddle.seat = seat;
+        return paddle;
+    });
+
+    paddles.forEach(paddle => {
+        const mid = edgeMidpoint(polygon, paddle.edgeIndex);
+        const near = { x: mid.x * 0.8, y: mid.y * 0.8 };
+        assert.equal(touchedPaddle(polygon, paddles, near), paddle, `Touch near edge ${paddle.edgeIndex} moves its paddle`);
+    });
+    assert.equal(touchedPaddle(polygon, [], { x: 0, y: 0 }), null);
+
+    polygon.rotation += Math.PI;
+    polygon.updateVertices();
+    const turned = edgeMidpoint(polygon, paddles[0].edgeIndex);
+    assert.equal(touchedPaddle(polygon, paddles, turned), paddles[0], 'Regions turn with the arena');
+    console.log('✅ Touches go to the nearest player\'s paddle');
+}
+
+function testTouchDirection() {
+    const polygon = new Polygon(250, 5);
+    const paddle = new Paddle(0);
+    const p1 = polygon.vertices[0];
+    const p2 = polygon.vertices[1];
+    const at = t => ({ x: p1.x + (p2.x - p1.x) * t, y: p1.y + (p2.y - p1.y) * t });
+
+    assert.equal(touchDirection(polygon, paddle, at(0.9)), 1, 'Finger towards the end of the edge');
+    assert.equal(touchDirection(polygon, paddle, at(0.1)), -1, 'Finger towards the start');
+    assert.equal(touchDirection(polygon, paddle, at(0.5)), 0, 'Finger on the paddle holds still');
+
+    // Follows the finger until it's underneath
+    const target = at(0.8);
+    for (let i = 0; i < 120; i++) paddle.move(touchDirection(polygon, paddle, target), 1 / 60);
+    assert.ok(Math.abs(paddle.position - 0.8) < 0.03, 'Paddle settles under the finger');
+    console.log('✅ Paddles follow their player\'s finger along the edge');
+}
+
+try {
+    testSeatAssignment();
+    testKeyPairs();
+    testTouchRegions();
+    testTouchDirection();
+    console.log('--- All Hot-Seat Tests Passed ---');
+} catch (err) {
+    console.error('Hot-seat tests failed:', err);
+    process.exit(1);
+}
@@ -0,0 +1,158 @@
+import { ServerGame } from '../server/ServerGame.js';
+import { strict as assert } from 'assert';
+
+// Mock IO
+const mockIo = {
+    to: () => ({ emit: () => { } })
+};
+
+console.log('--- Starting Input Sequence Tests ---');
+
+function setupPlaying() {
+    const game = new ServerGame(mockIo, 'seq_room');
+    game.addPlayer('p1');
+    game.toggleReady('p1', true);
+    game.ball.vx = 0;
+    game.ball.vy = 0;
+    for (let i = 0; i < 200; i++) game.update(0.016);
+    assert.equal(game.gameState, 'PLAYING');
+    return { game, paddle: game.paddles[0] };
+}
+
+function testSequencedInputIsAppliedAndAcked() {
+    console.log('Test: Sequenced Input Applied And Acknowledged');
+    const { game, paddle } = setupPlaying();
+    paddle.position = 0.5;
+
+    game.handleInput('p1', 1, 1, 0.05);
+    assert.equal(paddle.lastInputSeq, 1, 'Server should record the processed sequence');
+    assert.ok(Math.abs(paddle.position - 0.55) < 1e-9, 'Input should move paddle by dir * dt');
+    assert.equal(paddle.moveDirection, 0, 'Sequenced input should not leave a held direction');
+
+    let capturedState = null;
+    game.io = { to: () => ({ emit: (event, data) => { if (event === 'gameState') capturedState = data; } }) };
+    game.broadcastState();
+    assert.equal(capturedState.paddles[0].lastInputSeq, 1, 'Ack should be echoed in gameState');
+
+    console.log('✅ Passed: Input applied and acked.');
+}
+
+function testStaleInputIgnored() {
+    console.log('\nTest: Stale Or Duplicate Inputs Ignored');
+    const { game, paddle } = setupPlaying();
+    paddle.position = 0.5;
+
+    game.handleInput('p1', 1, 5, 0.05);
+    const after = paddle.position;
+    game.handleInput('p1', 1, 5, 0.05);
+    game.handleInput('p1', 1, 3, 0.05);
+    assert.equal(paddle.position, after, 'Replayed sequence numbers must not move the paddle again');
+    assert.equal(paddle.lastInputSeq, 5);
+
+    console.log('✅ Passed: Stale inputs ignored.');
+}
+
+function testInputTimeIsBudgeted() {
+    console.log('\nTest: Input Time Cannot Outrun The Server');
+    const { game, paddle } = setupPlaying();
+    paddle.position = 0.3;
+    paddle.inputBudget = 0.1;
+
+    // Try to cram a full second of movement into one tick
+    for (let seq = 1; seq <= 20; seq++) {
+        game.handleInput('p1', 1, seq, 0.05);
+    }
+    assert.ok(Math.abs(paddle.position - 0.4) < 1e-9, 'Movement should be capped by the time budget');
+    assert.equal(paddle.lastInputSeq, 20, 'Budget-limited inputs are still acknowledged');
+
+    game.handleInput('p1', 1, 21, 5);
+    assert.ok(paddle.position <= 0.4 + 1e-9, 'Oversized dt should be clamped');
+
+    console.log('✅ Passed: Input budget enforced.');
+}
+
+function testAnalogInputIsClamped() {
+    console.log('\nTest: Analog Input Moves Proportionally And Is Clamped');
+    const { game, paddle } = setupPlaying();
+    paddle.position = 0.5;
+    paddle.inputBudget = 1;
+
+    game.handleInput('p1', -0.4, 1, 0.05);
+    assert.ok(Math.abs(paddle.position - 0.48) < 1e-9, 'Half-pushed stick should move at a fraction of full speed');
+
+    game.handleInput('p1', 25, 2, 0.05);
+    assert.ok(Math.abs(paddle.position - 0.53) < 1e-9, 'Direction beyond 1 should be clamped to full speed');
+
+    game.handleInput('p1', 'fast', 3, 0.05);
+    assert.ok(Math.abs(paddle.position - 0.53) < 1e-9, 'Junk direction should not move the paddle');
+
+    console.log('✅ Passed: Analog input clamped.');
+}
+
+function testMalformedInputIsRejected() {
+    console.log('\nTest: Malformed Sequence Numbers And Steps Are Rejected');
+    const { game, paddle } = setupPlaying();
+    paddle.position = 0.5;
+    paddle.inputBudget = 1;
+
+    for (const seq of ['9', NaN, Infinity, 1e300, -4, 0, 2.5, {}]) {
+        game.handleInput('p1', 1, seq, 0.05);
+    }
+    assert.equal(paddle.position, 0.5, 'Malformed sequence numbers should not move the paddle');
+    assert.equal(paddle.lastInputSeq, 0, 'Malformed sequence numbers should not be stored');
+
+    game.handleInput('p1', 1, 1, NaN);
+    game.handleInput('p1', 1, 2, Infinity);
+    game.handleInput('p1', 1, 3, '0.05');
+    game.handleInput('p1', 1, 4, -1);
+    assert.equal(paddle.position, 0.5, 'Malformed steps should not move the paddle');
+    assert.equal(paddle.lastInputSeq, 4, 'Inputs with malformed steps are still acknowledged');
+
+    game.handleInput('p1', 1, 5, 0.05);
+    assert.ok(Math.abs(paddle.position - 0.55) < 1e-9, 'Well-formed input should still work afterwards');
+
+    console.log('✅ Passed: Malformed input rejected.');
+}
+
+function testInputsDuringScoringAcked() {
+    console.log('\nTest: Inputs During SCORING Are Acked But Ignored');
+    const game = new ServerGame(mockIo, 'seq_scoring_room');
+    game.addPlayer('p1');
+    const paddle = game.paddles[0];
+    paddle.inputBudget = 1;
+
+    game.handleInput('p1', 1, 7, 0.05);
+    assert.equal(paddle.position, 0.5, 'Paddle should not move between rounds');
+    assert.equal(paddle.lastInputSeq, 7, 'Dropped input should still be acknowledged');
+
+    console.log('✅ Passed: Dropped inputs acked.');
+}
+
+function testResumeResetsSequence() {
+    console.log('\nTest: Resumed Session Restarts Sequence');
+    const game = new ServerGame(mockIo, 'seq_resume_room', { reconnectGraceMs: 60000 });
+    game.addPlayer('p1');
+    const token = game.getSessionToken('p1');
+    game.paddles[0].lastInputSeq = 40;
+
+    game.disconnectPlayer('p1');
+    game.resumePlayer('p1_new', token);
+    assert.equal(game.paddles[0].lastInputSeq, 0, 'New connection starts numbering from zero');
+
+    game.stop();
+    console.log('✅ Passed: Sequence reset on resume.');
+}
+
+try {
+    testSequencedInputIsAppliedAndAcked();
+    testStaleInputIgnored();
+    testInputTimeIsBudgeted();
+    testAnalogInputIsClamped();
+    testMalformedInputIsRejected();
+    testInputsDuringScoringAcked();
+    testResumeResetsSequence();
+    console.log('--- All Input Sequence Tests Passed ---');
+} catch (e) {
+    console.error('Test Suite Failed:', e);
+    process.exit(1);
+}
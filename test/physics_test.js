@@ -1,6 +1,12 @@
 
 import { ServerGame } from '../server/ServerGame.js';
 import { strict as assert } from 'assert';
+import { GAME_CONSTANTS } from '../src/game/Constants.js';
+import { Polygon } from '../src/game/Polygon.js';
+import { OBSTACLE_LAYOUTS, Obstacle, createObstacles } from '../src/game/Obstacles.js';
+import { ARENAS, ARENA_RADIUS, parseArena, resolveArena, validateArena } from '../src/game/Arenas.js';
+import { randomArenaPoint } from '../src/game/PowerUps.js';
+import { createMockIo, startRound } from './helpers.js';
 
 // Mock IO
 const mockIo = {
@@ -289,6 +295,539 @@ function testGraceMargin() {
     }
 }
 
+function createAimingGame() {
+    const game = new ServerGame(mockIo, 'test_room', { aimedBounces: true });
+    game.polygon.sides = 4;
+    game.polygon.vertices = [
+        { x: -100, y: -100 },
+        { x: 100, y: -100 },
+        { x: 100, y: 100 },
+        { x: -100, y: 100 }
+    ];
+    game.addPlayer('p1'); // Wall 0 (Top), running from x = -100 to x = 100
+    const paddle = game.paddles[0];
+    paddle.position = 0.5;
+    paddle.width = 0.2; // x in [-20, 20]
+    return { game, paddle };
+}
+
+function testAimedBounceAngle() {
+    console.log('Test: Aimed Bounce Angle From Hit Offset');
+    const { game, paddle } = createAimingGame();
+
+    // Dead centre goes straight back in, even when coming in at an angle
+    game.ball.x = 0;
+    game.ball.y = -95;
+    game.ball.vx = 30;
+    game.ball.vy = -50;
+    game.checkCollisions(0, -90);
+    assert.ok(Math.abs(game.ball.vx) < 1e-6 && game.ball.vy > 0, `Expected straight bounce, got vx=${game.ball.vx}`);
+
+    // Tip of the paddle at the x = 100 end sends the ball off at AIM_MAX_ANGLE that way
+    game.ball.x = 20;
+    game.ball.y = -95;
+    game.ball.vx = 0;
+    game.ball.vy = -50;
+    game.checkCollisions(20, -90);
+    const angle = Math.atan2(game.ball.vx, game.ball.vy);
+    assert.ok(Math.abs(angle - GAME_CONSTANTS.AIM_MAX_ANGLE) < 1e-6, `Expected ${GAME_CONSTANTS.AIM_MAX_ANGLE}, got ${angle}`);
+    assert.ok(game.ball.spin === 0, 'A still paddle adds no spin');
+
+    // Without the option, paddles mirror like walls
+    game.aimedBounces = false;
+    paddle.position = 0.5;
+    game.ball.x = 15;
+    game.ball.y = -95;
+    game.ball.vx = -20;
+    game.ball.vy = -50;
+    game.checkCollisions(15, -90);
+    assert.ok(game.ball.vx < 0 && game.ball.vy > 0, 'Plain mirror reflection');
+
+    console.log('✅ Passed: Hit offset bends the outgoing angle.');
+}
+
+function testPaddleMotionAddsSpin() {
+    console.log('Test: Moving Paddle Puts Spin On The Ball');
+    const { game, paddle } = createAimingGame();
+    paddle.motion = 1; // Sliding towards x = 100
+
+    game.ball.x = 0;
+    game.ball.y = -95;
+    game.ball.vx = 0;
+    game.ball.vy = -50;
+    game.checkCollisions(0, -90);
+    assert.ok(game.ball.spin !== 0, 'Spin imparted');
+    assert.ok(Math.abs(game.ball.spin) <= GAME_CONSTANTS.SPIN_MAX);
+
+    // The path curves the way the paddle was moving, and the spin wears off
+    const spin = game.ball.spin;
+    game.ball.update(0.5);
+    assert.ok(game.ball.vx > 0, `Expected the ball to curve towards +x, got vx=${game.ball.vx}`);
+    assert.ok(Math.abs(game.ball.spin) < Math.abs(spin), 'Spin decays');
+    const speed = Math.sqrt(game.ball.vx ** 2 + game.ball.vy ** 2);
+    assert.ok(Math.abs(speed - 50 * GAME_CONSTANTS.BALL_SPEED_INCREASE) < 1e-6, 'Spin turns the ball without changing its speed');
+
+    for (let i = 0; i < 100; i++) game.ball.update(0.1);
+    assert.equal(game.ball.spin, 0, 'Spin dies out');
+
+    console.log('✅ Passed: Paddle motion curves the ball.');
+}
+
+function testPaddleMotionTracked() {
+    console.log('Test: Paddle Motion Tracked From Movement');
+    const { game, paddle } = createAimingGame();
+    game.gameState = 'PLAYING';
+    game.updateGameRules(0.1);
+    paddle.move(1, 0.1);
+    game.updateGameRules(0.1);
+    assert.ok(paddle.motion > 0.9, `Expected full-speed motion, got ${paddle.motion}`);
+    game.updateGameRules(0.1);
+    assert.equal(paddle.motion, 0, 'Standing still again');
+
+    const state = game.getState();
+    assert.equal(state.aimedBounces, true);
+    assert.equal(state.balls[0].spin, game.ball.spin, 'Spin is part of the network state');
+
+    console.log('✅ Passed: Paddle motion follows its movement.');
+}
+
+function testCountdownMovementLeavesNoSpin() {
+    console.log('Test: Movement During The Countdown Adds No Spin Afterwards');
+    const { game, paddle } = createAimingGame();
+    game.gameState = 'COUNTDOWN';
+    game.countdownTimer = 0.25;
+    game.updateGameRules(0.1);
+    paddle.move(1, 0.1); // Lining up before the ball is served
+    game.updateGameRules(0.1);
+    game.updateGameRules(0.1); // Countdown ends
+    assert.equal(game.gameState, 'PLAYING');
+
+    game.updateGameRules(0.1);
+    assert.equal(paddle.motion, 0, 'Countdown movement should not count as motion once play starts');
+
+    game.ball.x = 0;
+    game.ball.y = -95;
+    game.ball.vx = 0;
+    game.ball.vy = -50;
+    game.checkCollisions(0, -90);
+    assert.equal(game.ball.spin, 0, 'The first hit after the countdown comes off a still paddle');
+
+    console.log('✅ Passed: Countdown movement leaves no spin.');
+}
+
+// Obstacles
+
+function testLayoutsFitSmallestArena() {
+    const triangle = new Polygon(250, GAME_CONSTANTS.MIN_SIDES);
+    const inradius = triangle.radius * Math.cos(Math.PI / triangle.sides);
+
+    for (const name of Object.keys(OBSTACLE_LAYOUTS)) {
+        createObstacles(name).forEach(o => {
+            const points = o.kind === 'bumper' ? [{ x: o.x, y: o.y, r: o.radius }] : [{ ...o.p1, r: 0 }, { ...o.p2, r: 0 }];
+            points.forEach(p => {
+                const dist = Math.sqrt(p.x ** 2 + p.y ** 2);
+                assert.ok(dist + p.r < inradius, `${name} pokes out of a triangle arena`);
+                assert.ok(dist - p.r > 40, `${name} blocks the serve`);
+            });
+        });
+    }
+    assert.deepEqual(createObstacles('maze'), [], 'Unknown layouts are empty');
+    console.log('✅ Every layout fits the triangle arena and keeps the centre clear');
+}
+
+function testMotion() {
+    const still = new Obstacle({ kind: 'bumper', x: 100, y: 0 });
+    still.update(1, 10);
+    assert.deepEqual([still.x, still.y], [100, 0], 'Static obstacles stay put');
+
+    const orbiting = new Obstacle({ kind: 'bumper', x: 100, y: 0, motion: 'orbit', orbitSpeed: Math.PI / 2 });
+    orbiting.update(0, 1);
+    assert.ok(Math.abs(orbiting.x) < 1e-9 && Math.abs(orbiting.y - 100) < 1e-9, 'Orbit follows round time');
+
+    const wall = new Obstacle({ kind: 'segment', x: 100, y: 0, length: 40, angle: Math.PI / 2, motion: 'polygon' });
+    wall.update(Math.PI, 0);
+    assert.ok(Math.abs(wall.x + 100) < 1e-9, 'Turns with the polygon');
+    assert.ok(Math.abs(wall.p1.y - 20) < 1e-9 && Math.abs(wall.p2.y + 20) < 1e-9, 'Segment ends turn too');
+    console.log('✅ Obstacles stay put, orbit or turn with the polygon');
+}
+
+function testBumperBounce() {
+    const game = new ServerGame(createMockIo(), 'OB1', { layout: 'bumpers' });
+    const bumper = game.obstacles[0]; // At (90, 0)
+    game.ball.x = bumper.x - bumper.radius - game.ball.radius + 2;
+    game.ball.y = 0;
+    game.ball.vx = 200;
+    game.ball.vy = 0;
+
+    game.checkObstacleCollisions(game.ball.x - 3, 0, game.ball);
+    assert.ok(game.ball.vx < 0, 'Ball bounces back off the bumper');
+    assert.ok(bumper.x - game.ball.x > bumper.radius + game.ball.radius, 'Ball is pushed clear');
+
+    const vx = game.ball.vx;
+    game.checkObstacleCollisions(game.ball.x, 0, game.ball);
+    assert.equal(game.ball.vx, vx, 'No second bounce while leaving');
+    console.log('✅ Bumpers bounce the ball away from their centre');
+}
+
+function testSegmentBounceAndTunneling() {
+    const game = new ServerGame(createMockIo(), 'OB2');
+    game.obstacles = [new Obstacle({ kind: 'segment', x: 100, y: 0, length: 60, angle: Math.PI / 2 })];
+
+    // Fast ball that would jump from one side of the wall to the other in one step
+    game.ball.x = 130;
+    game.ball.y = 5;
+    game.ball.vx = 2000;
+    game.ball.vy = 0;
+    game.checkObstacleCollisions(70, 5, game.ball);
+    assert.ok(game.ball.vx < 0, 'Reflected back');
+    assert.ok(game.ball.x < 100, 'Put back on the side it came from');
+
+    // Glancing off the end cap
+    game.ball.x = 100;
+    game.ball.y = 30 + game.ball.radius - 1;
+    game.ball.vx = 0;
+    game.ball.vy = -100;
+    game.checkObstacleCollisions(100, game.ball.y + 2, game.ball);
+    assert.ok(game.ball.vy > 0, 'End of the wall bounces like a cap');
+    console.log('✅ Segment walls reflect, even for fast balls');
+}
+
+function testRoundBouncesOffObstacles() {
+    const io = createMockIo();
+    const game = new ServerGame(io, 'OB3', { layout: 'bumpers' });
+    game.addPlayer('p1');
+    startRound(game);
+
+    const bumper = game.obstacles[0];
+    game.ball.x = bumper.x - 40;
+    game.ball.y = bumper.y;
+    game.ball.vx = 200;
+    game.ball.vy = 0;
+    for (let i = 0; i < 30 && game.ball.vx > 0; i++) game.update(1 / 60);
+
+    assert.ok(game.ball.vx < 0, 'Ball came back off the bumper');
+    assert.ok(io.events.some(e => e.name === 'gameEvent' && e.data.type === 'bounce' && e.data.edgeIndex === undefined));
+    console.log('✅ Obstacles take part in the rally');
+}
+
+function testLayoutSetting() {
+    const game = new ServerGame(createMockIo(), 'OB4', { layout: 'nope' });
+    assert.equal(game.layout, 'none', 'Bad layout from the creator falls back to none');
+    assert.equal(game.setLayout('maze'), false, 'Unknown layouts are rejected');
+    assert.equal(game.setLayout('walls'), true);
+    assert.equal(game.obstacles.length, OBSTACLE_LAYOUTS.walls.length);
+    assert.equal(game.getSummary().layout, 'walls');
+    assert.equal(game.getState().layout, 'walls');
+
+    game.addPlayer('p1');
+    startRound(game);
+    assert.equal(game.setLayout('none'), false, 'Layout is locked during a round');
+    console.log('✅ Layout is a validated room setting');
+}
+
+// Custom arena shapes
+
+function testValidation() {
+    assert.equal(validateArena(ARENAS.star), null);
+    assert.equal(validateArena(JSON.stringify(ARENAS.cross)), null, 'JSON text is accepted');
+    assert.equal(validateArena({ vertices: [{ x: -1, y: -1 }, { x: 1, y: -1 }, { x: 0, y: 1 }] }), null, 'Point objects work too');
+
+    assert.ok(validateArena('{nope'), 'Broken JSON');
+    assert.ok(validateArena({ vertices: [[0, 0], [1, 1]] }), 'Too few vertices');
+    assert.ok(validateArena({ vertices: [[-1, -1], [1, -1], ['a', 1]] }), 'Non-numeric vertex');
+    assert.ok(validateArena({ vertices: [[-1, 0], [0, 0], [1, 0]] }), 'No area');
+    assert.ok(validateArena({ vertices: [[-1, -1], [1, 1], [1, -1], [-1, 1]] }), 'Bow tie crosses itself');
+    assert.ok(validateArena({ vertices: [[1, 1], [2, 1], [2, 2]] }), 'Centre outside');
+    assert.ok(validateArena({ vertices: [[-1, -1], [1, -1], [0, 1]], edges: [3] }), 'Edge out of range');
+    assert.ok(validateArena({ vertices: [[-1, -1], [1, -1], [0, 1]], edges: [1, 1] }), 'Repeated edge');
+    assert.equal(parseArena({ vertices: [] }), null, 'Invalid arenas parse to null');
+    console.log('✅ Arena files are validated');
+}
+
+function testParseScalesAndRotates() {
+    const arena = parseArena({ name: 'Box', vertices: [[-2, -1], [2, -1], [2, 1], [-2, 1]], edges: [3, 1] });
+    assert.equal(arena.name, 'Box');
+    const farthest = Math.max(...arena.vertices.map(p => Math.sqrt(p.x ** 2 + p.y ** 2)));
+    assert.ok(Math.abs(farthest - ARENA_RADIUS) < 1e-9, 'Farthest corner at the arena radius');
+    assert.deepEqual(arena.edges, [0, 2], 'Edges renumbered so edge 0 is playable');
+    const [a, b] = arena.vertices;
+    assert.ok(a.x > 0 && b.x > 0 && a.y < 0 && b.y > 0, 'Old edge 1 (right side) is now edge 0');
+
+    assert.deepEqual(resolveArena('rectangle').edges, [0, 1, 2, 3], 'Every edge playable by default');
+    assert.equal(resolveArena('maze'), null);
+    assert.equal(resolveArena('fixed'), null);
+    console.log('✅ Arenas are scaled and renumbered on load');
+}
+
+function testInwardNormals() {
+    for (const name of Object.keys(ARENAS)) {
+        const polygon = new Polygon(ARENA_RADIUS, 5);
+        polygon.setShape(resolveArena(name));
+        polygon.rotation = 1.3;
+        polygon.updateVertices();
+
+        const { vertices } = polygon;
+        vertices.forEach((p1, i) => {
+            const p2 = vertices[(i + 1) % vertices.length];
+            const n = polygon.inwardNormal(p1, p2);
+            const inside = { x: (p1.x + p2.x) / 2 + n.x * 2, y: (p1.y + p2.y) / 2 + n.y * 2 };
+            const outside = { x: (p1.x + p2.x) / 2 - n.x * 2, y: (p1.y + p2.y) / 2 - n.y * 2 };
+            assert.ok(polygon.contains(inside) && !polygon.contains(outside), `${name} edge ${i} normal points inward`);
+        });
+    }
+    console.log('✅ Inward normals hold for non-convex outlines');
+}
+
+function testWindingIsNormalised() {
+    const area = (points) => points.reduce((sum, a, i) => {
+        const b = points[(i + 1) % points.length];
+        return sum + a.x * b.y - b.x * a.y;
+    }, 0);
+    // Playable edges by where they are, whatever their index
+    const playableSpots = (arena) => arena.edges.map(e => {
+        const a = arena.vertices[e];
+        const b = arena.vertices[(e + 1) % arena.vertices.length];
+        return `${Math.round(a.x + b.x)},${Math.round(a.y + b.y)}`;
+    }).sort();
+
+    for (const [name, file] of Object.entries(ARENAS)) {
+        const n = file.vertices.length;
+        // The same file written the other way round: reversed edge i is old edge n - 2 - i
+        const backwards = parseArena({
+            vertices: [...file.vertices].reverse(),
+            edges: file.edges && file.edges.map(e => (2 * n - 2 - e) % n)
+        });
+        const forwards = resolveArena(name);
+        assert.ok(area(forwards.vertices) > 0 && area(backwards.vertices) > 0, `${name} winds like the regular polygons`);
+        assert.equal(backwards.edges[0], 0, 'Edge 0 is still playable');
+        assert.deepEqual(playableSpots(backwards), playableSpots(forwards), `${name} keeps the same playable edges`);
+
+        const polygon = new Polygon(ARENA_RADIUS, 5);
+        polygon.setShape(backwards);
+        polygon.vertices.forEach((p1, i) => {
+            const p2 = polygon.vertices[(i + 1) % n];
+            const normal = polygon.inwardNormal(p1, p2);
+            assert.ok(polygon.contains({ x: (p1.x + p2.x) / 2 + normal.x * 2, y: (p1.y + p2.y) / 2 + normal.y * 2 }),
+                `Reversed ${name} edge ${i} normal points inward`);
+        });
+    }
+    console.log('✅ Outlines given either way round are normalised on load');
+}
+
+function testConcaveWallBounce() {
+    // A square with a slot cut into the top: the slot's right side faces away from the centre
+    const arena = parseArena({
+        vertices: [[-1, -1], [1, -1], [1, 1], [0.5, 1], [0.5, 0.3], [0.3, 0.3], [0.3, 1], [-1, 1]],
+        edges: [0]
+    });
+    const game = new ServerGame(createMockIo(), 'AR1', { arena });
+    const vertices = game.polygon.vertices;
+    const edgeIndex = 3;
+    assert.ok(!game.polygon.getPlayableEdges().includes(edgeIndex));
+
+    const p1 = vertices[edgeIndex];
+    const p2 = vertices[edgeIndex + 1];
+    const n = game.polygon.inwardNormal(p1, p2);
+    const mx = (p1.x + p2.x) / 2;
+    const my = (p1.y + p2.y) / 2;
+    assert.ok(n.x * -mx + n.y * -my < 0, 'This wall faces away from the centre');
+
+    game.ball.x = mx + n.x * 3;
+    game.ball.y = my + n.y * 3;
+    game.ball.vx = -n.x * 300;
+    game.ball.vy = -n.y * 300;
+    game.checkCollisions(game.ball.x, game.ball.y, game.ball);
+    assert.ok(game.ball.vx * n.x + game.ball.vy * n.y > 0, 'Ball bounces back into the arena');
+    assert.ok(game.polygon.contains(game.ball), 'Ball stays inside');
+    console.log('✅ Walls facing away from the centre still bounce the ball inward');
+}
+
+function testSeatsOnPlayableEdges() {
+    const io = createMockIo();
+    const game = new ServerGame(io, 'AR2', { arena: resolveArena('star'), reshapeArena: true, botDifficulty: 'easy' });
+    assert.equal(game.reshapeArena, false, 'Custom arenas keep their shape');
+    assert.equal(game.polygon.sides, 10);
+
+    const playable = game.polygon.getPlayableEdges();
+    assert.deepEqual(game.paddles.map(p => p.edgeIndex).sort((a, b) => a - b), playable, 'Bots only on playable edges');
+
+    const seats = [1, 2, 3, 4, 5].map(i => game.addPlayer(`p${i}`));
+    assert.deepEqual(seats, playable, 'Players take playable edges');
+    assert.equal(game.addPlayer('p6'), -1, 'Full once every playable edge is taken');
+    assert.equal(game.getSummary().maxPlayers, 5);
+    assert.equal(game.getSummary().arena, 'Star');
+    assert.deepEqual(game.arena.edges, playable);
+
+    for (let i = 0; i < 30; i++) {
+        assert.ok(game.polygon.contains(randomArenaPoint(game.polygon)), 'Pickups land inside the star');
+    }
+    console.log('✅ Only playable edges get paddles');
+}
+
+// Arena reshaping
+
+const close = (a, b) => Math.abs(a - b) < 1e-6;
+
+function testPolygonMorph() {
+    const polygon = new Polygon(250, 3);
+    const before = polygon.vertices.map(v => ({ ...v }));
+
+    polygon.morphTo(5, 1);
+    assert.equal(polygon.sides, 5);
+    assert.equal(polygon.vertices.length, 5, 'Morph runs on the larger vertex count');
+    before.forEach((v, i) => {
+        assert.ok(close(polygon.vertices[i].x, v.x) && close(polygon.vertices[i].y, v.y), 'Old vertices start in place');
+    });
+    assert.ok(close(polygon.vertices[4].x, before[0].x), 'New vertices unfold out of vertex 0');
+
+    polygon.advanceMorph(0.5);
+    assert.ok(polygon.morph, 'Still animating halfway through');
+    polygon.advanceMorph(0.6);
+    assert.equal(polygon.morph, null, 'Animation finishes after its duration');
+    const regular = new Polygon(250, 5);
+    polygon.vertices.forEach((v, i) => {
+        assert.ok(close(v.x, regular.vertices[i].x) && close(v.y, regular.vertices[i].y), 'Ends as a regular pentagon');
+    });
+
+    polygon.morphTo(4, 1);
+    assert.equal(polygon.vertices.length, 5, 'Shrinking keeps the surplus vertex until the end');
+    polygon.advanceMorph(1);
+    assert.equal(polygon.vertices.length, 4);
+    console.log('✅ Polygon morphs between side counts');
+}
+
+function testShrinkSurplusIsOnlyDrawn() {
+    const polygon = new Polygon(250, 5);
+    polygon.morphTo(3, 1);
+    polygon.advanceMorph(0.5);
+    assert.equal(polygon.sides, 3, 'The side count changes straight away');
+    assert.equal(polygon.vertices.length, 5, 'Surplus vertices are still folding in');
+    assert.deepEqual(polygon.getPlayableEdges(), [0, 1, 2], 'Seats only go on real edges mid-morph');
+
+    // Surplus vertices sit past the last real one, on the way round to vertex 0
+    const angles = polygon.vertices.map(v => (Math.atan2(v.y, v.x) - polygon.rotation + Math.PI * 4) % (Math.PI * 2));
+    for (let i = 1; i < angles.length; i++) {
+        assert.ok(angles[i] > angles[i - 1], 'Vertices stay in order around the arena');
+    }
+
+    // Changing course mid-morph still ends on exactly the new side count
+    polygon.morphTo(4, 1);
+    assert.equal(polygon.vertices.length, 5);
+    polygon.advanceMorph(1);
+    assert.equal(polygon.morph, null);
+    assert.equal(polygon.vertices.length, 4, 'No surplus vertices once the morph is over');
+    console.log('✅ Surplus vertices while shrinking are only drawn, never seated');
+}
+
+function testArenaGrowsWithPlayers() {
+    const game = new ServerGame(createMockIo(), 'GROW', { reshapeArena: true });
+    assert.equal(game.polygon.sides, GAME_CONSTANTS.MIN_SIDES, 'Reshaping rooms start as a triangle');
+
+    ['p0', 'p1', 'p2'].forEach(id => game.addPlayer(id));
+    assert.equal(game.polygon.sides, 3, 'Three players fit a triangle');
+
+    assert.equal(game.addPlayer('p3'), 3, 'Fourth player gets the new edge');
+    assert.equal(game.polygon.sides, 4, 'Square for four');
+
+    for (let i = 4; i < GAME_CONSTANTS.MAX_SIDES; i++) game.addPlayer(`p${i}`);
+    assert.equal(game.polygon.sides, GAME_CONSTANTS.MAX_SIDES);
+    assert.equal(game.addPlayer('late'), -1, 'Beyond the largest arena new players wait');
+    assert.equal(game.getSummary().maxPlayers, GAME_CONSTANTS.MAX_SIDES);
+    console.log('✅ Arena grows with each player up to the maximum');
+}
+
+function testShrinkRemapsEdges() {
+    const io = createMockIo();
+    const game = new ServerGame(io, 'SHRINK', { reshapeArena: true });
+    ['p0', 'p1', 'p2', 'p3'].forEach(id => game.addPlayer(id));
+    game.toggleReady('p3', true);
+    game.paddles.find(p => p.edgeIndex === 3).position = 0.7;
+    io.events.length = 0;
+
+    game.removePlayer('p1');
+    assert.equal(game.polygon.sides, 3);
+    assert.deepEqual(Object.fromEntries(game.players), { p0: 0, p2: 1, p3: 2 }, 'Players keep their order');
+    assert.deepEqual(game.paddles.map(p => p.edgeIndex).sort(), [0, 1, 2]);
+    assert.equal(game.paddles.find(p => p.edgeIndex === 2).position, 0.7, 'Paddles move with their owner');
+    assert.deepEqual(Array.from(game.readyEdges), [2], 'Ready flags follow the player');
+
+    const reshaped = io.events.filter(e => e.name === 'reshaped');
+    assert.deepEqual(reshaped.map(e => [e.target, e.data.playerIndex]), [['p0', 0], ['p2', 1], ['p3', 2]]);
+    assert.ok(reshaped.every(e => e.data.sides === 3));
+    assert.equal(game.getState().sides, 3, 'Side count is part of the state');
+
+    // Small rooms never drop below a triangle; players spread over spare edges
+    game.removePlayer('p0');
+    game.removePlayer('p2');
+    assert.equal(game.polygon.sides, GAME_CONSTANTS.MIN_SIDES);
+    assert.deepEqual(Object.fromEntries(game.players), { p3: 2 });
+    console.log('✅ Arena shrinks between rounds and players are remapped');
+}
+
+function testInputAfterReshape() {
+    const game = new ServerGame(createMockIo(), 'SEQ', { reshapeArena: true });
+    ['p0', 'p1', 'p2', 'p3'].forEach(id => game.addPlayer(id));
+    for (let seq = 1; seq <= 50; seq++) game.handleInput('p3', 1, seq, 0.01);
+
+    game.removePlayer('p1');
+    const paddle = game.paddles.find(p => p.edgeIndex === game.players.get('p3'));
+    assert.equal(paddle.lastInputSeq, 0, 'Reshaped players start numbering their inputs again');
+
+    // The client resets its counter when told about the reshape
+    game.gameState = 'PLAYING';
+    paddle.position = 0.5;
+    paddle.inputBudget = 1;
+    game.handleInput('p3', 1, 1, 0.05);
+    assert.ok(Math.abs(paddle.position - 0.55) < 1e-9, 'First input after the reshape moves the paddle');
+    console.log('✅ Input keeps working after a reshape');
+}
+
+function testNoReshapeMidRound() {
+    const game = new ServerGame(createMockIo(), 'MID', { reshapeArena: true, botDifficulty: 'easy' });
+    ['p0', 'p1', 'p2', 'p3'].forEach(id => game.addPlayer(id));
+    game.running = true;
+    game.players.forEach((_, id) => game.toggleReady(id, true));
+    game.gameState = 'PLAYING';
+
+    game.removePlayer('p3');
+    assert.equal(game.polygon.sides, 4, 'Shape is frozen during a round');
+    assert.ok(game.bots.has(3), 'A bot covers the gap meanwhile');
+
+    game.triggerScore(0, 0);
+    game.update(2.6); // Celebration ends
+    assert.equal(game.polygon.sides, 3, 'Arena fits the remaining players after the round');
+    assert.equal(game.bots.size, 0, 'No spare edges left for bots');
+    console.log('✅ Reshaping waits for the round to end');
+}
+
+function testHeldEdgeIsRemapped() {
+    const io = createMockIo();
+    const game = new ServerGame(io, 'HELD', { reshapeArena: true, reconnectGraceMs: 60000 });
+    ['p0', 'p1', 'p2', 'p3'].forEach(id => game.addPlayer(id));
+    const token = game.getSessionToken('p3');
+    game.disconnectPlayer('p3');
+    assert.equal(game.polygon.sides, 4, 'Held edges still count as players');
+
+    game.removePlayer('p0');
+    assert.equal(game.polygon.sides, 3, 'Two players plus one reconnecting fit a triangle');
+    assert.equal(game.getDisconnectedEdges()[0], 2, 'Held edge moves with the reshape');
+
+    const edge = game.resumePlayer('p3-new', token);
+    assert.equal(edge, 2, 'Reconnecting player gets their remapped edge');
+    assert.ok(game.paddles.some(p => p.edgeIndex === 2));
+    game.stop();
+    console.log('✅ Held edges are remapped for reconnecting players');
+}
+
+function testFixedArenaUnchanged() {
+    const game = new ServerGame(createMockIo(), 'FIXED');
+    game.addPlayer('p0');
+    assert.equal(game.polygon.sides, 5, 'Rooms without reshaping keep the pentagon');
+    game.removePlayer('p0');
+    assert.equal(game.polygon.sides, 5);
+    console.log('✅ Fixed arenas keep their shape');
+}
+
 // Run Tests
 try {
     testWallReflection();
@@ -299,6 +838,30 @@ try {
     testVertexCollision();
     testInfiniteLineGlitch();
     testGraceMargin();
+    testAimedBounceAngle();
+    testPaddleMotionAddsSpin();
+    testPaddleMotionTracked();
+    testCountdownMovementLeavesNoSpin();
+    testLayoutsFitSmallestArena();
+    testMotion();
+    testBumperBounce();
+    testSegmentBounceAndTunneling();
+    testRoundBouncesOffObstacles();
+    testLayoutSetting();
+    testValidation();
+    testParseScalesAndRotates();
+    testInwardNormals();
+    testWindingIsNormalised();
+    testConcaveWallBounce();
+    testSeatsOnPlayableEdges();
+    testPolygonMorph();
+    testShrinkSurplusIsOnlyDrawn();
+    testArenaGrowsWithPlayers();
+    testShrinkRemapsEdges();
+    testInputAfterReshape();
+    testNoReshapeMidRound();
+    testHeldEdgeIsRemapped();
+    testFixedArenaUnchanged();
     console.log('--- All Physics Tests Passed ---');
 } catch (e) {
     console.error('Test Suite Failed:', e);
@@ -0,0 +1,94 @@
+import { strict as assert } from 'assert';
+import { ServerGame } from '../server/ServerGame.js';
+import { Polygon } from '../src/game/Polygon.js';
+import { Paddle, PADDLE_SPEED } from '../src/game/Paddle.js';
+import { pointerTarget } from '../src/game/Pointer.js';
+
+const mockIo = {
+    to: () => ({ emit: () => { } })
+};
+
+console.log('--- Starting Pointer Control Tests ---');
+
+function along(polygon, edgeIndex, t, scale = 1) {
+    const p1 = polygon.vertices[edgeIndex];
+    const p2 = polygon.vertices[(edgeIndex + 1) % polygon.vertices.length];
+    return { x: (p1.x + (p2.x - p1.x) * t) * scale, y: (p1.y + (p2.y - p1.y) * t) * scale };
+}
+
+function testProjection() {
+    const polygon = new Polygon(250, 5);
+    const near = (actual, expected) => Math.abs(actual - expected) < 1e-9;
+
+    assert.ok(near(pointerTarget(polygon, 0, along(polygon, 0, 0.5)), 0.5), 'Pointing at the middle of the edge');
+    assert.ok(near(pointerTarget(polygon, 0, along(polygon, 0, 0.25, 0.3)), 0.25), 'Only the angle matters, not the distance');
+    assert.ok(near(pointerTarget(polygon, 0, along(polygon, 0, 0.8, 3)), 0.8), 'Works outside the arena too');
+
+    assert.equal(pointerTarget(polygon, 0, along(polygon, 4, 0.5)), 0, 'Past the start of the edge aims at the start');
+    assert.equal(pointerTarget(polygon, 0, along(polygon, 1, 0.5)), 1, 'Past the end aims at the end');
+    assert.equal(pointerTarget(polygon, 0, along(polygon, 2, 0.6)), 1, 'Behind the centre aims at the nearer end');
+    assert.equal(pointerTarget(polygon, 0, { x: 0, y: 0 }), null, 'The exact centre has no direction');
+    console.log('✅ Pointer angle is projected onto the edge');
+}
+
+function testMoveToward() {
+    const paddle = new Paddle(0);
+    paddle.position = 0.5;
+
+    assert.equal(paddle.moveToward(0.9, 0.1), true);
+    assert.ok(Math.abs(paddle.position - (0.5 + PADDLE_SPEED * 0.1)) < 1e-9, 'No faster than paddle speed');
+    paddle.moveToward(0.62, 0.1);
+    assert.ok(Math.abs(paddle.position - 0.62) < 1e-9, 'Stops on the target instead of overshooting');
+    assert.equal(paddle.moveToward(0.62, 0.1), false, 'Already there');
+
+    paddle.moveToward(1, 1);
+    assert.equal(paddle.position, 1 - paddle.width / 2, 'Stays on the edge');
+    assert.equal(paddle.moveToward(1, 0.1), false, 'Pushing against the end is not movement');
+
+    paddle.position = 0.5;
+    paddle.reversed = true;
+    paddle.moveToward(0.7, 1);
+    assert.ok(Math.abs(paddle.position - 0.3) < 1e-9, 'Reversed controls mirror the target');
+    console.log('✅ Paddles head for the target at paddle speed');
+}
+
+function testServerClampsTargets() {
+    const game = new ServerGame(mockIo, 'pointer_room');
+    game.addPlayer('p1');
+    game.toggleReady('p1', true);
+    game.ball.vx = 0;
+    game.ball.vy = 0;
+    for (let i = 0; i < 200; i++) game.update(0.016);
+    assert.equal(game.gameState, 'PLAYING');
+
+    const paddle = game.paddles[0];
+    paddle.position = 0.5;
+    paddle.inputBudget = 1;
+
+    game.handleInput('p1', 0, 1, 0.05, 0.9);
+    assert.ok(Math.abs(paddle.position - 0.55) < 1e-9, 'A far target only moves the paddle by speed * dt');
+    assert.equal(paddle.lastInputSeq, 1);
+
+    game.handleInput('p1', 0, 2, 0.05, 0.56);
+    assert.ok(Math.abs(paddle.position - 0.56) < 1e-9, 'A near target is reached exactly');
+
+    game.handleInput('p1', 0, 3, 0.05, 'left');
+    game.handleInput('p1', 0, 4, 0.05, NaN);
+    assert.ok(Math.abs(paddle.position - 0.56) < 1e-9, 'Junk targets fall back to the (idle) direction');
+
+    paddle.inputBudget = 0.02;
+    game.handleInput('p1', 0, 5, 0.05, -3);
+    assert.ok(Math.abs(paddle.position - 0.54) < 1e-9, 'Targets are clamped to the edge and the input budget');
+    game.stop();
+    console.log('✅ Server moves to targets no faster than paddle speed');
+}
+
+try {
+    testProjection();
+    testMoveToward();
+    testServerClampsTargets();
+    console.log('--- All Pointer Control Tests Passed ---');
+} catch (err) {
+    console.error('Pointer control tests failed:', err);
+    process.exit(1);
+}
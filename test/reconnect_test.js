@@ -0,0 +1,158 @@
+import { ServerGame } from '../server/ServerGame.js';
+import { strict as assert } from 'assert';
+
+// Mock IO
+const mockIo = {
+    to: () => ({ emit: () => { } })
+};
+
+console.log('--- Starting Reconnection Tests ---');
+
+function startPlaying(game) {
+    for (const socketId of game.players.keys()) {
+        game.toggleReady(socketId, true);
+    }
+    game.ball.vx = 0;
+    game.ball.vy = 0;
+    for (let i = 0; i < 200; i++) game.update(0.016);
+    assert.equal(game.gameState, 'PLAYING');
+}
+
+function testTokenIssuedOnJoin() {
+    console.log('Test: Session Token Issued On Join');
+    const game = new ServerGame(mockIo, 'token_room');
+    game.addPlayer('p1');
+    game.addPlayer('p2');
+
+    const t1 = game.getSessionToken('p1');
+    const t2 = game.getSessionToken('p2');
+    assert.ok(typeof t1 === 'string' && t1.length > 0, 'Player should receive a token');
+    assert.notEqual(t1, t2, 'Tokens should be unique per player');
+    assert.equal(game.getSessionToken('nobody'), null);
+
+    console.log('✅ Passed: Each player gets a unique session token.');
+}
+
+function testDisconnectHoldsEdge() {
+    console.log('\nTest: Disconnect Holds Edge Without Terminating');
+    const game = new ServerGame(mockIo, 'hold_room', { reconnectGraceMs: 60000 });
+    game.addPlayer('p1');
+    game.addPlayer('p2');
+    game.running = true;
+    startPlaying(game);
+
+    game.paddles.find(p => p.edgeIndex === 0).moveDirection = 1;
+    game.disconnectPlayer('p1');
+
+    assert.equal(game.gameState, 'PLAYING', 'Game should keep running during grace period');
+    assert.equal(game.paddles.length, 2, 'Held paddle should remain');
+    assert.equal(game.paddles.find(p => p.edgeIndex === 0).moveDirection, 0, 'Held paddle should be frozen');
+    assert.deepEqual(game.getDisconnectedEdges(), [0]);
+    assert.equal(game.isEmpty(), false, 'Room with held edges is not empty');
+
+    game.stop();
+    console.log('✅ Passed: Dropped player keeps their edge.');
+}
+
+function testResumeReclaimsEdge() {
+    console.log('\nTest: Reconnect With Token Reclaims Same Edge');
+    const game = new ServerGame(mockIo, 'resume_room', { reconnectGraceMs: 60000 });
+    game.addPlayer('p1');
+    game.addPlayer('p2');
+    game.running = true;
+    startPlaying(game);
+
+    const token = game.getSessionToken('p2');
+    game.disconnectPlayer('p2');
+
+    // A newcomer must not steal the held edge
+    const newcomer = game.addPlayer('p3');
+    assert.equal(newcomer, 2, 'Newcomer should take the next free edge');
+
+    const edge = game.resumePlayer('p2_new', token);
+    assert.equal(edge, 1, 'Reconnecting player should get edge 1 back');
+    assert.equal(game.players.get('p2_new'), 1);
+    assert.equal(game.getSessionToken('p2_new'), token, 'Token should carry over');
+    assert.deepEqual(game.getDisconnectedEdges(), []);
+    assert.equal(game.gameState, 'PLAYING');
+
+    game.handleInput('p2_new', -1);
+    assert.equal(game.paddles.find(p => p.edgeIndex === 1).moveDirection, -1, 'Resumed player controls paddle');
+
+    game.stop();
+    console.log('✅ Passed: Session token restores the original paddle.');
+}
+
+function testResumeBeforeServerNoticesDrop() {
+    console.log('\nTest: Resume While Old Socket Still Registered');
+    const game = new ServerGame(mockIo, 'stale_room', { reconnectGraceMs: 60000 });
+    game.addPlayer('p1');
+    const token = game.getSessionToken('p1');
+
+    const edge = game.resumePlayer('p1_new', token);
+    assert.equal(edge, 0);
+    assert.equal(game.players.has('p1'), false, 'Stale socket should be dropped');
+
+    // The stale socket's late disconnect must not affect the resumed player
+    game.disconnectPlayer('p1');
+    assert.equal(game.players.get('p1_new'), 0);
+    assert.deepEqual(game.getDisconnectedEdges(), []);
+
+    console.log('✅ Passed: Late disconnect of replaced socket is ignored.');
+}
+
+function testUnknownTokenRejected() {
+    console.log('\nTest: Unknown Token Is Rejected');
+    const game = new ServerGame(mockIo, 'unknown_room');
+    assert.equal(game.resumePlayer('p1', 'not-a-token'), -1);
+    assert.equal(game.resumePlayer('p1', null), -1);
+    assert.equal(game.players.size, 0);
+    console.log('✅ Passed: Bogus tokens do not grant an edge.');
+}
+
+async function testGraceExpiryReleasesEdge() {
+    console.log('\nTest: Grace Expiry Releases Edge And Terminates');
+    const game = new ServerGame(mockIo, 'expire_room', { reconnectGraceMs: 20 });
+    game.addPlayer('p1');
+    game.running = true;
+    startPlaying(game);
+
+    let emptied = false;
+    game.onEmpty = () => { emptied = true; };
+    game.disconnectPlayer('p1');
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    assert.equal(game.paddles.length, 0, 'Paddle should be removed after grace');
+    assert.equal(game.gameState, 'TERMINATED', 'Round should end once the player is gone for good');
+    assert.equal(emptied, true, 'onEmpty should fire when nobody is left');
+
+    console.log('✅ Passed: Expired hold behaves like a normal leave.');
+}
+
+function testZeroGraceRemovesImmediately() {
+    console.log('\nTest: Zero Grace Removes Immediately');
+    const game = new ServerGame(mockIo, 'nograce_room', { reconnectGraceMs: 0 });
+    game.addPlayer('p1');
+    game.addPlayer('p2');
+    game.disconnectPlayer('p1');
+    assert.equal(game.paddles.length, 1);
+    assert.deepEqual(game.getDisconnectedEdges(), []);
+    console.log('✅ Passed: Grace period can be disabled.');
+}
+
+(async () => {
+    try {
+        testTokenIssuedOnJoin();
+        testDisconnectHoldsEdge();
+        testResumeReclaimsEdge();
+        testResumeBeforeServerNoticesDrop();
+        testUnknownTokenRejected();
+        await testGraceExpiryReleasesEdge();
+        testZeroGraceRemovesImmediately();
+        console.log('--- All Reconnection Tests Passed ---');
+    } catch (e) {
+        console.error('Test Suite Failed:', e);
+        process.exit(1);
+    }
+})();
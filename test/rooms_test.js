@@ -0,0 +1,404 @@
+import { strict as assert } from 'assert';
+import { randomBytes } from 'crypto';
+import { ServerGame } from '../server/ServerGame.js';
+import { listPublicRooms, fetchPeerRooms } from '../server/rooms.js';
+import { DEFAULT_RULES } from '../src/game/Rules.js';
+import { checkPassword, createInviteToken, hashPassword, verifyInviteToken } from '../server/access.js';
+import { CHAT_BURST, CHAT_MAX_LENGTH, CHAT_REFILL_SECONDS, EMOTES, QUICK_PHRASES, sanitizeChatText } from '../src/game/Chat.js';
+import { createMockIo, startRound } from './helpers.js';
+
+// Mock IO
+const mockIo = {
+    to: () => ({ emit: () => { } })
+};
+
+console.log('--- Starting Room Tests ---');
+
+function testRoomsArePrivateByDefault() {
+    const game = new ServerGame(mockIo, 'PRIV');
+    assert.equal(game.isPublic, false, 'Rooms created without options should be private');
+    console.log('✅ Rooms are private by default');
+}
+
+function testSummaryContents() {
+    const game = new ServerGame(mockIo, 'ABCD', { isPublic: true });
+    game.addPlayer('p1');
+    game.addPlayer('p2');
+    game.score = 7;
+    game.timeElapsed = 12.8;
+
+    const summary = game.getSummary();
+    assert.equal(summary.roomId, 'ABCD');
+    assert.equal(summary.players, 2, 'Player count should match joined players');
+    assert.equal(summary.maxPlayers, game.polygon.sides, 'Capacity should be the number of edges');
+    assert.equal(summary.gameState, 'SCORING');
+    assert.equal(summary.score, 7);
+    assert.equal(summary.timeElapsed, 12, 'Elapsed time should be floored to seconds');
+    assert.equal(summary.isPublic, true);
+    console.log('✅ Room summary reports players, state, score and time');
+}
+
+function testListingSkipsPrivateRooms() {
+    const games = new Map();
+    games.set('PUB1', new ServerGame(mockIo, 'PUB1', { isPublic: true }));
+    games.set('PRIV', new ServerGame(mockIo, 'PRIV'));
+    games.set('PUB2', new ServerGame(mockIo, 'PUB2', { isPublic: true }));
+
+    const rooms = listPublicRooms(games, 'machine-1');
+    assert.deepEqual(rooms.map(r => r.roomId), ['PUB1', 'PUB2'], 'Only public rooms should be listed');
+    assert.ok(rooms.every(r => r.instanceId === 'machine-1'), 'Listed rooms should carry the hosting instance');
+    console.log('✅ Listing includes public rooms only, tagged with instance');
+}
+
+async function testPeerRoomsAreMerged() {
+    const requested = [];
+    const fakeFetch = async (url) => {
+        requested.push(url);
+        if (url.includes('fdaa::2')) throw new Error('unreachable');
+        return { json: async () => ({ instanceId: 'machine-3', rooms: [{ roomId: 'FAR1', instanceId: 'machine-3' }] }) };
+    };
+
+    const rooms = await fetchPeerRooms(['fdaa::2', 'fdaa::3'], 12122, { fetch: fakeFetch });
+    assert.deepEqual(rooms, [{ roomId: 'FAR1', instanceId: 'machine-3' }], 'Reachable peers\' rooms should be listed, unreachable ones skipped');
+    assert.deepEqual(requested, [
+        'http://[fdaa::2]:12122/api/rooms?scope=local',
+        'http://[fdaa::3]:12122/api/rooms?scope=local'
+    ], 'Peers should be asked for their own rooms only');
+    assert.deepEqual(await fetchPeerRooms([], 12122, { fetch: fakeFetch }), [], 'No peers means no extra rooms');
+    console.log('✅ Rooms on other instances are merged in, skipping unreachable ones');
+}
+
+// Room host
+
+function testHostTransfersOnLeave() {
+    const game = new ServerGame(createMockIo(), 'HO1', { reconnectGraceMs: 0 });
+    assert.equal(game.getHostEdge(), null, 'Empty rooms have no host');
+    game.addSpectator('watcher');
+    assert.equal(game.getHostEdge(), null, 'Spectators never host');
+
+    game.addPlayer('p1');
+    game.addPlayer('p2');
+    game.addPlayer('p3');
+    assert.ok(game.isHost('p1'), 'First player hosts');
+    assert.ok(!game.isHost('p2'));
+    assert.equal(game.getState().hostEdge, 0);
+
+    game.removePlayer('p1');
+    assert.ok(game.isHost('p2'), 'Longest-seated player takes over');
+
+    assert.equal(game.transferHost(2), true);
+    assert.ok(game.isHost('p3'));
+    assert.equal(game.transferHost(5), false, 'Nobody on that edge');
+    console.log('✅ Host passes on when they leave or hand it over');
+}
+
+function testHostSurvivesReconnect() {
+    const game = new ServerGame(createMockIo(), 'HO2', { reconnectGraceMs: 60000 });
+    game.addPlayer('p1');
+    game.addPlayer('p2');
+    const token = game.getSessionToken('p1');
+
+    game.disconnectPlayer('p1');
+    assert.equal(game.getHostEdge(), 0, 'Host keeps the room while reconnecting');
+    assert.ok(!game.isHost('p2'));
+
+    game.resumePlayer('p1b', token);
+    assert.ok(game.isHost('p1b'));
+    game.stop();
+    game.heldEdges.forEach(h => clearTimeout(h.timer));
+    console.log('✅ Host keeps the room through a reconnect');
+}
+
+function testKickAndBan() {
+    const io = createMockIo();
+    const game = new ServerGame(io, 'HO3', { reconnectGraceMs: 0 });
+    game.addPlayer('host');
+    game.addPlayer('p2');
+    game.addPlayer('p3');
+    game.identify('p3', 'client-3');
+    const p3Token = game.getSessionToken('p3');
+
+    assert.equal(game.kickPlayer(0), null, 'Host cannot kick themselves');
+    assert.equal(game.kickPlayer(1), 'p2');
+    assert.ok(!game.players.has('p2'));
+    assert.ok(io.events.some(e => e.target === 'p2' && e.name === 'kicked' && e.data.banned === false));
+    assert.equal(game.isBanned(null, null), false);
+
+    assert.equal(game.kickPlayer(2, true), 'p3');
+    assert.ok(game.isBanned('client-3', null), 'Banned by client id');
+    assert.ok(game.isBanned(null, p3Token), 'Banned by session token');
+    assert.ok(!game.isBanned('client-2', null));
+    console.log('✅ Host can kick and ban players');
+}
+
+function testLockedRoom() {
+    const game = new ServerGame(createMockIo(), 'HO4');
+    game.addPlayer('host');
+    assert.equal(game.setLocked('yes'), false);
+    assert.equal(game.setLocked(true), true);
+    assert.equal(game.getSummary().locked, true);
+
+    assert.equal(game.addPlayer('late'), -1, 'Locked rooms seat nobody');
+    assert.equal(game.spectators.get('late').wantsToPlay, true, 'They wait for a seat');
+
+    game.setLocked(false);
+    assert.equal(game.players.get('late'), 1, 'Seated once unlocked');
+    console.log('✅ Locked rooms queue new players');
+}
+
+function testForceStart() {
+    const game = new ServerGame(createMockIo(), 'HO5', { forceStartDelayMs: 60000 });
+    game.addPlayer('host');
+    game.addPlayer('p2');
+    game.toggleReady('host', true);
+
+    assert.equal(game.forceStart(), false, 'Too early');
+    assert.equal(game.gameState, 'SCORING');
+
+    game.waitingSince = Date.now() - 60000;
+    assert.ok(game.getState().forceStartAt <= Date.now());
+    assert.equal(game.forceStart(), true, 'Starts without p2 being ready');
+    assert.equal(game.gameState, 'COUNTDOWN');
+    assert.equal(game.forceStart(), false, 'Only between rounds');
+
+    game.startCelebration();
+    assert.ok(game.getForceStartAt() > Date.now(), 'Timer restarts when the room waits again');
+    console.log('✅ Host can force-start after the wait');
+}
+
+function testRulesAndSwap() {
+    const io = createMockIo();
+    const game = new ServerGame(io, 'HO6', { botDifficulty: 'easy' });
+    game.addPlayer('host');
+    game.addPlayer('p2');
+
+    assert.equal(game.setRules({ ballSpeedBase: 300 }), true);
+    assert.equal(game.rules.ballSpeedBase, 300);
+    assert.equal(game.rules.countdownDuration, DEFAULT_RULES.countdownDuration, 'Other rules unchanged');
+    assert.ok(io.events.some(e => e.target === 'HO6' && e.name === 'rulesChanged' && e.data.ballSpeedBase === 300), 'Everyone hears about the new rules');
+    assert.equal(game.getState().rules, undefined, 'Snapshots leave the rules out');
+
+    assert.equal(game.swapEdges(1, 3), true);
+    assert.equal(game.players.get('p2'), 3);
+    assert.ok(game.paddles.some(p => p.edgeIndex === 1 && p.isBot), 'Bot fills the vacated edge');
+    assert.ok(!game.paddles.some(p => p.edgeIndex === 3 && p.isBot));
+    assert.ok(io.events.some(e => e.target === 'p2' && e.name === 'seatChanged' && e.data.playerIndex === 3));
+    assert.equal(game.swapEdges(0, 9), false, 'Not an edge');
+
+    startRound(game);
+    assert.equal(game.setRules({ ballSpeedBase: 100 }), false, 'Rules are locked during a round');
+    assert.equal(game.swapEdges(0, 1), false, 'Seats are locked during a round');
+    console.log('✅ Host can change rules and move players between rounds');
+}
+
+function testInputAfterSwap() {
+    const game = new ServerGame(createMockIo(), 'HO7');
+    game.addPlayer('host');
+    game.addPlayer('p2');
+    for (let seq = 1; seq <= 50; seq++) game.handleInput('p2', 1, seq, 0.01);
+    game.handleInput('host', 1, 5, 0.01);
+
+    assert.equal(game.swapEdges(1, 3), true);
+    const paddle = game.paddles.find(p => p.edgeIndex === 3);
+    assert.equal(paddle.lastInputSeq, 0, 'Moved players start numbering their inputs again');
+    assert.equal(game.paddles.find(p => p.edgeIndex === 0).lastInputSeq, 5, 'Players who stayed put keep their numbering');
+
+    // The client resets its counter on seatChanged
+    startRound(game);
+    paddle.position = 0.5;
+    paddle.inputBudget = 1;
+    game.handleInput('p2', 1, 1, 0.05);
+    assert.ok(Math.abs(paddle.position - 0.55) < 1e-9, 'First input after the swap moves the paddle');
+    console.log('✅ Input keeps working after the host moves a player');
+}
+
+// Room access
+
+function testInviteTokens() {
+    const key = randomBytes(32);
+    const token = createInviteToken('ABCD', key);
+    assert.ok(verifyInviteToken('ABCD', token, key));
+    assert.ok(!verifyInviteToken('ABCE', token, key), 'Token is tied to its room');
+    assert.ok(!verifyInviteToken('ABCD', token, randomBytes(32)), 'Token is tied to the key');
+    assert.ok(!verifyInviteToken('ABCD', token.slice(1), key));
+    assert.ok(!verifyInviteToken('ABCD', undefined, key));
+    console.log('✅ Invite tokens only verify for their room and key');
+}
+
+function testPasswordHashing() {
+    const stored = hashPassword('hunter2');
+    assert.ok(!JSON.stringify(stored).includes('hunter2'), 'Plain text is not kept');
+    assert.ok(checkPassword('hunter2', stored));
+    assert.ok(!checkPassword('hunter3', stored));
+    assert.ok(!checkPassword(42, stored));
+    assert.notEqual(hashPassword('hunter2').hash, stored.hash, 'Salted');
+    assert.equal(hashPassword(''), null, 'Empty means no password');
+    assert.equal(hashPassword('x'.repeat(65)), null);
+    assert.equal(hashPassword({}), null);
+    console.log('✅ Passwords are salted, hashed and checked');
+}
+
+function testPasswordRoom() {
+    const game = new ServerGame(createMockIo(), 'AC1', { password: 'hunter2' });
+    assert.equal(game.checkAccess({}).code, 'password-required');
+    assert.equal(game.checkAccess({ password: 'nope' }).code, 'wrong-password');
+    assert.equal(game.checkAccess({ password: 'hunter2' }), null);
+    assert.equal(game.checkAccess({ invite: game.getInviteToken() }), null, 'Invite link skips the password');
+
+    game.addPlayer('p1');
+    const token = game.getSessionToken('p1');
+    assert.equal(game.checkAccess({ sessionToken: token }), null, 'Reconnecting players get back in');
+    assert.equal(game.getSummary().passwordProtected, true);
+
+    const open = new ServerGame(createMockIo(), 'AC2', { password: '' });
+    assert.equal(open.checkAccess({}), null, 'Rooms without a password are open');
+    assert.equal(open.getSummary().passwordProtected, false);
+    console.log('✅ Password rooms want the password or an invite');
+}
+
+function testInviteOnlyRoom() {
+    const game = new ServerGame(createMockIo(), 'AC3', { inviteOnly: true, password: 'hunter2', reconnectGraceMs: 60000 });
+    assert.equal(game.checkAccess({}).code, 'invite-required');
+    assert.equal(game.checkAccess({ password: 'hunter2' }).code, 'invite-required', 'Password alone is not enough');
+    assert.equal(game.checkAccess({ invite: game.getInviteToken() }), null);
+
+    const other = new ServerGame(createMockIo(), 'AC3', { inviteOnly: true });
+    assert.notEqual(other.checkAccess({ invite: game.getInviteToken() }), null, 'A later room with the same id has a new key');
+
+    game.addPlayer('p1');
+    const token = game.getSessionToken('p1');
+    game.disconnectPlayer('p1');
+    assert.equal(game.checkAccess({ sessionToken: token }), null, 'Held edges can still be reclaimed');
+    assert.equal(game.getSummary().inviteOnly, true);
+    game.stop();
+    console.log('✅ Invite-only rooms only let invites and returning players in');
+}
+
+function testInviteOnlyForSeatedPlayers() {
+    const game = new ServerGame(createMockIo(), 'AC4', { password: 'hunter2' });
+    game.addPlayer('host');
+    game.addSpectator('watcher');
+    assert.equal(game.getInviteTokenFor('host'), game.getInviteToken());
+    assert.equal(game.getInviteTokenFor('watcher'), null, 'Spectators never see the invite');
+    assert.equal(game.getInviteTokenFor('stranger'), null);
+    console.log('✅ Only seated players are handed the invite');
+}
+
+// Chat
+
+function testSanitize() {
+    assert.equal(sanitizeChatText('  hello \n\t there  '), 'hello there');
+    assert.equal(sanitizeChatText('a\u0000b'), 'a b', 'Control characters are dropped');
+    assert.equal(sanitizeChatText('x'.repeat(500)).length, CHAT_MAX_LENGTH);
+    assert.equal(sanitizeChatText('   '), null);
+    assert.equal(sanitizeChatText(42), null);
+    console.log('✅ Free text is trimmed, cleaned and capped');
+}
+
+function testPhrasesAndText() {
+    const io = createMockIo();
+    const game = new ServerGame(io, 'CH1');
+    game.addPlayer('p1');
+    game.addSpectator('watcher');
+    io.events.length = 0;
+
+    assert.equal(game.sendChat('p1', { phrase: 1 }, 0), true);
+    assert.equal(game.sendChat('watcher', { text: ' hi ' }, 0), true);
+    assert.deepEqual(io.events.filter(e => e.name === 'chat').map(e => e.data), [
+        { edgeIndex: 0, phrase: 1 },
+        { edgeIndex: -1, text: 'hi' }
+    ]);
+
+    assert.equal(game.sendChat('p1', { phrase: QUICK_PHRASES.length }, 0), false, 'Unknown phrase with no text');
+    assert.equal(game.sendChat('p1', { text: '' }, 0), false);
+    assert.equal(game.sendChat('p1', null, 0), false);
+    assert.equal(game.sendChat('stranger', { phrase: 0 }, 0), false, 'Only people in the room');
+    console.log('✅ Quick phrases and free text go to the whole room');
+}
+
+function testEmotes() {
+    const io = createMockIo();
+    const game = new ServerGame(io, 'CH2');
+    game.addPlayer('p1');
+    game.addPlayer('p2');
+    game.addSpectator('watcher');
+    io.events.length = 0;
+
+    assert.equal(game.sendEmote('p2', EMOTES.length - 1, 0), true);
+    assert.deepEqual(io.events.find(e => e.name === 'emote').data, { edgeIndex: 1, emote: EMOTES.length - 1 });
+    assert.equal(game.sendEmote('watcher', 0, 0), false, 'Spectators have no paddle to emote from');
+    assert.equal(game.sendEmote('p1', EMOTES.length, 0), false);
+    assert.equal(game.sendEmote('p1', '0', 0), false);
+    console.log('✅ Seated players send emotes from a fixed set');
+}
+
+function testRateLimit() {
+    const game = new ServerGame(createMockIo(), 'CH3', { reconnectGraceMs: 0 });
+    game.addPlayer('p1');
+    game.addPlayer('p2');
+
+    for (let i = 0; i < CHAT_BURST; i++) {
+        assert.equal(game.sendChat('p1', { phrase: 0 }, 1000), true, 'Burst goes through');
+    }
+    assert.equal(game.sendEmote('p1', 0, 1000), false, 'Emotes share the budget');
+    assert.equal(game.sendChat('p1', { phrase: 0 }, 1000), false);
+    assert.equal(game.sendChat('p2', { phrase: 0 }, 1000), true, 'Budgets are per sender');
+
+    assert.equal(game.sendChat('p1', { phrase: 0 }, 1000 + CHAT_REFILL_SECONDS * 1000), true, 'Refills over time');
+    assert.equal(game.sendChat('p1', { phrase: 0 }, 1000 + CHAT_REFILL_SECONDS * 1000), false);
+
+    game.disconnectPlayer('p1');
+    assert.ok(!game.chatBudgets.has('p1'), 'Budget forgotten when they leave');
+    console.log('✅ Chat is rate limited per sender');
+}
+
+// Display names
+
+function testServerNames() {
+    const game = new ServerGame(createMockIo(), 'NAMES');
+    game.addPlayer('p1');
+    game.addPlayer('p2');
+    game.addSpectator('s1');
+
+    game.setName('p1', '  Grace ');
+    game.setName('p2', '');
+    game.setName('s1', 'Watcher');
+    assert.deepEqual(game.getState().names, { 0: 'Grace' }, 'Only seated players with a name are listed');
+
+    game.setName('p1', '\u0007');
+    assert.deepEqual(game.getNames(), {}, 'An unusable name clears it');
+
+    game.setName('p2', 'Linus');
+    game.removePlayer('p2');
+    assert.equal(game.names.has('p2'), false, 'Names leave with the player');
+    game.stop();
+    console.log('✅ Server shares seated players\' display names');
+}
+
+try {
+    testRoomsArePrivateByDefault();
+    testSummaryContents();
+    testListingSkipsPrivateRooms();
+    await testPeerRoomsAreMerged();
+    testHostTransfersOnLeave();
+    testHostSurvivesReconnect();
+    testKickAndBan();
+    testLockedRoom();
+    testForceStart();
+    testRulesAndSwap();
+    testInputAfterSwap();
+    testInviteTokens();
+    testPasswordHashing();
+    testPasswordRoom();
+    testInviteOnlyRoom();
+    testInviteOnlyForSeatedPlayers();
+    testSanitize();
+    testPhrasesAndText();
+    testEmotes();
+    testRateLimit();
+    testServerNames();
+    console.log('--- All Room Tests Passed ---');
+} catch (err) {
+    console.error('Room tests failed:', err);
+    process.exit(1);
+}
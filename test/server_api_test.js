@@ -10,6 +10,8 @@ import { createServer } from 'http';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import { spawn } from 'child_process';
+import { io as ioClient } from 'socket.io-client';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -287,6 +289,67 @@ async function testMultipleAPIEndpoints() {
     }
 }
 
+function within(ms, message, executor) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(message)), ms);
+        executor((value) => {
+            clearTimeout(timer);
+            resolve(value);
+        }, reject);
+    });
+}
+
+// Test 5: Socket events without a payload must not take the server down
+async function testEmptySocketEventsDontCrash() {
+    const port = 20000 + Math.floor(Math.random() * 20000);
+    const server = spawn(process.execPath, [path.resolve(__dirname, '../server/index.js')], {
+        env: { ...process.env, PORT: String(port), FLY_MACHINE_ID: '' },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let exited = false;
+    server.on('exit', () => { exited = true; });
+
+    let client = null;
+    try {
+        await within(10000, 'Server did not start', (resolve, reject) => {
+            server.stdout.on('data', (chunk) => {
+                if (chunk.toString().includes('Server running')) resolve();
+            });
+            server.on('exit', () => reject(new Error('Server exited while starting')));
+        });
+
+        client = ioClient(`http://localhost:${port}`, { transports: ['websocket'], forceNew: true });
+        await within(5000, 'Could not connect', (resolve) => client.on('connect', resolve));
+        client.emit('joinRoom');
+        client.emit('joinRoom', null);
+        client.emit('joinRoom', { roomId: 'EMPTY' });
+        await within(5000, 'Server stopped answering after joinRoom without a payload', (resolve) => client.on('init', resolve));
+
+        const events = [
+            'input', 'playerReady', 'requestPlay', 'setBots', 'setRuleset', 'setMultiBall', 'setPowerUps',
+            'setAimedBounces', 'setLayout', 'chat', 'emote', 'setName', 'pauseVote', 'setRules', 'setLocked',
+            'forceStart', 'transferHost', 'swapEdges', 'kickPlayer'
+        ];
+        events.forEach(event => client.emit(event));
+        events.forEach(event => client.emit(event, null));
+        await new Promise((resolve) => setTimeout(resolve, 300));
+
+        const response = exited ? null : await fetch(`http://localhost:${port}/api/instance`);
+        if (response?.ok) {
+            console.log('✅ Passed: Events without a payload are ignored and the server keeps running');
+            return true;
+        }
+        console.log('❌ Failed: Server stopped after events without a payload');
+        return false;
+    } catch (error) {
+        console.log(`❌ Failed: ${error.message}`);
+        return false;
+    } finally {
+        client?.close();
+        server.kill();
+    }
+}
+
 // Run all tests
 (async () => {
     try {
@@ -306,7 +369,11 @@ async function testMultipleAPIEndpoints() {
         const test4 = await testMultipleAPIEndpoints();
         console.log();
 
-        if (test1 && test2 && test3 && test4) {
+        console.log('Test 5: Socket Events Without A Payload');
+        const test5 = await testEmptySocketEventsDontCrash();
+        console.log();
+
+        if (test1 && test2 && test3 && test4 && test5) {
             console.log('--- All Server API Tests Passed ---');
             console.log('\n🎯 These tests would have caught the route ordering bug!');
             process.exit(0);
@@ -1,5 +1,15 @@
 import { strict as assert } from 'assert';
-import { resolvePort, DEFAULT_PORT } from '../server/config.js';
+import {
+  resolvePort,
+  DEFAULT_PORT,
+  resolveReconnectGraceMs,
+  DEFAULT_RECONNECT_GRACE_MS,
+  resolveTickRates,
+  resolveRate,
+  DEFAULT_TICK_RATE,
+  DEFAULT_SNAPSHOT_RATE,
+  TICK_RATE_LIMITS
+} from '../server/config.js';
 
 console.log('--- Starting Server Config Tests ---');
 
@@ -27,11 +37,30 @@ function testInvalidPort() {
   console.log('✅ Invalid env values fall back to default port');
 }
 
+function testReconnectGrace() {
+  assert.equal(resolveReconnectGraceMs({}), DEFAULT_RECONNECT_GRACE_MS, 'Unset grace uses default');
+  assert.equal(resolveReconnectGraceMs({ RECONNECT_GRACE_MS: '5000' }), 5000, 'RECONNECT_GRACE_MS is respected');
+  assert.equal(resolveReconnectGraceMs({ RECONNECT_GRACE_MS: '0' }), 0, 'Zero disables the grace period');
+  assert.equal(resolveReconnectGraceMs({ RECONNECT_GRACE_MS: '-5' }), DEFAULT_RECONNECT_GRACE_MS, 'Negative grace falls back to default');
+  console.log('✅ RECONNECT_GRACE_MS is parsed with a sane fallback');
+}
+
+function testTickRates() {
+  assert.deepEqual(resolveTickRates({}), { tickRate: DEFAULT_TICK_RATE, snapshotRate: DEFAULT_SNAPSHOT_RATE }, 'Unset rates use defaults');
+  assert.deepEqual(resolveTickRates({ SERVER_TICK_RATE: '60', SNAPSHOT_RATE: '20' }), { tickRate: 60, snapshotRate: 20 }, 'Env rates are respected');
+  assert.equal(resolveTickRates({ SERVER_TICK_RATE: '10000' }).tickRate, TICK_RATE_LIMITS.max, 'Tick rate is clamped to the maximum');
+  assert.equal(resolveTickRates({ SNAPSHOT_RATE: 'fast' }).snapshotRate, DEFAULT_SNAPSHOT_RATE, 'Non-numeric rate falls back to default');
+  assert.equal(resolveRate(1, TICK_RATE_LIMITS, DEFAULT_TICK_RATE), TICK_RATE_LIMITS.min, 'Per-room rate is clamped to the minimum');
+  console.log('✅ SERVER_TICK_RATE and SNAPSHOT_RATE are parsed and clamped');
+}
+
 try {
   testDefaults();
   testPortEnv();
   testFlyInternalPort();
   testInvalidPort();
+  testReconnectGrace();
+  testTickRates();
   console.log('--- All Server Config Tests Passed ---');
 } catch (err) {
   console.error('Server config tests failed:', err);
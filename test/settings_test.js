@@ -0,0 +1,82 @@
+import { strict as assert } from 'assert';
+import { DISPLAY_NAME_MAX_LENGTH, sanitizeDisplayName } from '../src/game/Chat.js';
+import { DEFAULT_SETTINGS, SETTINGS_STORAGE_KEY, loadSettings, resolveSettings, saveSettings } from '../src/game/Settings.js';
+
+// In-memory stand-in for localStorage
+function createStorage(initial = {}) {
+    const items = { ...initial };
+    return {
+        items,
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = String(value); }
+    };
+}
+
+console.log('--- Starting Settings Tests ---');
+
+function testResolve() {
+    assert.deepEqual(resolveSettings(null), DEFAULT_SETTINGS);
+    assert.deepEqual(resolveSettings('junk'), DEFAULT_SETTINGS);
+
+    const settings = resolveSettings({
+        soundMode: 'interactions',
+        musicVolume: 3,
+        effectsVolume: -1,
+        controlScheme: 'telepathy',
+        cameraMode: 'smooth',
+        theme: 'contrast',
+        reducedMotion: 'yes',
+        interpolationDelay: '150',
+        extra: true
+    });
+    assert.equal(settings.soundMode, 'interactions');
+    assert.equal(settings.musicVolume, 1, 'Volumes are clamped');
+    assert.equal(settings.effectsVolume, 0);
+    assert.equal(settings.controlScheme, 'keys', 'Unknown choices fall back to the default');
+    assert.equal(settings.cameraMode, 'smooth');
+    assert.equal(settings.theme, 'contrast');
+    assert.equal(settings.reducedMotion, false, 'Only real booleans count');
+    assert.equal(settings.interpolationDelay, DEFAULT_SETTINGS.interpolationDelay, 'Only real numbers count');
+    assert.equal('extra' in settings, false, 'Unknown keys are dropped');
+
+    assert.equal(resolveSettings({}, { reducedMotion: true }).reducedMotion, true, 'Defaults can come from the OS preference');
+    assert.equal(resolveSettings({ reducedMotion: false }, { reducedMotion: true }).reducedMotion, false, 'A saved choice wins');
+    console.log('✅ Untrusted settings resolve to a complete, valid set');
+}
+
+function testDisplayNames() {
+    assert.equal(sanitizeDisplayName('  Ada\u0000 Lovelace  '), 'Ada Lovelace');
+    assert.equal(sanitizeDisplayName('x'.repeat(40)).length, DISPLAY_NAME_MAX_LENGTH);
+    assert.equal(sanitizeDisplayName('   '), null);
+    assert.equal(sanitizeDisplayName(42), null);
+    assert.equal(resolveSettings({ displayName: '\n' }).displayName, '', 'Unusable names are cleared');
+    console.log('✅ Display names are tidied and capped');
+}
+
+function testPersistence() {
+    const storage = createStorage();
+    assert.deepEqual(loadSettings({}, storage), DEFAULT_SETTINGS, 'Nothing saved yet');
+
+    saveSettings(resolveSettings({ theme: 'pastel', musicVolume: 0.25 }), storage);
+    const loaded = loadSettings({}, storage);
+    assert.equal(loaded.theme, 'pastel');
+    assert.equal(loaded.musicVolume, 0.25);
+
+    storage.items[SETTINGS_STORAGE_KEY] = '{not json';
+    assert.deepEqual(loadSettings({}, storage), DEFAULT_SETTINGS, 'Corrupt storage falls back to defaults');
+
+    const broken = { getItem: () => { throw new Error('denied'); }, setItem: () => { throw new Error('denied'); } };
+    assert.deepEqual(loadSettings({}, broken), DEFAULT_SETTINGS, 'Unavailable storage falls back to defaults');
+    saveSettings(DEFAULT_SETTINGS, broken);
+    console.log('✅ Settings survive a reload and bad storage');
+}
+
+try {
+    testResolve();
+    testDisplayNames();
+    testPersistence();
+    console.log('--- All Settings Tests Passed ---');
+} catch (err) {
+    console.error('Settings tests failed:', err);
+    process.exit(1);
+}
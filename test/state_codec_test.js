@@ -0,0 +1,157 @@
+import { ServerGame } from '../server/ServerGame.js';
+import { StateEncoder, StateDecoder, BINARY_PROTOCOL } from '../src/game/StateCodec.js';
+import { strict as assert } from 'assert';
+
+// Mock IO
+const mockIo = {
+    to: () => ({ emit: () => { } })
+};
+
+console.log('--- Starting State Codec Tests ---');
+
+function makeGame() {
+    const game = new ServerGame(mockIo, 'codec_room');
+    game.addPlayer('p1');
+    game.addPlayer('p2');
+    game.readyEdges.add(1);
+    game.ball.x = 12.5;
+    game.ball.y = -40.25;
+    game.paddles[1].position = 0.3;
+    game.paddles[1].lastInputSeq = 42;
+    return game;
+}
+
+function close(a, b) {
+    return Math.abs(a - b) < 1e-4;
+}
+
+function testRoundTrip() {
+    console.log('Test: Binary Round Trip');
+    const game = makeGame();
+    const state = game.getState();
+
+    const decoded = new StateDecoder().decode(new StateEncoder().encode(state));
+
+    assert.ok(decoded, 'First packet is a keyframe and decodes');
+    assert.ok(close(decoded.ball.x, 12.5) && close(decoded.ball.y, -40.25), 'Ball position survives');
+    assert.ok(close(decoded.rotation, state.rotation));
+    assert.equal(decoded.timestamp, state.timestamp, 'Timestamp kept at full precision');
+    assert.equal(decoded.paddles.length, 2);
+    assert.ok(close(decoded.paddles[1].position, 0.3));
+    assert.equal(decoded.paddles[1].lastInputSeq, 42);
+    assert.deepEqual(decoded.readyEdges, [1]);
+    assert.equal(decoded.gameState, 'SCORING');
+    assert.equal(decoded.spectatorCount, 0);
+
+    console.log('✅ Passed: State decodes to the JSON shape.');
+}
+
+function testMultipleBallsRoundTrip() {
+    console.log('\nTest: Every Ball Survives The Round Trip');
+    const game = makeGame();
+    game.spawnBall().x = 30;
+    game.spawnBall().y = -15;
+    game.balls[1].spin = 0.75;
+
+    const decoded = new StateDecoder().decode(new StateEncoder().encode(game.getState()));
+
+    assert.deepEqual(decoded.balls.map(b => b.id), [0, 1, 2], 'Ball ids kept in order');
+    assert.ok(close(decoded.balls[1].x, 30) && close(decoded.balls[2].y, -15));
+    assert.ok(close(decoded.balls[1].spin, 0.75), 'Spin survives');
+    assert.ok(close(decoded.ball.x, 12.5), 'First ball still exposed as `ball`');
+
+    console.log('✅ Passed: Multi-ball state decodes.');
+}
+
+function testDeltasOnlyCarryChanges() {
+    console.log('\nTest: Deltas Carry Only Changed Meta');
+    const game = makeGame();
+    const encoder = new StateEncoder(100);
+    const decoder = new StateDecoder();
+
+    const keyframe = encoder.encode(game.getState());
+    decoder.decode(keyframe);
+
+    game.ball.x = 50;
+    const quiet = encoder.encode(game.getState());
+    assert.ok(quiet.byteLength < keyframe.byteLength, 'No meta change means a smaller packet');
+    assert.ok(close(decoder.decode(quiet).ball.x, 50));
+
+    game.score = 9;
+    const decoded = decoder.decode(encoder.encode(game.getState()));
+    assert.equal(decoded.score, 9, 'Changed meta should be applied');
+    assert.deepEqual(decoded.readyEdges, [1], 'Unchanged meta should persist from keyframe');
+
+    console.log('✅ Passed: Deltas applied on top of keyframe.');
+}
+
+function testDecoderWaitsForKeyframe() {
+    console.log('\nTest: Late Decoder Waits For Keyframe');
+    const game = makeGame();
+    const encoder = new StateEncoder(3);
+    encoder.encode(game.getState()); // Keyframe the late joiner missed
+
+    const late = new StateDecoder();
+    assert.equal(late.decode(encoder.encode(game.getState())), null, 'Delta without base is dropped');
+
+    encoder.requestKeyframe();
+    assert.ok(late.decode(encoder.encode(game.getState())), 'Forced keyframe lets the client sync');
+
+    console.log('✅ Passed: Decoder syncs on keyframe.');
+}
+
+function testBinaryIsSmaller() {
+    console.log('\nTest: Binary Snapshot Smaller Than JSON');
+    const game = makeGame();
+    const encoder = new StateEncoder();
+    encoder.encode(game.getState());
+    const state = game.getState();
+    const jsonBytes = Buffer.byteLength(JSON.stringify(state));
+    const binaryBytes = encoder.encode(state).byteLength;
+
+    assert.ok(binaryBytes * 3 < jsonBytes, `Expected big saving, got ${binaryBytes} vs ${jsonBytes} bytes`);
+    console.log(`✅ Passed: ${binaryBytes} bytes binary vs ${jsonBytes} bytes JSON.`);
+}
+
+function testBroadcastRoutesByProtocol() {
+    console.log('\nTest: Broadcast Routes By Negotiated Protocol');
+    const emitted = [];
+    const captureIo = {
+        to: (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) })
+    };
+    const game = new ServerGame(captureIo, 'ROOM');
+    game.addPlayer('legacy');
+
+    emitted.length = 0;
+    game.broadcastState();
+    assert.deepEqual(emitted.map(e => [e.room, e.event]), [['ROOM', 'gameState']], 'JSON only while no binary clients');
+
+    assert.equal(game.setProtocol('modern', BINARY_PROTOCOL), 'binary');
+    assert.equal(game.setProtocol('legacy', 'json'), 'json');
+    game.addPlayer('modern');
+
+    emitted.length = 0;
+    game.broadcastState();
+    assert.deepEqual(emitted.map(e => [e.room, e.event]), [['ROOM:json', 'gameState'], ['ROOM:binary', 'gameStateBin']]);
+    assert.ok(emitted[1].data instanceof ArrayBuffer);
+
+    game.removePlayer('modern');
+    emitted.length = 0;
+    game.broadcastState();
+    assert.deepEqual(emitted.map(e => e.event), ['gameState'], 'Back to plain JSON once binary clients leave');
+
+    console.log('✅ Passed: Old clients keep JSON, new clients get binary.');
+}
+
+try {
+    testRoundTrip();
+    testMultipleBallsRoundTrip();
+    testDeltasOnlyCarryChanges();
+    testDecoderWaitsForKeyframe();
+    testBinaryIsSmaller();
+    testBroadcastRoutesByProtocol();
+    console.log('--- All State Codec Tests Passed ---');
+} catch (e) {
+    console.error('Test Suite Failed:', e);
+    process.exit(1);
+}